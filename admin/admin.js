@@ -0,0 +1,286 @@
+/**
+ * @fileoverview This script contains the logic of the researcher dashboard and is executed 
+ * by the client in the browser. 
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the script.
+ * 
+ * - pageSize @type {number}: the number of participants per page of the participant list. 
+ * - refreshInterval @type {number}: the interval in milliseconds in which the statistics 
+ *   are refreshed. 
+ * - offset @type {number}: the number of participants skipped in the participant list. 
+ * - purposeLabels @type {Object.<string, string>}: the display names of the purposes of 
+ *   the email collection. 
+ * - inputTypeLabels @type {Object.<string, string>}: the labels of user messages in the 
+ *   transcript which have not been typed. 
+ */
+const pageSize = 50;
+const refreshInterval = 30000;
+const purposeLabels = { raffle: 'Verlosung', follow_up: 'Folgestudie' };
+const inputTypeLabels = { button: ' · Button', card: ' · Karte' };
+
+let offset = 0;
+
+/**************************************************************************
+ * Initialization
+ **************************************************************************/
+
+/**
+ * Event Listener for initializing the dashboard.
+ * Executes the initializeDashboard() function as soon as the DOM has been fully loaded.
+ */
+document.addEventListener('DOMContentLoaded', initializeDashboard);
+
+/**
+ * Initializes the dashboard.
+ * 
+ * - Loads the statistics and the participant list, and refreshes them periodically. 
+ * - Loads the number of collected email addresses. 
+ * - Attaches the event listeners of the pagination buttons and of the email deletion form. 
+ * 
+ * @returns {void}
+ */
+function initializeDashboard() {
+  loadStats();
+  loadParticipants();
+  loadEmails();
+  setInterval(() => {
+    loadStats();
+    loadParticipants();
+  }, refreshInterval);
+
+  document.getElementById('prevPageBtn').addEventListener('click', () => {
+    offset = Math.max(0, offset - pageSize);
+    loadParticipants();
+  });
+  document.getElementById('nextPageBtn').addEventListener('click', () => {
+    offset += pageSize;
+    loadParticipants();
+  });
+  document.getElementById('deleteEmailForm').addEventListener('submit', event => {
+    event.preventDefault();
+    const form = event.target;
+    deleteEmails(form.purpose.value, form.email.value).then(() => form.reset());
+  });
+}
+
+/**************************************************************************
+ * Data retrieval and display
+ **************************************************************************/
+
+/**
+ * Loads the study statistics and displays them. 
+ * 
+ * @async
+ * @returns {void}
+ */
+async function loadStats() {
+  const stats = await fetchJson('api/stats');
+  document.getElementById('statCompleted').textContent = stats.completed;
+  document.getElementById('statUnfinished').textContent = stats.unfinished;
+  document.getElementById('statChatLength').textContent = 
+    stats.medianChatLength === null ? '–' : stats.medianChatLength;
+  document.getElementById('statCompletionTime').textContent = formatDuration(stats.medianCompletionSeconds);
+
+  const armsTable = document.getElementById('armsTable');
+  armsTable.replaceChildren(...stats.arms.map(arm => 
+    createRow([arm.treatmentGroup, arm.started, arm.completed])
+  ));
+}
+
+/**
+ * Loads the current page of the participant list and displays it. 
+ * 
+ * - Clicking on a participant displays the participant's details. 
+ * 
+ * @async
+ * @returns {void}
+ */
+async function loadParticipants() {
+  const participants = await fetchJson(`api/participants?limit=${pageSize}&offset=${offset}`);
+  const participantsTable = document.getElementById('participantsTable');
+  participantsTable.replaceChildren(...participants.map(participant => {
+    const row = createRow([
+      participant.participantId,
+      participant.treatmentGroup,
+      formatDate(participant.assignedAt),
+      formatDate(participant.completedAt),
+      participant.qualityScore !== null ? participant.qualityScore.toFixed(2) : '–',
+      participant.messages
+    ]);
+    row.addEventListener('click', () => loadParticipantDetails(participant.participantId));
+    return row;
+  }));
+  document.getElementById('prevPageBtn').disabled = offset === 0;
+  document.getElementById('nextPageBtn').disabled = participants.length < pageSize;
+}
+
+/**
+ * Loads the response, the quality assessment and the transcript of a participant and 
+ * displays them. 
+ * 
+ * @async
+ * @param {string} participantId - The participant id. 
+ * @returns {void}
+ */
+async function loadParticipantDetails(participantId) {
+  const details = await fetchJson(`api/participants/${encodeURIComponent(participantId)}`);
+  document.getElementById('participantTitle').textContent = participantId;
+  document.getElementById('participantResponse').textContent = details.response 
+    ? JSON.stringify(details.response.response_data, null, 2) 
+    : 'Noch keine Antworten abgeschickt.';
+  document.getElementById('participantQuality').textContent = details.response && details.response.quality_flags
+    ? `Qualitätswert: ${Number(details.response.quality_score).toFixed(2)}\n\n${JSON.stringify(details.response.quality_flags, null, 2)}`
+    : '–';
+
+  const transcript = document.getElementById('participantTranscript');
+  transcript.replaceChildren(...details.transcript.map(entry => {
+    const entryDiv = document.createElement('div');
+    entryDiv.classList.add('entry', entry.from);
+    entryDiv.textContent = entry.text !== null ? entry.text : JSON.stringify(entry.value);
+    const time = document.createElement('div');
+    time.classList.add('entry-time');
+    time.textContent = formatDate(entry.timestamp) + (inputTypeLabels[entry.inputType] || '');
+    entryDiv.appendChild(time);
+    return entryDiv;
+  }));
+
+  const detailsContainer = document.getElementById('participantDetails');
+  detailsContainer.classList.remove('hidden');
+  detailsContainer.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**************************************************************************
+ * Email addresses
+ **************************************************************************/
+
+/**
+ * Loads the number of collected email addresses per purpose and displays them. 
+ * 
+ * - Each purpose has a link to the csv export of its addresses and a button deleting all 
+ *   of its addresses. 
+ * - Displays a message if the email encryption is not configured on the server. 
+ * 
+ * @async
+ * @returns {void}
+ */
+async function loadEmails() {
+  const res = await fetch('api/emails');
+  if (res.status === 503) {
+    document.getElementById('emailMessage').textContent = 
+      'Die E-Mail-Verschlüsselung ist nicht konfiguriert (EMAIL_ENCRYPTION_KEY).';
+    return;
+  }
+  if (!res.ok) {
+    throw new Error(`loadEmails() - HTTP error! status: ${res.status}`);
+  }
+  const counts = await res.json();
+  const emailsTable = document.getElementById('emailsTable');
+  emailsTable.replaceChildren(...counts.map(entry => {
+    const row = createRow([purposeLabels[entry.purpose] || entry.purpose, entry.count]);
+    const actions = document.createElement('td');
+    actions.classList.add('email-actions');
+    const exportLink = document.createElement('a');
+    exportLink.href = `api/emails/export?purpose=${encodeURIComponent(entry.purpose)}`;
+    exportLink.textContent = 'Exportieren';
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = 'Alle löschen';
+    deleteBtn.addEventListener('click', () => deleteEmails(entry.purpose));
+    actions.append(exportLink, deleteBtn);
+    row.appendChild(actions);
+    return row;
+  }));
+}
+
+/**
+ * Deletes the email addresses of a purpose or a single email address after a confirmation. 
+ * 
+ * @async
+ * @param {string} purpose - The purpose of the email collection. 
+ * @param {string} [email] - The email address to be deleted (all addresses of the purpose 
+ *   if omitted). 
+ * @returns {void}
+ */
+async function deleteEmails(purpose, email) {
+  const label = purposeLabels[purpose] || purpose;
+  const question = email 
+    ? `Die Adresse ${email} (${label}) löschen?` 
+    : `Alle E-Mail-Adressen für "${label}" endgültig löschen?`;
+  if (!confirm(question)) return;
+
+  const res = await fetch('api/emails/delete', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ purpose, email })
+  });
+  if (!res.ok) {
+    throw new Error(`deleteEmails() - HTTP error! status: ${res.status}`);
+  }
+  const { deleted } = await res.json();
+  document.getElementById('emailMessage').textContent = `${deleted} Adresse(n) gelöscht.`;
+  loadEmails();
+}
+
+/**************************************************************************
+ * Helper functions
+ **************************************************************************/
+
+/**
+ * Requests json data from the server. 
+ * 
+ * @async
+ * @param {string} url - The url relative to the dashboard. 
+ * @returns {Promise<any>} The json data. 
+ */
+async function fetchJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`fetchJson() - HTTP error! status: ${res.status}`);
+  }
+  return res.json();
+}
+
+/**
+ * Creates a table row with the specified cell values. 
+ * 
+ * @param {Array<string|number|null>} values - The cell values. 
+ * @returns {HTMLTableRowElement} The table row. 
+ */
+function createRow(values) {
+  const row = document.createElement('tr');
+  values.forEach(value => {
+    const cell = document.createElement('td');
+    cell.textContent = value === null || value === undefined ? '–' : value;
+    row.appendChild(cell);
+  });
+  return row;
+}
+
+/**
+ * Formats a timestamp for display. 
+ * 
+ * @param {string|null} value - The timestamp. 
+ * @returns {string} The formatted date and time. 
+ */
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString('de-DE') : '–';
+}
+
+/**
+ * Formats a duration for display. 
+ * 
+ * @param {number|null} seconds - The duration in seconds. 
+ * @returns {string} The formatted duration (minutes and seconds). 
+ */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return '–';
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes} min ${Math.round(seconds % 60)} s`;
+}
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview This module pushes bot activities to the browser. The server holds one
+ * polling loop per conversation on the bot adapter and forwards new activities to all
+ * clients subscribed to the conversation (via server-sent events, see server.js). Bot
+ * messages which are sent with a delay, in several parts or proactively thereby reach the
+ * client as soon as they arrive.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the module.
+ *
+ * - pollInterval @type {number}: the interval in milliseconds in which the activities of a
+ *   conversation with subscribers are retrieved from the bot adapter.
+ * - maxPollInterval @type {number}: the maximum interval in milliseconds after repeated
+ *   errors of the bot adapter (the interval is doubled after every error).
+ */
+const pollInterval = 1000;      // To be specified: the polling interval of the bot adapter!
+const maxPollInterval = 16000;
+
+/**************************************************************************
+ * Activity stream
+ **************************************************************************/
+
+/**
+ * Creates the activity stream.
+ *
+ * - A conversation is polled as long as at least one client is subscribed to it. The
+ *   polling loop is stopped when the last subscriber has left.
+ * - Every batch of new activities is passed to onActivities (e.g. to record it) and then
+ *   sent to all subscribers together with the new watermark.
+ * - A client subscribing with an older watermark than the polling loop (e.g. after a
+ *   reconnect) first receives the activities it has missed. The client ignores activities
+ *   it has already received.
+ *
+ * @param {import('./bot-adapters').BotAdapter} botAdapter - The bot adapter.
+ * @param {function(string, string, object[]): Promise<void>} onActivities - Called with the
+ *   participant id, the conversation id and the new activities of every batch.
+ * @returns {{subscribe: function}} The activity stream.
+ */
+function createActivityStream(botAdapter, onActivities) {
+  const conversations = new Map();
+
+  /**
+   * Subscribes a client to the activities of a conversation.
+   *
+   * @param {string} conversationId - The conversation id.
+   * @param {string} participantId - The participant id of the conversation.
+   * @param {string|null} watermark - The watermark of the last activities received by the
+   *   client.
+   * @param {function({activities: object[], watermark: string}): void} send - Called with
+   *   every batch of new activities.
+   * @returns {function(): void} The function ending the subscription.
+   */
+  function subscribe(conversationId, participantId, watermark, send) {
+    let conversation = conversations.get(conversationId);
+    if (conversation) {
+      conversation.subscribers.add(send);
+      if (watermark !== conversation.watermark) {
+        sendMissedActivities(conversationId, watermark, send);
+      }
+    } else {
+      conversation = { conversationId, participantId, watermark, subscribers: new Set([send]), errors: 0, timer: null };
+      conversations.set(conversationId, conversation);
+      poll(conversation);
+    }
+
+    return () => {
+      conversation.subscribers.delete(send);
+      if (conversation.subscribers.size === 0) {
+        clearTimeout(conversation.timer);
+        conversations.delete(conversationId);
+      }
+    };
+  }
+
+  /**
+   * Retrieves the new activities of a conversation, forwards them to the subscribers and
+   * schedules the next retrieval.
+   *
+   * @async
+   * @param {object} conversation - The polled conversation.
+   * @returns {Promise<void>}
+   */
+  async function poll(conversation) {
+    try {
+      const data = await botAdapter.getActivities(conversation.conversationId, conversation.watermark);
+      conversation.errors = 0;
+      if (data.watermark) {
+        conversation.watermark = data.watermark;
+      }
+      if (data.activities.length > 0) {
+        await onActivities(conversation.participantId, conversation.conversationId, data.activities);
+        conversation.subscribers.forEach(send => send({ activities: data.activities, watermark: conversation.watermark }));
+      }
+    } catch (err) {
+      conversation.errors++;
+      console.error('Error when streaming the activities:', err.message);
+    }
+
+    if (conversations.get(conversation.conversationId) === conversation) {
+      const delay = Math.min(pollInterval * 2 ** conversation.errors, maxPollInterval);
+      conversation.timer = setTimeout(() => poll(conversation), delay);
+    }
+  }
+
+  /**
+   * Sends the activities since a watermark to a single subscriber.
+   *
+   * @async
+   * @param {string} conversationId - The conversation id.
+   * @param {string|null} watermark - The watermark of the subscriber.
+   * @param {function} send - The subscriber.
+   * @returns {Promise<void>}
+   */
+  async function sendMissedActivities(conversationId, watermark, send) {
+    try {
+      const data = await botAdapter.getActivities(conversationId, watermark);
+      if (data.activities.length > 0) {
+        send({ activities: data.activities, watermark: data.watermark });
+      }
+    } catch (err) {
+      console.error('Error when retrieving the missed activities:', err.message);
+    }
+  }
+
+  return { subscribe };
+}
+
+module.exports = { createActivityStream };
@@ -0,0 +1,330 @@
+/**
+ * @fileoverview This module contains the password-protected researcher area (/admin) with
+ * the live study statistics, the list of participants with their transcripts, the data
+ * export and the management of the collected email addresses.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const path = require('path');
+const crypto = require('crypto');
+const { getTranscript } = require('./transcript');
+const { createExport, toCsv } = require('./export');
+const { emailPurposes, countEmails, exportEmails, deleteEmails } = require('./emails');
+
+/**************************************************************************
+ * Authentication
+ **************************************************************************/
+
+/**
+ * Creates the middleware protecting the researcher area with http basic authentication.
+ *
+ * - The credentials are the ADMIN_USER (default: "admin") and ADMIN_PASSWORD environment
+ *   variables. If no ADMIN_PASSWORD is set, the researcher area is disabled.
+ * - The credentials are compared in constant time.
+ *
+ * @returns {function} The express middleware.
+ */
+function createAdminAuth() {
+  const user = process.env.ADMIN_USER || 'admin';
+  const password = process.env.ADMIN_PASSWORD;
+
+  return (req, res, next) => {
+    if (!password) {
+      return res.status(404).send('Not found');
+    }
+    const header = req.headers.authorization || '';
+    const [scheme, encoded] = header.split(' ');
+    if (scheme === 'Basic' && encoded) {
+      const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      const givenUser = decoded.slice(0, separator);
+      const givenPassword = decoded.slice(separator + 1);
+      if (separator >= 0 && safeEqual(givenUser, user) && safeEqual(givenPassword, password)) {
+        return next();
+      }
+    }
+    res.set('WWW-Authenticate', 'Basic realm="Admin", charset="UTF-8"');
+    res.status(401).send('Authentication required');
+  };
+}
+
+/**
+ * Compares two strings in constant time.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {boolean} True if both strings are equal.
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Checks whether a request has been sent by a page of the same origin.
+ *
+ * - Browsers send the credentials of the basic authentication with every request to the
+ *   researcher area, also with requests started by other websites. Requests changing data
+ *   therefore need a json body (which other websites cannot send without a CORS preflight)
+ *   and an Origin header matching the host of the server.
+ *
+ * @param {object} req - The request.
+ * @returns {boolean} True if the request is a json request of the same origin.
+ */
+function isSameOriginJson(req) {
+  const origin = req.get('origin');
+  if (!req.is('application/json') || !origin) return false;
+  try {
+    return new URL(origin).host === req.get('host');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**************************************************************************
+ * Router
+ **************************************************************************/
+
+/**
+ * Creates the router of the researcher area.
+ *
+ * - All routes are protected by http basic authentication (see createAdminAuth).
+ * - Serves the dashboard from the admin directory.
+ * - GET /api/stats: the study statistics (see getStudyStats).
+ * - GET /api/participants: the participants with their status (see getParticipants), paged
+ *   with the query parameters limit (1 to 1000, default 100) and offset.
+ * - GET /api/participants/:participantId: the response (with the quality score and flags, see
+ *   lib/quality.js) and the transcript of a participant.
+ * - GET /api/export: the data export (see lib/export.js) with the query parameters dataset
+ *   (responses, messages, events or codebook), format (csv, jsonl or spss), from, to and
+ *   treatmentGroup.
+ * - GET /api/emails: the number of collected email addresses per purpose.
+ * - GET /api/emails/export?purpose=: the decrypted email addresses of a purpose as csv.
+ * - POST /api/emails/delete: deletes the email addresses of a purpose ({purpose}) or a
+ *   single address ({purpose, email}). Only accepted as json request of the same origin
+ *   (see isSameOriginJson).
+ * - The email routes respond with 503 if no EMAIL_ENCRYPTION_KEY is configured.
+ *
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {object} surveyDefinition - The survey definition.
+ * @param {object|null} emailKeys - The email keys (see lib/emails.js), or null if no
+ * EMAIL_ENCRYPTION_KEY is configured.
+ * @returns {express.Router} The router.
+ */
+function createAdminRouter(pool, surveyDefinition, emailKeys) {
+  const router = express.Router();
+  router.use(createAdminAuth());
+  router.use(express.static(path.join(__dirname, '..', 'admin')));
+
+  router.get('/api/stats', async (req, res) => {
+    try {
+      res.json(await getStudyStats(pool));
+    } catch (error) {
+      console.error('Error when loading the study statistics:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  });
+
+  router.get('/api/participants', async (req, res) => {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 100, 1000));
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    try {
+      res.json(await getParticipants(pool, limit, offset));
+    } catch (error) {
+      console.error('Error when loading the participants:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  });
+
+  router.get('/api/participants/:participantId', async (req, res) => {
+    const { participantId } = req.params;
+    try {
+      const result = await pool.query(
+        `SELECT participant_id, treatment_group, response_data, quality_score, quality_flags, created_at
+         FROM survey_responses WHERE participant_id = $1`,
+        [participantId]
+      );
+      const transcript = await getTranscript(pool, participantId);
+      const response = result.rows[0] || null;
+      if (response && typeof response.response_data === 'string') {
+        response.response_data = JSON.parse(response.response_data);
+      }
+      res.json({ participantId, response, transcript });
+    } catch (error) {
+      console.error('Error when loading the participant:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  });
+
+  router.get('/api/export', async (req, res) => {
+    try {
+      const file = await createExport(pool, surveyDefinition, req.query);
+      res.set('Content-Type', `${file.contentType}; charset=utf-8`);
+      res.attachment(file.filename);
+      res.send(file.body);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error when exporting the data:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  });
+
+  router.use('/api/emails', (req, res, next) => {
+    if (!emailKeys) {
+      return res.status(503).json({ error: 'EMAIL_ENCRYPTION_KEY is not configured.' });
+    }
+    if (req.path !== '/' && !emailPurposes.includes(req.query.purpose || req.body.purpose)) {
+      return res.status(400).json({ error: 'Unknown purpose.' });
+    }
+    next();
+  });
+
+  router.get('/api/emails', async (req, res) => {
+    try {
+      res.json(await countEmails(pool));
+    } catch (error) {
+      console.error('Error when counting the email addresses:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  });
+
+  router.get('/api/emails/export', async (req, res) => {
+    const { purpose } = req.query;
+    try {
+      const emails = await exportEmails(pool, emailKeys, purpose);
+      const columns = [{ name: 'email' }, { name: 'purpose' }, { name: 'created_on' }];
+      const rows = emails.map(entry => [entry.email, entry.purpose, entry.createdOn]);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.attachment(`emails_${purpose}.csv`);
+      res.send(toCsv(columns, rows));
+    } catch (error) {
+      console.error('Error when exporting the email addresses:', error.message);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  });
+
+  router.post('/api/emails/delete', async (req, res) => {
+    if (!isSameOriginJson(req)) {
+      return res.status(403).json({ error: 'Forbidden.' });
+    }
+    const { purpose, email } = req.body;
+    try {
+      const deleted = await deleteEmails(pool, emailKeys, { purpose, email });
+      res.json({ deleted });
+    } catch (error) {
+      console.error('Error when deleting the email addresses:', error.message);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  });
+
+  return router;
+}
+
+/**************************************************************************
+ * Statistics
+ **************************************************************************/
+
+/**
+ * Loads the study statistics.
+ *
+ * - completed: the number of submitted responses.
+ * - unfinished: the number of participants with a treatment assignment but no response.
+ * - arms: the number of started and completed participants per treatment group.
+ * - medianChatLength: the median number of messages per conversation.
+ * - medianCompletionSeconds: the median time between the treatment assignment and the
+ *   submission of the response.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @returns {Promise<object>} The study statistics.
+ */
+async function getStudyStats(pool) {
+  const arms = await pool.query(
+    `SELECT a.treatment_group,
+            COUNT(*)::int AS started,
+            COUNT(r.participant_id)::int AS completed
+     FROM treatment_assignments a
+     LEFT JOIN survey_responses r ON r.participant_id = a.participant_id
+     GROUP BY a.treatment_group
+     ORDER BY a.treatment_group`
+  );
+  const completed = await pool.query('SELECT COUNT(*)::int AS n FROM survey_responses');
+  const chatLength = await pool.query(
+    `SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY n) AS median
+     FROM (SELECT COUNT(*) AS n FROM conversation_activities GROUP BY participant_id) counts`
+  );
+  const completion = await pool.query(
+    `SELECT percentile_cont(0.5) WITHIN GROUP (
+              ORDER BY EXTRACT(EPOCH FROM (r.created_at - a.assigned_at))
+            ) AS median
+     FROM survey_responses r
+     JOIN treatment_assignments a ON a.participant_id = r.participant_id`
+  );
+
+  const started = arms.rows.reduce((sum, row) => sum + row.started, 0);
+  const completedInArms = arms.rows.reduce((sum, row) => sum + row.completed, 0);
+  return {
+    completed: completed.rows[0].n,
+    unfinished: started - completedInArms,
+    arms: arms.rows.map(row => ({
+      treatmentGroup: row.treatment_group,
+      started: row.started,
+      completed: row.completed
+    })),
+    medianChatLength: toNumberOrNull(chatLength.rows[0].median),
+    medianCompletionSeconds: toNumberOrNull(completion.rows[0].median)
+  };
+}
+
+/**
+ * Loads the participants with their status.
+ *
+ * - Lists all participants with a treatment assignment, newest first, with the treatment
+ *   group, the time of the assignment, the time of the submission (null if unfinished),
+ *   the quality score of the response (null if unfinished) and the number of recorded
+ *   messages.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {number} limit - The maximum number of participants.
+ * @param {number} offset - The number of participants to skip.
+ * @returns {Promise<object[]>} The participants.
+ */
+async function getParticipants(pool, limit, offset) {
+  const result = await pool.query(
+    `SELECT a.participant_id, a.treatment_group, a.assigned_at, r.created_at AS completed_at,
+            r.quality_score,
+            (SELECT COUNT(*)::int FROM conversation_activities c
+             WHERE c.participant_id = a.participant_id) AS messages
+     FROM treatment_assignments a
+     LEFT JOIN survey_responses r ON r.participant_id = a.participant_id
+     ORDER BY a.assigned_at DESC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+  return result.rows.map(row => ({
+    participantId: row.participant_id,
+    treatmentGroup: row.treatment_group,
+    assignedAt: row.assigned_at,
+    completedAt: row.completed_at,
+    qualityScore: toNumberOrNull(row.quality_score),
+    messages: row.messages
+  }));
+}
+
+/**
+ * Converts a numeric database value to a number.
+ *
+ * @param {string|number|null} value - The database value.
+ * @returns {number|null} The number, or null if there is no value.
+ */
+function toNumberOrNull(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview This module contains the treatment group assignment logic of the server.
+ * Treatment groups are assigned by block randomization (optionally stratified) with
+ * per-arm quotas. The assignment state is kept in the postgreSQL database so that the
+ * arms stay balanced across concurrent participants and server instances.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the module.
+ *
+ * - assignmentLockKey @type {string}: the key of the postgreSQL advisory lock which
+ *   serializes concurrent assignments.
+ * - countedAssignment @type {string}: the sql condition of the assignments which count
+ *   towards the quotas and the block slots: assignments of participants who have submitted
+ *   the survey, and assignments which are not older than config.assignmentExpiryMinutes
+ *   (participants who may still submit). Abandoned participations thus free their slot.
+ */
+const assignmentLockKey = 'treatment_assignment';
+const countedAssignment = `(EXISTS (SELECT 1 FROM survey_responses r WHERE r.participant_id = a.participant_id)
+  OR a.assigned_at > now() - make_interval(mins => $1))`;
+
+/**************************************************************************
+ * Assignment
+ **************************************************************************/
+
+/**
+ * Assigns a treatment group to a participant and stores the assignment in the database.
+ *
+ * - (a) If config.randomTreatment is false, every participant is assigned to
+ *   config.treatmentFallback.
+ * - (b) If config.strategy is 'simple', the treatment group is drawn at random among all
+ *   arms whose quota is not yet filled, weighted by the configured ratios.
+ * - (c) If config.strategy is 'block' or 'stratified', the treatment group is drawn at
+ *   random among the remaining slots of the current randomization block. A block contains
+ *   every arm as often as its ratio (multiplied by config.blockMultiplier). For 'stratified',
+ *   a separate sequence of blocks is kept for every stratum.
+ * - Only submitted and recent assignments count towards the quotas and the block slots
+ *   (see countedAssignment), so that abandoned participations do not close an arm.
+ * - Arms whose quota is filled are excluded. If the current block has no open slot left
+ *   for the remaining arms, a new block is started.
+ * - The stratum is only used if it is one of config.strata; any other value is assigned to
+ *   the default stratum '', so that arbitrary values cannot open new strata.
+ * - The whole procedure runs in one transaction protected by an advisory lock, so that
+ *   concurrent participants always see the assignments of each other.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {object} config - The assignment configuration (see server.js).
+ * @param {string} participantId - The participant id to be assigned.
+ * @param {string|null} stratum - The stratum of the participant (only used for 'stratified').
+ * @returns {Promise<number|null>} The treatment group value, or null if the quotas of all
+ * arms are filled.
+ */
+async function assignTreatmentGroup(pool, config, participantId, stratum) {
+  const stratumKey = resolveStratum(config, stratum);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [assignmentLockKey]);
+
+    let treatmentGroup;
+    let blockIndex = 0;
+
+    if (!config.randomTreatment) {
+      treatmentGroup = config.treatmentFallback;
+    } else {
+      const openArms = await getOpenArms(client, config);
+      if (openArms.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      if (config.strategy === 'simple') {
+        treatmentGroup = drawWeighted(openArms.map(arm => ({ arm: arm.value, weight: arm.ratio })));
+      } else {
+        const block = await getCurrentBlock(client, config, stratumKey, openArms);
+        blockIndex = block.index;
+        treatmentGroup = drawWeighted(block.slots);
+      }
+    }
+
+    await client.query(
+      `INSERT INTO treatment_assignments (participant_id, treatment_group, stratum, block_index)
+       VALUES ($1, $2, $3, $4)`,
+      [participantId, treatmentGroup, stratumKey, blockIndex]
+    );
+    await client.query('COMMIT');
+    return treatmentGroup;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Determines the stratum key of a participant.
+ *
+ * @param {object} config - The assignment configuration.
+ * @param {string|null} stratum - The stratum passed by the client.
+ * @returns {string} The stratum if the assignment is stratified and the stratum is one of
+ * config.strata, otherwise the default stratum ''.
+ */
+function resolveStratum(config, stratum) {
+  if (config.strategy !== 'stratified' || !Array.isArray(config.strata)) return '';
+  return config.strata.includes(stratum) ? stratum : '';
+}
+
+/**
+ * Determines the arms whose quota is not yet filled.
+ *
+ * - An arm without a quota (quota null or undefined) is always open.
+ * - Only counted assignments (see countedAssignment) are compared with the quota.
+ *
+ * @async
+ * @param {import('pg').PoolClient} client - The database client of the running transaction.
+ * @param {object} config - The assignment configuration.
+ * @returns {Promise<Array<{value: number, ratio: number}>>} The open arms.
+ */
+async function getOpenArms(client, config) {
+  const result = await client.query(
+    `SELECT a.treatment_group, COUNT(*)::int AS n FROM treatment_assignments a
+     WHERE ${countedAssignment} GROUP BY a.treatment_group`,
+    [config.assignmentExpiryMinutes]
+  );
+  const counts = {};
+  result.rows.forEach(row => { counts[row.treatment_group] = row.n; });
+
+  return config.arms.filter(arm => {
+    const quota = arm.quota;
+    return quota === null || quota === undefined || (counts[arm.value] || 0) < quota;
+  });
+}
+
+/**
+ * Determines the open slots of the current randomization block of a stratum.
+ *
+ * - The current block is the block with the highest block index in the stratum.
+ * - The open slots of an arm are its ratio multiplied by config.blockMultiplier, minus the
+ *   number of counted assignments (see countedAssignment) of this arm in the current block.
+ * - If none of the open arms has a slot left, the next block is started.
+ *
+ * @async
+ * @param {import('pg').PoolClient} client - The database client of the running transaction.
+ * @param {object} config - The assignment configuration.
+ * @param {string} stratumKey - The stratum ('' if the assignment is not stratified).
+ * @param {Array<{value: number, ratio: number}>} openArms - The arms whose quota is not filled.
+ * @returns {Promise<{index: number, slots: Array<{arm: number, weight: number}>}>} The block
+ * index and the open slots per arm.
+ */
+async function getCurrentBlock(client, config, stratumKey, openArms) {
+  const indexResult = await client.query(
+    'SELECT COALESCE(MAX(block_index), 0)::int AS index FROM treatment_assignments WHERE stratum = $1',
+    [stratumKey]
+  );
+  const index = indexResult.rows[0].index;
+
+  const countResult = await client.query(
+    `SELECT a.treatment_group, COUNT(*)::int AS n FROM treatment_assignments a
+     WHERE ${countedAssignment} AND a.stratum = $2 AND a.block_index = $3 GROUP BY a.treatment_group`,
+    [config.assignmentExpiryMinutes, stratumKey, index]
+  );
+  const counts = {};
+  countResult.rows.forEach(row => { counts[row.treatment_group] = row.n; });
+
+  const slots = openArms
+    .map(arm => ({ arm: arm.value, weight: arm.ratio * config.blockMultiplier - (counts[arm.value] || 0) }))
+    .filter(slot => slot.weight > 0);
+
+  if (slots.length > 0) {
+    return { index, slots };
+  }
+  return {
+    index: index + 1,
+    slots: openArms.map(arm => ({ arm: arm.value, weight: arm.ratio * config.blockMultiplier }))
+  };
+}
+
+/**
+ * Draws an arm at random, weighted by the number of its open slots.
+ *
+ * @param {Array<{arm: number, weight: number}>} slots - The open slots per arm.
+ * @returns {number} The drawn arm.
+ */
+function drawWeighted(slots) {
+  const total = slots.reduce((sum, slot) => sum + slot.weight, 0);
+  let threshold = Math.random() * total;
+  for (const slot of slots) {
+    threshold -= slot.weight;
+    if (threshold < 0) {
+      return slot.arm;
+    }
+  }
+  return slots[slots.length - 1].arm;
+}
+
+module.exports = { assignTreatmentGroup };
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview This module contains the bot adapter for the Microsoft Bot Framework Direct 
+ * Line api. Every conversation uses its own Direct Line token, so that the secret is only 
+ * used to generate the tokens. 
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const axios = require('axios');
+
+/**
+ * Definition of variables used in the module.
+ * 
+ * - defaultBaseUrl @type {string}: the base url for the botframework direct line api if no 
+ *   DIRECT_LINE_BASE is set in the environment variables. 
+ * - tokenRefreshMargin @type {number}: the time in milliseconds before the expiry of a token 
+ *   in which the token is refreshed. 
+ */
+const defaultBaseUrl = "https://europe.directline.botframework.com/v3/directline";
+const tokenRefreshMargin = 5 * 60 * 1000;
+
+/**
+ * Creates the Direct Line bot adapter. 
+ * 
+ * - Uses the DIRECT_LINE_SECRET only to generate a Direct Line token per conversation. The 
+ *   tokens are kept on the server (never sent to the client) and are used for all requests 
+ *   concerning their conversation. 
+ * - Refreshes a token when it expires within tokenRefreshMargin. Tokens which have expired 
+ *   are removed every hour. 
+ * - Falls back to the secret for conversations without a valid token (e.g. conversations 
+ *   started before a restart of the server). 
+ * 
+ * @param {{secret: string, baseUrl: string|undefined}} options - The Direct Line secret and the 
+ * optional base url of the api. 
+ * @returns {import('./index').BotAdapter} The bot adapter. 
+ * @throws {Error} If no secret is specified. 
+ */
+function createDirectLineAdapter({ secret, baseUrl }) {
+  if (!secret) {
+    throw new Error("DIRECT_LINE_SECRET not set in environment variables");
+  }
+  const base = baseUrl || defaultBaseUrl;
+  const tokens = new Map();
+  setInterval(() => {
+    const now = Date.now();
+    for (const [conversationId, entry] of tokens) {
+      if (entry.expiresAt <= now) tokens.delete(conversationId);
+    }
+  }, 3600000).unref();
+
+  /**
+   * Creates the request headers with a key for the api. 
+   * 
+   * @param {string} key - The Direct Line token or secret. 
+   * @returns {object} The request headers. 
+   */
+  function createHeaders(key) {
+    return {
+      'Authorization': `Bearer ${key}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Returns the request headers for a conversation. 
+   * 
+   * - Uses the token of the conversation and refreshes it first if it expires soon. 
+   *   Concurrent requests wait for the same refresh. 
+   * - Uses the secret if the conversation has no token or the token cannot be refreshed. 
+   * 
+   * @async
+   * @param {string} conversationId - The conversation id. 
+   * @returns {Promise<object>} The request headers. 
+   */
+  async function getHeaders(conversationId) {
+    const entry = tokens.get(conversationId);
+    if (!entry) {
+      return createHeaders(secret);
+    }
+    if (entry.expiresAt - Date.now() < tokenRefreshMargin) {
+      entry.refresh = entry.refresh || refreshToken(conversationId, entry);
+      await entry.refresh;
+    }
+    return createHeaders(tokens.has(conversationId) ? entry.token : secret);
+  }
+
+  /**
+   * Refreshes the token of a conversation. 
+   * 
+   * @async
+   * @param {string} conversationId - The conversation id. 
+   * @param {{token: string, expiresAt: number}} entry - The token of the conversation. 
+   * @returns {Promise<void>}
+   */
+  async function refreshToken(conversationId, entry) {
+    try {
+      const response = await axios.post(`${base}/tokens/refresh`, {}, { headers: createHeaders(entry.token) });
+      entry.token = response.data.token;
+      entry.expiresAt = Date.now() + response.data.expires_in * 1000;
+    } catch (err) {
+      console.error(`Error when refreshing the Direct Line token of ${conversationId}:`, err.message);
+      tokens.delete(conversationId);
+    } finally {
+      entry.refresh = null;
+    }
+  }
+
+  /**
+   * Starts a new conversation with the chatbot.
+   * 
+   * - Generates a Direct Line token for a new conversation with the secret and starts the 
+   *   conversation with this token. 
+   * - Sends a conversationUpdate to the chatbot to inform the chatbot that the user has joined 
+   *   the conversation and to inform the chatbot about the user's treatment group value. 
+   * 
+   * @async
+   * @param {number} treatmentGroup - The treatment group value of the user. 
+   * @returns {Promise<{conversationId: string}>} The conversation id. 
+   */
+  async function startConversation(treatmentGroup) {
+    const tokenResponse = await axios.post(`${base}/tokens/generate`, {}, { headers: createHeaders(secret) });
+    const { conversationId, token, expires_in } = tokenResponse.data;
+    tokens.set(conversationId, { token, expiresAt: Date.now() + expires_in * 1000, refresh: null });
+    await axios.post(`${base}/conversations`, {}, { headers: createHeaders(token) });
+
+    const activity = {
+      type: "conversationUpdate",
+      membersAdded: [{ id: "user1" }],
+      from: { id: "Test_Chatbot_1" },
+      channelData: { treatmentGroup: treatmentGroup }
+    };
+    await sendActivity(conversationId, activity);
+    return { conversationId };
+  }
+
+  /**
+   * Retrieves the activities of a conversation. The watermark value is added to the retrieval 
+   * url to only receive new activities since the last retrieval. 
+   * 
+   * @async
+   * @param {string} conversationId - The conversation id. 
+   * @param {string|null} watermark - The watermark of the last retrieval. 
+   * @returns {Promise<{activities: object[], watermark: string}>} The new activities. 
+   */
+  async function getActivities(conversationId, watermark) {
+    let url = `${base}/conversations/${conversationId}/activities`;
+    if (watermark) {
+      url += `?watermark=${watermark}`;
+    }
+    const response = await axios.get(url, { headers: await getHeaders(conversationId) });
+    return response.data;
+  }
+
+  /**
+   * Adds an activity to a conversation. 
+   * 
+   * @async
+   * @param {string} conversationId - The conversation id. 
+   * @param {object} activity - The activity to be added. 
+   * @returns {Promise<{id: string}>} The id of the new activity. 
+   */
+  async function sendActivity(conversationId, activity) {
+    const headers = await getHeaders(conversationId);
+    const response = await axios.post(`${base}/conversations/${conversationId}/activities`, activity, { headers });
+    return response.data;
+  }
+
+  return { name: 'directline', startConversation, getActivities, sendActivity };
+}
+
+module.exports = { createDirectLineAdapter };
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview This module selects the bot adapter used by the chatbot-related endpoints. 
+ * A bot adapter encapsulates the communication with a chatbot backend, so that the endpoints
+ * do not depend on a particular bot service.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const { createDirectLineAdapter } = require('./direct-line');
+const { createMockBotAdapter } = require('./mock-bot');
+
+/**
+ * The interface implemented by every bot adapter. 
+ * 
+ * - startConversation(treatmentGroup): starts a new conversation and informs the chatbot 
+ *   that the user has joined the conversation and about the user's treatment group value. 
+ *   Resolves to an object with the conversationId. 
+ * - getActivities(conversationId, watermark): retrieves the activities of the conversation 
+ *   since the watermark. Resolves to an object with the activities and the new watermark. 
+ * - sendActivity(conversationId, activity): adds an activity to the conversation. Resolves 
+ *   to an object with the id of the new activity. 
+ * 
+ * @typedef {object} BotAdapter
+ * @property {string} name - The name of the adapter. 
+ * @property {function(number): Promise<{conversationId: string}>} startConversation
+ * @property {function(string, string|null): Promise<{activities: object[], watermark: string}>} getActivities
+ * @property {function(string, object): Promise<{id: string}>} sendActivity
+ */
+
+/**
+ * Creates the bot adapter with the specified name. 
+ * 
+ * - 'directline': the Microsoft Bot Framework Direct Line api (default). 
+ * - 'mock': a scripted local mock bot which needs neither an Azure bot nor network access. 
+ * 
+ * @param {string} name - The name of the bot adapter (from the BOT_ADAPTER environment variable). 
+ * @returns {BotAdapter} The bot adapter. 
+ * @throws {Error} If the name is unknown or the adapter is not configured correctly. 
+ */
+function createBotAdapter(name = 'directline') {
+  switch (name) {
+    case 'directline':
+      return createDirectLineAdapter({
+        secret: process.env.DIRECT_LINE_SECRET,
+        baseUrl: process.env.DIRECT_LINE_BASE
+      });
+    case 'mock':
+      return createMockBotAdapter();
+    default:
+      throw new Error(`Unknown bot adapter "${name}"`);
+  }
+}
+
+module.exports = { createBotAdapter };
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview This module contains a scripted local mock bot. It implements the bot adapter
+ * interface without any network access, so that the survey can be piloted, demonstrated and
+ * tested without an Azure bot.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const { conversationTtl } = require('../conversations');
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the module.
+ *
+ * - mockScripts @type {Object.<string, Array<string|object|Array<string|object>>>}: the
+ *   scripted bot messages per treatment group. The first entry is the welcome message, every
+ *   following entry answers one user message. An entry can be an array of several messages
+ *   which are sent one after another. A message is a text or an object with the text and
+ *   further activity properties (e.g. suggestedActions). The last message of a script
+ *   carries channelData.finalState = true. Treatment groups without an own script use the
+ *   'default' script.
+ * - mockFallbackMessage @type {string}: the bot message for user messages sent after the
+ *   script has been completed.
+ * - mockBotId @type {string}: the id of the mock bot in the activities.
+ * - mockReplyDelay @type {number}: the delay in milliseconds before each bot message, to
+ *   simulate the response time of a real bot.
+ */
+const mockScripts = {   // To be specified: the scripted messages of the mock bot!
+  default: [
+    'Hallo, ich bin Clara! Wie kann ich dir heute helfen?',
+    [
+      'Danke für deine Nachricht.',
+      'Kannst du mir mehr darüber erzählen?'
+    ],
+    {
+      text: 'Verstehe. Gibt es noch etwas, das du wissen möchtest?',
+      suggestedActions: {
+        actions: [
+          { type: 'imBack', title: 'Ja', value: 'Ja' },
+          { type: 'imBack', title: 'Nein, danke', value: 'Nein, danke' }
+        ]
+      }
+    },
+    'Vielen Dank für das Gespräch! Du kannst jetzt mit dem Fragebogen fortfahren.'
+  ],
+  1: [
+    'Hallo! 😊 Schön, dass du da bist! Ich bin Clara. Wobei kann ich dir helfen?',
+    'Super, danke dir! Erzähl mir gerne noch ein bisschen mehr.',
+    'Das klingt spannend! Möchtest du sonst noch etwas wissen?',
+    'Es hat mich sehr gefreut, mit dir zu sprechen! Du kannst jetzt mit dem Fragebogen weitermachen.'
+  ]
+};
+const mockFallbackMessage = 'Unser Gespräch ist beendet. Bitte fahre mit dem Fragebogen fort.';
+const mockBotId = 'mock-bot';
+const mockReplyDelay = 1000;   // To be specified: the response time of the mock bot!
+
+/**************************************************************************
+ * Mock bot adapter
+ **************************************************************************/
+
+/**
+ * Creates the mock bot adapter.
+ *
+ * - Keeps all conversations in memory. A conversation holds its activities (user and bot
+ *   messages), the treatment group value and the position in the script.
+ * - Removes conversations without activity for conversationTtl (see lib/conversations.js)
+ *   every minute, so that the memory does not grow with every conversation.
+ * - The watermark is the number of activities already retrieved.
+ *
+ * @returns {import('./index').BotAdapter} The bot adapter.
+ */
+function createMockBotAdapter() {
+  const conversations = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [conversationId, conversation] of conversations) {
+      if (now - conversation.updatedAt > conversationTtl) conversations.delete(conversationId);
+    }
+  }, 60000).unref();
+
+  /**
+   * Starts a new conversation and adds the welcome message of the script of the treatment
+   * group.
+   *
+   * @async
+   * @param {number} treatmentGroup - The treatment group value of the user.
+   * @returns {Promise<{conversationId: string}>} The conversation id.
+   */
+  async function startConversation(treatmentGroup) {
+    const conversationId = `mock-${Date.now()}-${Math.floor(Math.random() * 100000)}`;
+    const conversation = { activities: [], treatmentGroup, step: 0, updatedAt: Date.now() };
+    conversations.set(conversationId, conversation);
+    addBotReply(conversationId, conversation);
+    return { conversationId };
+  }
+
+  /**
+   * Retrieves the activities of a conversation since the watermark.
+   *
+   * @async
+   * @param {string} conversationId - The conversation id.
+   * @param {string|null} watermark - The watermark of the last retrieval.
+   * @returns {Promise<{activities: object[], watermark: string}>} The new activities.
+   */
+  async function getActivities(conversationId, watermark) {
+    const conversation = getConversation(conversationId);
+    const start = watermark ? parseInt(watermark, 10) : 0;
+    return {
+      activities: conversation.activities.slice(start),
+      watermark: String(conversation.activities.length)
+    };
+  }
+
+  /**
+   * Adds an activity to a conversation.
+   *
+   * - conversationUpdate activities update the treatment group value of the conversation.
+   * - Message activities are stored and answered with the next message of the script. The
+   *   treatment group value in channelData.treatmentGroup selects the script.
+   *
+   * @async
+   * @param {string} conversationId - The conversation id.
+   * @param {object} activity - The activity to be added.
+   * @returns {Promise<{id: string}>} The id of the new activity.
+   */
+  async function sendActivity(conversationId, activity) {
+    const conversation = getConversation(conversationId);
+    if (activity.channelData && activity.channelData.treatmentGroup !== undefined) {
+      conversation.treatmentGroup = activity.channelData.treatmentGroup;
+    }
+    if (activity.type !== 'message') {
+      return { id: null };
+    }
+    const stored = pushActivity(conversationId, conversation, activity);
+    addBotReply(conversationId, conversation);
+    return { id: stored.id };
+  }
+
+  /**
+   * Returns a stored conversation.
+   *
+   * @param {string} conversationId - The conversation id.
+   * @returns {object} The conversation.
+   * @throws {Error} If the conversation does not exist.
+   */
+  function getConversation(conversationId) {
+    const conversation = conversations.get(conversationId);
+    if (!conversation) {
+      throw new Error(`Unknown mock conversation "${conversationId}"`);
+    }
+    return conversation;
+  }
+
+  return { name: 'mock', startConversation, getActivities, sendActivity };
+}
+
+/**
+ * Adds the next scripted bot message(s) to a conversation.
+ *
+ * - Uses the script of the treatment group of the conversation (or the default script).
+ * - Adds each message after mockReplyDelay milliseconds, one after another, so that the
+ *   messages arrive like those of a real bot.
+ * - Marks the last message of the script with channelData.finalState = true. After the
+ *   script has been completed, answers with mockFallbackMessage.
+ *
+ * @param {string} conversationId - The conversation id.
+ * @param {object} conversation - The conversation.
+ * @returns {void}
+ */
+function addBotReply(conversationId, conversation) {
+  const script = mockScripts[conversation.treatmentGroup] || mockScripts.default;
+  const step = conversation.step;
+  const entry = step < script.length ? script[step] : mockFallbackMessage;
+  const messages = Array.isArray(entry) ? entry : [entry];
+  const finalState = step >= script.length - 1;
+  conversation.step++;
+
+  messages.forEach((message, index) => {
+    setTimeout(() => {
+      pushActivity(conversationId, conversation, {
+        type: 'message',
+        from: { id: mockBotId, name: 'Clara' },
+        ...(typeof message === 'string' ? { text: message } : message),
+        channelData: { treatmentGroup: conversation.treatmentGroup, finalState: finalState && index === messages.length - 1 }
+      });
+    }, mockReplyDelay * (index + 1));
+  });
+}
+
+/**
+ * Stores an activity in a conversation and assigns it an id and a timestamp.
+ *
+ * @param {string} conversationId - The conversation id.
+ * @param {object} conversation - The conversation.
+ * @param {object} activity - The activity to be stored.
+ * @returns {object} The stored activity.
+ */
+function pushActivity(conversationId, conversation, activity) {
+  const stored = {
+    ...activity,
+    id: `${conversationId}|${String(conversation.activities.length).padStart(7, '0')}`,
+    timestamp: new Date().toISOString(),
+    conversation: { id: conversationId }
+  };
+  conversation.activities.push(stored);
+  conversation.updatedAt = Date.now();
+  return stored;
+}
+
+module.exports = { createMockBotAdapter };
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview This module keeps track of which participant owns which conversation with
+ * the chatbot, so that the chatbot-related endpoints only accept requests of the
+ * participant who started the conversation.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const { sessionMaxAge } = require('./session');
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the module.
+ *
+ * - conversationTtl @type {number}: the time in milliseconds for which a conversation is
+ *   kept in memory. A conversation can only be continued within the participant session,
+ *   so it lives as long as a session (see lib/session.js).
+ */
+const conversationTtl = sessionMaxAge;
+
+/**
+ * Creates the conversation registry.
+ *
+ * - Stores the owner of every conversation in the conversations table and keeps it in
+ *   memory, so that the ownership check does not need a database query per request.
+ * - The ownership of conversations started before a restart of the server is loaded from
+ *   the database on first use.
+ * - Removes conversations older than conversationTtl from memory every minute (they are
+ *   loaded from the database again if they are still used).
+ *
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @returns {{register: function, isOwner: function}} The conversation registry.
+ */
+function createConversationRegistry(pool) {
+  const owners = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [conversationId, owner] of owners) {
+      if (now - owner.addedAt > conversationTtl) owners.delete(conversationId);
+    }
+  }, 60000).unref();
+
+  /**
+   * Registers a new conversation.
+   *
+   * - Errors when storing the conversation are only logged, so that a database problem
+   *   does not prevent the conversation (the ownership is then only kept in memory).
+   *
+   * @async
+   * @param {string} conversationId - The conversation id.
+   * @param {string} participantId - The participant id of the owner.
+   * @param {number|null} treatmentGroup - The treatment group of the owner.
+   * @returns {Promise<void>}
+   */
+  async function register(conversationId, participantId, treatmentGroup) {
+    owners.set(conversationId, { participantId, addedAt: Date.now() });
+    try {
+      await pool.query(
+        `INSERT INTO conversations (conversation_id, participant_id, treatment_group)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (conversation_id) DO NOTHING`,
+        [conversationId, participantId, Number.isInteger(treatmentGroup) ? treatmentGroup : null]
+      );
+    } catch (err) {
+      console.error('Error when storing the conversation:', err.message);
+    }
+  }
+
+  /**
+   * Checks whether a participant owns a conversation.
+   *
+   * @async
+   * @param {string} conversationId - The conversation id.
+   * @param {string} participantId - The participant id.
+   * @returns {Promise<boolean>} True if the conversation has been started by the participant.
+   */
+  async function isOwner(conversationId, participantId) {
+    if (!conversationId || !participantId) return false;
+    if (!owners.has(conversationId)) {
+      const result = await pool.query(
+        'SELECT participant_id FROM conversations WHERE conversation_id = $1',
+        [conversationId]
+      );
+      if (result.rows.length === 0) return false;
+      owners.set(conversationId, { participantId: result.rows[0].participant_id, addedAt: Date.now() });
+    }
+    return owners.get(conversationId).participantId === participantId;
+  }
+
+  return { register, isOwner };
+}
+
+module.exports = { createConversationRegistry, conversationTtl };
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview This module creates the connection pool to the postgreSQL database.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const { Pool } = require('pg');
+
+/**
+ * Creates the connection pool to the postgreSQL database.
+ *
+ * - Uses the DATABASE_URL from the environment variables.
+ * - Uses ssl without certificate verification (as required by hosted databases), unless
+ *   DATABASE_SSL is set to 'false' (e.g. for a local postgreSQL instance).
+ *
+ * @returns {import('pg').Pool} The connection pool.
+ */
+function createPool() {
+  return new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false }
+  });
+}
+
+module.exports = { createPool };
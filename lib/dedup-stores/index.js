@@ -0,0 +1,68 @@
+/**
+ * @fileoverview This module selects the deduplication store of the /sendmessage endpoint. 
+ * The store remembers which user messages are being sent or have been sent, so that a 
+ * message repeated by the client (e.g. after a network error) is only sent once to the 
+ * chatbot. 
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const { createMemoryDedupStore } = require('./memory');
+const { createPostgresDedupStore } = require('./postgres');
+
+/**
+ * Definition of variables used in the module.
+ * 
+ * - processedTtl @type {number}: the time in milliseconds for which a sent message is 
+ *   remembered. 
+ * - inProgressTtl @type {number}: the time in milliseconds after which a message which is 
+ *   still being sent is considered stuck (e.g. because the request hung or the server was 
+ *   restarted). A stuck message can be sent again. 
+ */
+const processedTtl = 60 * 60 * 1000;   // To be specified: how long sent messages are remembered!
+const inProgressTtl = 60 * 1000;       // To be specified: after which time a sending process is considered stuck!
+
+/**
+ * The interface implemented by every deduplication store. 
+ * 
+ * - begin(key): claims a message key for sending. Resolves to {status: 'new'} if the message 
+ *   can be sent (the key is then in progress), {status: 'in_progress'} if the message is 
+ *   currently being sent, or {status: 'duplicate', id} with the activity id if the message 
+ *   has already been sent. Keys whose entries have expired (see processedTtl and 
+ *   inProgressTtl) are claimed again. 
+ * - complete(key, id): marks a message as sent with the activity id assigned by the chatbot. 
+ * - release(key): removes the claim of a message which could not be sent. 
+ * 
+ * @typedef {object} DedupStore
+ * @property {string} name - The name of the store. 
+ * @property {function(string): Promise<{status: string, id?: string}>} begin
+ * @property {function(string, string): Promise<void>} complete
+ * @property {function(string): Promise<void>} release
+ */
+
+/**
+ * Creates the deduplication store with the specified name. 
+ * 
+ * - 'memory': keeps the entries in the memory of the server process. The protection is lost 
+ *   when the server is restarted and does not work across several server instances. 
+ * - 'postgres': keeps the entries in the message_dedup table, so that the protection works 
+ *   across restarts and several server instances. 
+ * 
+ * @param {string} name - The name of the store (from the DEDUP_STORE environment variable). 
+ * @param {import('pg').Pool} pool - The database connection pool. 
+ * @returns {DedupStore} The deduplication store. 
+ * @throws {Error} If the name is unknown. 
+ */
+function createDedupStore(name, pool) {
+  const options = { processedTtl, inProgressTtl };
+  switch (name) {
+    case 'memory':
+      return createMemoryDedupStore(options);
+    case 'postgres':
+      return createPostgresDedupStore(pool, options);
+    default:
+      throw new Error(`Unknown deduplication store "${name}"`);
+  }
+}
+
+module.exports = { createDedupStore };
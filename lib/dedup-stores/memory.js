@@ -0,0 +1,82 @@
+/**
+ * @fileoverview This module contains the in-memory deduplication store. 
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**
+ * Creates the in-memory deduplication store. 
+ * 
+ * - Keeps an entry per message key with its status ('in_progress' or 'processed'), the 
+ *   activity id and the time of the last update. 
+ * - Removes expired entries every minute. 
+ * 
+ * @param {{processedTtl: number, inProgressTtl: number}} options - The lifetimes of the entries. 
+ * @returns {import('./index').DedupStore} The deduplication store. 
+ */
+function createMemoryDedupStore({ processedTtl, inProgressTtl }) {
+  const entries = new Map();
+
+  /**
+   * Checks whether an entry has expired. 
+   * 
+   * @param {{status: string, updatedAt: number}} entry - The entry. 
+   * @param {number} now - The current time. 
+   * @returns {boolean} True if the entry has expired. 
+   */
+  function isExpired(entry, now) {
+    const ttl = entry.status === 'processed' ? processedTtl : inProgressTtl;
+    return now - entry.updatedAt > ttl;
+  }
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (isExpired(entry, now)) entries.delete(key);
+    }
+  }, 60000).unref();
+
+  /**
+   * Claims a message key for sending (see DedupStore). 
+   * 
+   * @async
+   * @param {string} key - The message key. 
+   * @returns {Promise<{status: string, id?: string}>} The status of the message. 
+   */
+  async function begin(key) {
+    const now = Date.now();
+    const entry = entries.get(key);
+    if (entry && !isExpired(entry, now)) {
+      return entry.status === 'processed' ? { status: 'duplicate', id: entry.id } : { status: 'in_progress' };
+    }
+    entries.set(key, { status: 'in_progress', id: null, updatedAt: now });
+    return { status: 'new' };
+  }
+
+  /**
+   * Marks a message as sent. 
+   * 
+   * @async
+   * @param {string} key - The message key. 
+   * @param {string} id - The activity id of the message. 
+   * @returns {Promise<void>}
+   */
+  async function complete(key, id) {
+    entries.set(key, { status: 'processed', id, updatedAt: Date.now() });
+  }
+
+  /**
+   * Removes the claim of a message which could not be sent. 
+   * 
+   * @async
+   * @param {string} key - The message key. 
+   * @returns {Promise<void>}
+   */
+  async function release(key) {
+    entries.delete(key);
+  }
+
+  return { name: 'memory', begin, complete, release };
+}
+
+module.exports = { createMemoryDedupStore };
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview This module contains the deduplication store in the postgreSQL database. 
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**
+ * Creates the postgreSQL deduplication store. 
+ * 
+ * - Keeps an entry per message key in the message_dedup table with its status 
+ *   ('in_progress' or 'processed'), the activity id and the time of the last update. 
+ * - A key is claimed with a single insert, so that concurrent requests of several server 
+ *   instances cannot claim the same key. An expired entry is taken over by the claim. 
+ * - Removes expired entries every ten minutes. 
+ * 
+ * @param {import('pg').Pool} pool - The database connection pool. 
+ * @param {{processedTtl: number, inProgressTtl: number}} options - The lifetimes of the entries. 
+ * @returns {import('./index').DedupStore} The deduplication store. 
+ */
+function createPostgresDedupStore(pool, { processedTtl, inProgressTtl }) {
+  setInterval(() => {
+    pool.query(`DELETE FROM message_dedup WHERE ${expiredCondition('$1', '$2')}`, [inProgressTtl, processedTtl])
+      .catch(err => console.error('Error when removing expired deduplication entries:', err.message));
+  }, 600000).unref();
+
+  /**
+   * Claims a message key for sending (see DedupStore). 
+   * 
+   * @async
+   * @param {string} key - The message key. 
+   * @returns {Promise<{status: string, id?: string}>} The status of the message. 
+   */
+  async function begin(key) {
+    const claimed = await pool.query(
+      `INSERT INTO message_dedup (message_key, status, activity_id, updated_at)
+       VALUES ($1, 'in_progress', NULL, now())
+       ON CONFLICT (message_key) DO UPDATE
+         SET status = 'in_progress', activity_id = NULL, updated_at = now()
+         WHERE ${expiredCondition('$2', '$3')}
+       RETURNING message_key`,
+      [key, inProgressTtl, processedTtl]
+    );
+    if (claimed.rows.length > 0) {
+      return { status: 'new' };
+    }
+    const result = await pool.query(
+      'SELECT status, activity_id FROM message_dedup WHERE message_key = $1',
+      [key]
+    );
+    const entry = result.rows[0];
+    if (!entry) {
+      // The entry has been released between the insert and the select.
+      return begin(key);
+    }
+    return entry.status === 'processed' ? { status: 'duplicate', id: entry.activity_id } : { status: 'in_progress' };
+  }
+
+  /**
+   * Marks a message as sent. 
+   * 
+   * @async
+   * @param {string} key - The message key. 
+   * @param {string} id - The activity id of the message. 
+   * @returns {Promise<void>}
+   */
+  async function complete(key, id) {
+    await pool.query(
+      `UPDATE message_dedup SET status = 'processed', activity_id = $2, updated_at = now()
+       WHERE message_key = $1`,
+      [key, id]
+    );
+  }
+
+  /**
+   * Removes the claim of a message which could not be sent. 
+   * 
+   * @async
+   * @param {string} key - The message key. 
+   * @returns {Promise<void>}
+   */
+  async function release(key) {
+    await pool.query("DELETE FROM message_dedup WHERE message_key = $1 AND status = 'in_progress'", [key]);
+  }
+
+  return { name: 'postgres', begin, complete, release };
+}
+
+/**
+ * Returns the sql condition selecting the expired entries of the message_dedup table. 
+ * 
+ * @param {string} inProgressTtlParam - The query parameter with the inProgressTtl. 
+ * @param {string} processedTtlParam - The query parameter with the processedTtl. 
+ * @returns {string} The sql condition. 
+ */
+function expiredCondition(inProgressTtlParam, processedTtlParam) {
+  return `(message_dedup.status = 'in_progress' AND message_dedup.updated_at < now() - ${inProgressTtlParam}::float8 * interval '1 millisecond')
+     OR (message_dedup.status = 'processed' AND message_dedup.updated_at < now() - ${processedTtlParam}::float8 * interval '1 millisecond')`;
+}
+
+module.exports = { createPostgresDedupStore };
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview This module contains the storage of the email addresses collected at the end
+ * of the survey (e.g. for a raffle or a follow-up study). The email addresses are encrypted
+ * at rest and stored without any link to the participant id or the survey response.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the module.
+ *
+ * - emailPurposes @type {string[]}: the purposes for which email addresses can be collected.
+ * - emailPattern @type {RegExp}: the accepted format of an email address.
+ * - maxEmailLength @type {number}: the maximum length of an email address.
+ */
+const emailPurposes = ['raffle', 'follow_up'];
+const emailPattern = /^[^\s@"<>()\[\],;:\\]+@[^\s@"<>()\[\],;:\\]+\.[^\s@"<>()\[\],;:\\]{2,}$/;
+const maxEmailLength = 254;
+
+/**************************************************************************
+ * Validation and encryption
+ **************************************************************************/
+
+/**
+ * Normalizes an email address (trimmed, lower case).
+ *
+ * @param {string} email - The email address.
+ * @returns {string} The normalized email address.
+ */
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+/**
+ * Checks whether an email address has a valid format.
+ *
+ * @param {string} email - The normalized email address.
+ * @returns {boolean} True if the email address is valid.
+ */
+function isValidEmail(email) {
+  return email.length <= maxEmailLength && emailPattern.test(email);
+}
+
+/**
+ * Creates the keys for the encryption of the email addresses.
+ *
+ * - The master key is the EMAIL_ENCRYPTION_KEY environment variable (32 bytes, hex or
+ *   base64 encoded, e.g. generated with "openssl rand -hex 32").
+ * - Two keys are derived from the master key: one for the aes-256-gcm encryption and one for
+ *   the keyed hash (hmac-sha256) used to find an address without decrypting all addresses.
+ *
+ * @param {string} masterKey - The encoded master key.
+ * @returns {{encryptionKey: Buffer, hashKey: Buffer}} The derived keys.
+ * @throws {Error} If the master key is missing or does not have 32 bytes.
+ */
+function createEmailKeys(masterKey) {
+  if (!masterKey) {
+    throw new Error('EMAIL_ENCRYPTION_KEY is required to collect email addresses');
+  }
+  const key = /^[0-9a-f]{64}$/i.test(masterKey) ? Buffer.from(masterKey, 'hex') : Buffer.from(masterKey, 'base64');
+  if (key.length !== 32) {
+    throw new Error('EMAIL_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+  return {
+    encryptionKey: Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), 'email-encryption', 32)),
+    hashKey: Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), 'email-hash', 32))
+  };
+}
+
+/**
+ * Encrypts an email address with aes-256-gcm.
+ *
+ * @param {{encryptionKey: Buffer}} keys - The email keys.
+ * @param {string} email - The email address.
+ * @returns {string} The initialization vector, the authentication tag and the ciphertext,
+ * base64 encoded and separated by dots.
+ */
+function encryptEmail(keys, email) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keys.encryptionKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(email, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypts an email address encrypted by encryptEmail().
+ *
+ * @param {{encryptionKey: Buffer}} keys - The email keys.
+ * @param {string} encrypted - The encrypted email address.
+ * @returns {string} The email address.
+ * @throws {Error} If the data has been modified or was encrypted with another key.
+ */
+function decryptEmail(keys, encrypted) {
+  const [iv, tag, ciphertext] = encrypted.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', keys.encryptionKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Computes the keyed hash of an email address.
+ *
+ * @param {{hashKey: Buffer}} keys - The email keys.
+ * @param {string} email - The normalized email address.
+ * @returns {string} The hex encoded hash.
+ */
+function hashEmail(keys, email) {
+  return crypto.createHmac('sha256', keys.hashKey).update(email).digest('hex');
+}
+
+/**************************************************************************
+ * Storage
+ **************************************************************************/
+
+/**
+ * Stores an email address in the email_contacts table.
+ *
+ * - Stores only the encrypted address, its keyed hash, the purpose and the day of the
+ *   submission. The row id is random and the time of day is not stored, so that a row
+ *   cannot be linked to a survey response by its id or its timestamp.
+ * - An address which has already been stored for the same purpose is stored only once.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {object} keys - The email keys (see createEmailKeys).
+ * @param {string} email - The normalized email address.
+ * @param {string} purpose - The purpose of the collection.
+ * @returns {Promise<void>}
+ */
+async function storeEmail(pool, keys, email, purpose) {
+  await pool.query(
+    `INSERT INTO email_contacts (id, purpose, email_hash, email_encrypted, created_on)
+     VALUES ($1, $2, $3, $4, CURRENT_DATE)
+     ON CONFLICT (purpose, email_hash) DO NOTHING`,
+    [crypto.randomUUID(), purpose, hashEmail(keys, email), encryptEmail(keys, email)]
+  );
+}
+
+/**
+ * Counts the stored email addresses per purpose.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @returns {Promise<Array<{purpose: string, count: number}>>} The number of addresses per
+ * purpose.
+ */
+async function countEmails(pool) {
+  const result = await pool.query(
+    `SELECT purpose, COUNT(*)::int AS count FROM email_contacts
+     GROUP BY purpose ORDER BY purpose`
+  );
+  return result.rows;
+}
+
+/**
+ * Loads and decrypts the email addresses of a purpose.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {object} keys - The email keys (see createEmailKeys).
+ * @param {string} purpose - The purpose of the collection.
+ * @returns {Promise<Array<{email: string, purpose: string, createdOn: string}>>} The email
+ * addresses in random order.
+ */
+async function exportEmails(pool, keys, purpose) {
+  const result = await pool.query(
+    `SELECT purpose, email_encrypted, to_char(created_on, 'YYYY-MM-DD') AS created_on
+     FROM email_contacts WHERE purpose = $1
+     ORDER BY id`,
+    [purpose]
+  );
+  return result.rows.map(row => ({
+    email: decryptEmail(keys, row.email_encrypted),
+    purpose: row.purpose,
+    createdOn: row.created_on
+  }));
+}
+
+/**
+ * Deletes stored email addresses.
+ *
+ * - Deletes a single address (e.g. when a participant withdraws), found by its keyed hash,
+ *   if an email is specified. Otherwise deletes all addresses of the purpose (e.g. after the
+ *   raffle has been drawn).
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {object} keys - The email keys (see createEmailKeys).
+ * @param {{purpose: string, email?: string}} selection - The addresses to be deleted.
+ * @returns {Promise<number>} The number of deleted addresses.
+ */
+async function deleteEmails(pool, keys, selection) {
+  const result = selection.email
+    ? await pool.query(
+        'DELETE FROM email_contacts WHERE purpose = $1 AND email_hash = $2',
+        [selection.purpose, hashEmail(keys, normalizeEmail(selection.email))]
+      )
+    : await pool.query('DELETE FROM email_contacts WHERE purpose = $1', [selection.purpose]);
+  return result.rowCount;
+}
+
+module.exports = {
+  emailPurposes,
+  normalizeEmail,
+  isValidEmail,
+  createEmailKeys,
+  encryptEmail,
+  decryptEmail,
+  storeEmail,
+  countEmails,
+  exportEmails,
+  deleteEmails
+};
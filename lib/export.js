@@ -0,0 +1,564 @@
+/**
+ * @fileoverview This module contains the data export of the researcher area. It flattens the
+ * survey responses into one column per question, provides the transcripts (one row per
+ * message) and the telemetry events (one row per event) in long format and writes them as
+ * csv, json lines or labelled spss syntax, together with a codebook derived from the survey
+ * definition.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the module.
+ *
+ * - datasets @type {string[]}: the exportable datasets ('responses': one row per participant,
+ *   'messages': one row per message, 'events': one row per telemetry event, 'codebook': the
+ *   variables of the responses dataset).
+ * - formats @type {string[]}: the export formats.
+ * - messageColumns @type {object[]}: the columns of the messages dataset.
+ * - eventColumns @type {object[]}: the columns of the events dataset.
+ */
+const datasets = ['responses', 'messages', 'events', 'codebook'];
+const formats = ['csv', 'jsonl', 'spss'];
+const messageColumns = [
+  stringColumn('participant_id', 'Teilnehmer-ID', record => record.participant_id),
+  numericColumn('treatment_group', 'Gruppe', record => record.treatment_group),
+  stringColumn('conversation_id', 'Konversations-ID', record => record.conversation_id),
+  numericColumn('message_index', 'Nummer der Nachricht im Gespräch', record => record.message_index),
+  stringColumn('activity_id', 'Aktivitäts-ID', record => record.activity_id),
+  stringColumn('sender', 'Absender (user/bot)', record => record.sender),
+  stringColumn('text', 'Nachrichtentext', record => record.text),
+  stringColumn('input_type', 'Eingabeart der Nachricht (text/button/card)', record => record.input_type),
+  stringColumn('value', 'Eingaben einer abgeschickten Karte (json)', record => record.value ? JSON.stringify(record.value) : null),
+  stringColumn('timestamp', 'Zeitpunkt der Nachricht', record => toIsoString(record.activity_timestamp)),
+  stringColumn('recorded_at', 'Zeitpunkt der Speicherung', record => toIsoString(record.recorded_at)),
+  numericColumn('seconds_since_previous', 'Sekunden seit der vorherigen Nachricht', record => record.seconds_since_previous)
+];
+const eventColumns = [
+  stringColumn('participant_id', 'Teilnehmer-ID', record => record.participant_id),
+  numericColumn('treatment_group', 'Gruppe', record => record.treatment_group),
+  stringColumn('event_id', 'Ereignis-ID', record => record.event_id),
+  stringColumn('event_type', 'Art des Ereignisses', record => record.event_type),
+  numericColumn('page', 'Seite', record => record.page),
+  stringColumn('timestamp', 'Zeitpunkt des Ereignisses (Client)', record => toIsoString(record.occurred_at)),
+  stringColumn('recorded_at', 'Zeitpunkt der Speicherung', record => toIsoString(record.recorded_at)),
+  stringColumn('data', 'Daten des Ereignisses (json)', record => JSON.stringify(record.data))
+];
+
+/**************************************************************************
+ * Export
+ **************************************************************************/
+
+/**
+ * Creates an export file.
+ *
+ * - Loads the requested dataset, filtered by the date range and the treatment group.
+ * - The date range refers to the submission of the response (responses) or to the time of
+ *   the message (messages) or of the event (events). A "to" date without time includes the
+ *   whole day.
+ * - Writes the dataset in the requested format. The codebook is available as csv and json
+ *   lines.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {object} definition - The survey definition.
+ * @param {{dataset: string, format: string, from: string, to: string, treatmentGroup: string}} query -
+ * The export parameters.
+ * @returns {Promise<{contentType: string, filename: string, body: string}>} The export file.
+ * @throws {Error} If a parameter is invalid (the error has the property status = 400).
+ */
+async function createExport(pool, definition, query) {
+  const dataset = query.dataset || 'responses';
+  const format = query.format || 'csv';
+  if (!datasets.includes(dataset)) throw badRequest(`Unknown dataset "${dataset}"`);
+  if (!formats.includes(format)) throw badRequest(`Unknown format "${format}"`);
+  if (dataset === 'codebook' && format === 'spss') throw badRequest('The codebook is not available as spss syntax');
+  const filters = parseFilters(query);
+
+  let columns;
+  let records;
+  if (dataset === 'messages') {
+    columns = messageColumns;
+    records = await loadMessages(pool, filters);
+  } else if (dataset === 'events') {
+    columns = eventColumns;
+    records = await loadEvents(pool, filters);
+  } else {
+    records = await loadResponses(pool, filters);
+    columns = buildResponseColumns(definition, records);
+    if (dataset === 'codebook') {
+      records = buildCodebook(columns);
+      columns = codebookColumns();
+    }
+  }
+
+  const rows = records.map(record => columns.map(column => column.get(record)));
+  const date = new Date().toISOString().slice(0, 10);
+  switch (format) {
+    case 'jsonl':
+      return { contentType: 'application/x-ndjson', filename: `${dataset}_${date}.jsonl`, body: toJsonLines(columns, rows) };
+    case 'spss':
+      return { contentType: 'text/plain', filename: `${dataset}_${date}.sps`, body: toSpssSyntax(columns, rows) };
+    default:
+      return { contentType: 'text/csv', filename: `${dataset}_${date}.csv`, body: toCsv(columns, rows) };
+  }
+}
+
+/**
+ * Parses the filter parameters of an export.
+ *
+ * @param {{from: string, to: string, treatmentGroup: string}} query - The export parameters.
+ * @returns {{from: Date|null, to: Date|null, treatmentGroup: number|null}} The filters.
+ * @throws {Error} If a parameter is invalid (the error has the property status = 400).
+ */
+function parseFilters(query) {
+  const parseDate = (value, endOfDay) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw badRequest(`Invalid date "${value}"`);
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+    return date;
+  };
+  let treatmentGroup = null;
+  if (query.treatmentGroup !== undefined && query.treatmentGroup !== '') {
+    treatmentGroup = Number(query.treatmentGroup);
+    if (!Number.isInteger(treatmentGroup)) throw badRequest(`Invalid treatment group "${query.treatmentGroup}"`);
+  }
+  return { from: parseDate(query.from, false), to: parseDate(query.to, true), treatmentGroup };
+}
+
+/**
+ * Creates an error for an invalid export parameter.
+ *
+ * @param {string} message - The error message.
+ * @returns {Error} The error with the property status = 400.
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**************************************************************************
+ * Data retrieval
+ **************************************************************************/
+
+/**
+ * Loads the survey responses.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {{from: Date|null, to: Date|null, treatmentGroup: number|null}} filters - The filters.
+ * @returns {Promise<object[]>} The responses with the parsed response data, the url
+ * parameters of the panel, the quality assessment and the presentation order.
+ */
+async function loadResponses(pool, filters) {
+  const result = await pool.query(
+    `SELECT participant_id, treatment_group, response_data, panel_parameters, quality_score, quality_flags,
+            presentation_order, created_at
+     FROM survey_responses
+     WHERE ($1::timestamptz IS NULL OR created_at >= $1)
+       AND ($2::timestamptz IS NULL OR created_at < $2)
+       AND ($3::int IS NULL OR treatment_group = $3)
+     ORDER BY created_at`,
+    [filters.from, filters.to, filters.treatmentGroup]
+  );
+  return result.rows.map(row => ({
+    ...row,
+    data: typeof row.response_data === 'string' ? JSON.parse(row.response_data) : (row.response_data || {}),
+    panel: typeof row.panel_parameters === 'string' ? JSON.parse(row.panel_parameters) : (row.panel_parameters || {}),
+    qualityFlags: typeof row.quality_flags === 'string' ? JSON.parse(row.quality_flags) : row.quality_flags,
+    presentationOrder: typeof row.presentation_order === 'string' ? JSON.parse(row.presentation_order) : row.presentation_order
+  }));
+}
+
+/**
+ * Loads the recorded messages in long format.
+ *
+ * - Numbers the messages of each conversation and adds the seconds since the previous
+ *   message of the conversation.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {{from: Date|null, to: Date|null, treatmentGroup: number|null}} filters - The filters.
+ * @returns {Promise<object[]>} The messages.
+ */
+async function loadMessages(pool, filters) {
+  const result = await pool.query(
+    `SELECT c.participant_id, a.treatment_group, c.conversation_id, c.activity_id, c.sender,
+            c.text, c.input_type, c.activity->'value' AS value, c.activity_timestamp, c.recorded_at
+     FROM conversation_activities c
+     LEFT JOIN treatment_assignments a ON a.participant_id = c.participant_id
+     WHERE ($1::timestamptz IS NULL OR c.activity_timestamp >= $1)
+       AND ($2::timestamptz IS NULL OR c.activity_timestamp < $2)
+       AND ($3::int IS NULL OR a.treatment_group = $3)
+     ORDER BY c.participant_id, c.conversation_id, c.activity_timestamp, c.id`,
+    [filters.from, filters.to, filters.treatmentGroup]
+  );
+
+  let previous = null;
+  return result.rows.map(row => {
+    const sameConversation = previous && previous.conversation_id === row.conversation_id;
+    const record = {
+      ...row,
+      message_index: sameConversation ? previous.message_index + 1 : 1,
+      seconds_since_previous: sameConversation
+        ? (new Date(row.activity_timestamp) - new Date(previous.activity_timestamp)) / 1000
+        : null
+    };
+    previous = record;
+    return record;
+  });
+}
+
+/**
+ * Loads the telemetry events in long format.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {{from: Date|null, to: Date|null, treatmentGroup: number|null}} filters - The filters.
+ * @returns {Promise<object[]>} The events.
+ */
+async function loadEvents(pool, filters) {
+  const result = await pool.query(
+    `SELECT e.participant_id, a.treatment_group, e.event_id, e.event_type, e.page, e.data,
+            e.occurred_at, e.recorded_at
+     FROM telemetry_events e
+     LEFT JOIN treatment_assignments a ON a.participant_id = e.participant_id
+     WHERE ($1::timestamptz IS NULL OR e.occurred_at >= $1)
+       AND ($2::timestamptz IS NULL OR e.occurred_at < $2)
+       AND ($3::int IS NULL OR a.treatment_group = $3)
+     ORDER BY e.participant_id, e.occurred_at, e.id`,
+    [filters.from, filters.to, filters.treatmentGroup]
+  );
+  return result.rows;
+}
+
+/**************************************************************************
+ * Columns and codebook
+ **************************************************************************/
+
+/**
+ * Builds the columns of the responses dataset.
+ *
+ * - Base columns: participant_id, treatment_group, submitted_at, quality_score and
+ *   quality_flags (the types of the quality flags separated by ";", see lib/quality.js).
+ * - Presentation order (see lib/randomization.js): page_order (the page ids separated by
+ *   ";") and one column per randomized page ("order_<pageId>", the question ids) and per
+ *   question with randomized options ("order_<questionId>", the option values).
+ * - One column per captured url parameter of the panel ("panel_<name>", see lib/panel.js).
+ * - One column per question of the survey definition: likert, single choice, slider and
+ *   free text questions get one column, matrix questions one column per row
+ *   ("questionId_rowId"), multiple choice questions one 0/1 column per option
+ *   ("questionId_optionValue").
+ * - Answers which are not part of the survey definition (e.g. consentVersion) get one
+ *   column each, in alphabetical order.
+ *
+ * @param {object} definition - The survey definition.
+ * @param {object[]} records - The loaded responses.
+ * @returns {object[]} The columns.
+ */
+function buildResponseColumns(definition, records) {
+  const columns = [
+    stringColumn('participant_id', 'Teilnehmer-ID', record => record.participant_id),
+    numericColumn('treatment_group', 'Gruppe', record => record.treatment_group),
+    stringColumn('submitted_at', 'Zeitpunkt der Abgabe', record => toIsoString(record.created_at)),
+    numericColumn('quality_score', 'Qualitätswert', record => toNumberOrNull(record.quality_score)),
+    stringColumn('quality_flags', 'Qualitätsmerkmale', record => record.qualityFlags
+      ? Array.from(new Set(record.qualityFlags.map(flag => flag.type))).join(';')
+      : null)
+  ];
+  const orderColumns = { questions: new Set(), options: new Set() };
+  records.forEach(record => {
+    const order = record.presentationOrder || { questions: {}, options: {} };
+    Object.keys(order.questions).forEach(key => orderColumns.questions.add(key));
+    Object.keys(order.options).forEach(key => orderColumns.options.add(key));
+  });
+  columns.push(stringColumn('page_order', 'Reihenfolge der Seiten', record => 
+    record.presentationOrder ? record.presentationOrder.pages.join(';') : null));
+  ['questions', 'options'].forEach(part => Array.from(orderColumns[part]).sort().forEach(key => {
+    columns.push(stringColumn(`order_${key}`, `Reihenfolge: ${key}`, record => 
+      record.presentationOrder && record.presentationOrder[part][key] 
+        ? record.presentationOrder[part][key].join(';') 
+        : null));
+  }));
+  const panelKeys = new Set();
+  records.forEach(record => Object.keys(record.panel).forEach(key => panelKeys.add(key)));
+  Array.from(panelKeys).sort().forEach(key => {
+    columns.push(stringColumn(`panel_${key}`, `Panel: ${key}`, record => record.panel[key]));
+  });
+  const coveredKeys = new Set();
+
+  definition.pages.forEach(page => {
+    (page.questions || []).forEach(question => {
+      coveredKeys.add(question.id);
+      const scaleLabels = labelsFromScale(question.scale);
+      switch (question.type) {
+        case 'likert':
+          columns.push(numericColumn(question.id, question.text, record => record.data[question.id], scaleLabels));
+          break;
+        case 'matrix':
+          question.rows.forEach(row => {
+            const key = `${question.id}_${row.id}`;
+            coveredKeys.add(key);
+            columns.push(numericColumn(key, `${question.text} - ${row.text}`, record => record.data[key], scaleLabels));
+          });
+          break;
+        case 'single': {
+          const numeric = question.options.every(option => typeof option.value === 'number');
+          const valueLabels = numeric ? Object.fromEntries(question.options.map(option => [option.value, option.label])) : null;
+          const get = record => record.data[question.id];
+          columns.push(numeric
+            ? numericColumn(question.id, question.text, get, valueLabels)
+            : stringColumn(question.id, question.text, get));
+          break;
+        }
+        case 'multiple':
+          question.options.forEach(option => {
+            columns.push(numericColumn(
+              `${question.id}_${option.value}`,
+              `${question.text} - ${option.label}`,
+              record => {
+                const answer = record.data[question.id];
+                if (!Array.isArray(answer)) return null;
+                return answer.includes(option.value) ? 1 : 0;
+              },
+              { 0: 'nicht gewählt', 1: 'gewählt' }
+            ));
+          });
+          break;
+        case 'slider':
+          columns.push(numericColumn(question.id, question.text, record => record.data[question.id]));
+          break;
+        default:
+          columns.push(stringColumn(question.id, question.text, record => record.data[question.id]));
+      }
+    });
+  });
+
+  const extraKeys = new Set();
+  records.forEach(record => Object.keys(record.data).forEach(key => {
+    if (!coveredKeys.has(key)) extraKeys.add(key);
+  }));
+  Array.from(extraKeys).sort().forEach(key => {
+    const numeric = records.every(record => record.data[key] === undefined || typeof record.data[key] === 'number');
+    const get = record => {
+      const value = record.data[key];
+      return (value !== null && typeof value === 'object') ? JSON.stringify(value) : value;
+    };
+    columns.push(numeric ? numericColumn(key, key, get) : stringColumn(key, key, get));
+  });
+
+  return columns;
+}
+
+/**
+ * Builds the codebook of a dataset.
+ *
+ * @param {object[]} columns - The columns of the dataset.
+ * @returns {object[]} One codebook entry per column (variable, label, type and value labels).
+ */
+function buildCodebook(columns) {
+  return columns.map(column => ({
+    variable: column.name,
+    label: column.label,
+    type: column.type,
+    values: column.valueLabels
+      ? Object.entries(column.valueLabels).map(([value, label]) => `${value} = ${label}`).join('; ')
+      : null
+  }));
+}
+
+/**
+ * Returns the columns of the codebook dataset.
+ *
+ * @returns {object[]} The columns.
+ */
+function codebookColumns() {
+  return ['variable', 'label', 'type', 'values'].map(name => stringColumn(name, name, record => record[name]));
+}
+
+/**
+ * Creates a numeric column.
+ *
+ * @param {string} name - The variable name.
+ * @param {string} label - The variable label.
+ * @param {function(object): any} get - Returns the value of a record.
+ * @param {Object.<string, string>|null} valueLabels - The value labels.
+ * @returns {object} The column.
+ */
+function numericColumn(name, label, get, valueLabels = null) {
+  return { name, label, type: 'numeric', get, valueLabels };
+}
+
+/**
+ * Creates a string column.
+ *
+ * @param {string} name - The variable name.
+ * @param {string} label - The variable label.
+ * @param {function(object): any} get - Returns the value of a record.
+ * @returns {object} The column.
+ */
+function stringColumn(name, label, get) {
+  return { name, label, type: 'string', get, valueLabels: null };
+}
+
+/**
+ * Creates the value labels 1 to n of a rating scale.
+ *
+ * @param {string[]|undefined} scale - The labels of the scale points.
+ * @returns {Object.<string, string>|null} The value labels.
+ */
+function labelsFromScale(scale) {
+  if (!Array.isArray(scale)) return null;
+  return Object.fromEntries(scale.map((label, index) => [index + 1, label]));
+}
+
+/**
+ * Converts a database timestamp to an iso string.
+ *
+ * @param {Date|string|null} value - The timestamp.
+ * @returns {string|null} The iso string.
+ */
+function toIsoString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Converts a numeric database value to a number.
+ *
+ * @param {string|number|null} value - The database value.
+ * @returns {number|null} The number, or null if there is no value.
+ */
+function toNumberOrNull(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+/**************************************************************************
+ * Output formats
+ **************************************************************************/
+
+/**
+ * Writes a dataset as csv (comma-separated, with a header row).
+ *
+ * - Text values starting with =, +, -, @, a tab or a carriage return are prefixed with "'",
+ *   so that spreadsheet programs do not run texts written by participants (e.g. chat
+ *   messages or free text answers) as formulas. Numbers are written unchanged.
+ *
+ * @param {object[]} columns - The columns.
+ * @param {any[][]} rows - The rows.
+ * @returns {string} The csv text.
+ */
+function toCsv(columns, rows) {
+  const escape = value => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.map(column => escape(column.name)).join(',')];
+  rows.forEach(row => lines.push(row.map(escape).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes a dataset as json lines (one json object per row).
+ *
+ * @param {object[]} columns - The columns.
+ * @param {any[][]} rows - The rows.
+ * @returns {string} The json lines text.
+ */
+function toJsonLines(columns, rows) {
+  return rows.map(row => JSON.stringify(
+    Object.fromEntries(columns.map((column, index) => [column.name, row[index] === undefined ? null : row[index]]))
+  )).join('\n') + (rows.length ? '\n' : '');
+}
+
+/**
+ * Writes a dataset as spss syntax.
+ *
+ * - The syntax contains the data inline (DATA LIST ... BEGIN DATA ... END DATA), the
+ *   variable labels and the value labels, so that running it in spss creates a fully
+ *   labelled dataset.
+ * - Variable names are converted to valid, unique spss names. The width of string variables
+ *   is the longest value in bytes (utf-8). Line breaks in strings are replaced by spaces.
+ *
+ * @param {object[]} columns - The columns.
+ * @param {any[][]} rows - The rows.
+ * @returns {string} The spss syntax.
+ */
+function toSpssSyntax(columns, rows) {
+  const names = spssNames(columns);
+  const quote = text => `"${String(text).replace(/[\r\n]+/g, ' ').replace(/"/g, '""')}"`;
+  const widths = columns.map((column, index) => {
+    if (column.type !== 'string') return null;
+    const longest = rows.reduce((max, row) => {
+      const value = row[index];
+      return Math.max(max, value === null || value === undefined ? 0 : Buffer.byteLength(String(value), 'utf8'));
+    }, 1);
+    return Math.min(Math.max(longest, 1), 32767);
+  });
+
+  const lines = [];
+  lines.push('* Encoding: UTF-8.');
+  lines.push('DATA LIST LIST(",") /');
+  columns.forEach((column, index) => {
+    lines.push(`  ${names[index]} ${column.type === 'string' ? `(A${widths[index]})` : '(F8.2)'}`);
+  });
+  lines.push('.');
+  lines.push('BEGIN DATA');
+  rows.forEach(row => {
+    lines.push(row.map((value, index) => {
+      if (value === null || value === undefined) return columns[index].type === 'string' ? '""' : '';
+      return columns[index].type === 'string' ? quote(value) : String(value);
+    }).join(','));
+  });
+  lines.push('END DATA.');
+  lines.push('');
+  lines.push('VARIABLE LABELS');
+  lines.push(columns.map((column, index) => `  ${names[index]} ${quote(column.label)}`).join('\n') + '.');
+  const labelled = columns
+    .map((column, index) => ({ column, name: names[index] }))
+    .filter(({ column }) => column.valueLabels);
+  if (labelled.length > 0) {
+    lines.push('');
+    lines.push('VALUE LABELS');
+    lines.push(labelled.map(({ column, name }) => {
+      const values = Object.entries(column.valueLabels).map(([value, label]) => `    ${value} ${quote(label)}`);
+      return [`  /${name}`, ...values].join('\n');
+    }).join('\n') + '.');
+  }
+  lines.push('');
+  lines.push('EXECUTE.');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Converts the column names to valid and unique spss variable names.
+ *
+ * - Replaces invalid characters by "_", prefixes names not starting with a letter by "v"
+ *   and truncates the names to 64 characters.
+ *
+ * @param {object[]} columns - The columns.
+ * @returns {string[]} The spss variable names.
+ */
+function spssNames(columns) {
+  const used = new Set();
+  return columns.map(column => {
+    let name = column.name.replace(/[^A-Za-z0-9_.]/g, '_');
+    if (!/^[A-Za-z]/.test(name)) name = `v${name}`;
+    name = name.slice(0, 64).replace(/[._]+$/, '') || 'v';
+    let unique = name;
+    for (let i = 2; used.has(unique.toLowerCase()); i++) {
+      unique = `${name.slice(0, 60)}_${i}`;
+    }
+    used.add(unique.toLowerCase());
+    return unique;
+  });
+}
+
+module.exports = { createExport, toCsv, toJsonLines, toSpssSyntax };
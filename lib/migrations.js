@@ -0,0 +1,136 @@
+/**
+ * @fileoverview This module applies the database schema migrations. The migrations are the
+ * sql files in the migrations directory (e.g. 001_initial_schema.sql). They are applied in
+ * the order of their version number, and every applied version is recorded in the
+ * schema_migrations table. The module is run at server startup and can be run on its own
+ * with "npm run migrate".
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the module.
+ *
+ * - migrationsDirectory @type {string}: the directory containing the migration files.
+ * - migrationFilePattern @type {RegExp}: the pattern of a migration file name, consisting
+ *   of the version number and a description.
+ */
+const migrationsDirectory = path.join(__dirname, '..', 'migrations');
+const migrationFilePattern = /^(\d+)_([\w-]+)\.sql$/;
+
+/**************************************************************************
+ * Migrations
+ **************************************************************************/
+
+/**
+ * Loads the migration files.
+ *
+ * @param {string} directory - The directory containing the migration files.
+ * @returns {Array<{version: number, name: string, sql: string}>} The migrations, ordered
+ * by version.
+ * @throws {Error} If two migration files have the same version.
+ */
+function loadMigrations(directory) {
+  const migrations = fs.readdirSync(directory)
+    .map(file => ({ file, match: file.match(migrationFilePattern) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      sql: fs.readFileSync(path.join(directory, file), 'utf8')
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Migration version ${migration.version} is used twice`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Applies all pending migrations.
+ *
+ * - Creates the schema_migrations table if it does not exist.
+ * - Holds an advisory lock while migrating, so that several server instances starting at
+ *   the same time do not apply a migration twice.
+ * - Applies every migration whose version is not yet recorded in its own transaction,
+ *   together with the record of its version. A failing migration is rolled back and
+ *   stops the migration run.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {string} [directory] - The directory containing the migration files.
+ * @returns {Promise<number[]>} The versions applied in this run.
+ */
+async function runMigrations(pool, directory = migrationsDirectory) {
+  const migrations = loadMigrations(directory);
+  const client = await pool.connect();
+  const applied = [];
+  try {
+    await client.query("SELECT pg_advisory_lock(hashtext('schema_migrations'))");
+    await client.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version INTEGER PRIMARY KEY,
+         name TEXT NOT NULL,
+         applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+       )`
+    );
+    const result = await client.query('SELECT version FROM schema_migrations');
+    const appliedVersions = new Set(result.rows.map(row => row.version));
+
+    for (const migration of migrations) {
+      if (appliedVersions.has(migration.version)) continue;
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`);
+      }
+      console.log(`Applied migration ${migration.version} (${migration.name})`);
+      applied.push(migration.version);
+    }
+  } finally {
+    await client.query("SELECT pg_advisory_unlock(hashtext('schema_migrations'))").catch(() => {});
+    client.release();
+  }
+  return applied;
+}
+
+/**************************************************************************
+ * Command line
+ **************************************************************************/
+
+/**
+ * Runs the migrations when the module is executed directly ("npm run migrate").
+ */
+if (require.main === module) {
+  require('dotenv').config();
+  const { createPool } = require('./db');
+  const pool = createPool();
+  runMigrations(pool)
+    .then(applied => {
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database schema is up to date');
+    })
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { runMigrations, loadMigrations };
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview This module contains the integration of panel providers (e.g. Prolific, MTurk
+ * or SoSci Survey panels): the capture of the url parameters passed by the panel, the
+ * protection against panel members participating twice and the redirect urls leading the
+ * participants back to the panel (completion, screen-out and over-quota).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the module.
+ *
+ * - panelStatuses @type {string[]}: the statuses of a panel participant ('started', 'complete',
+ *   'screenout' or 'overquota'). The status determines the redirect back to the panel.
+ * - maxParameterLength @type {number}: the maximum length of a captured url parameter.
+ */
+const panelStatuses = ['started', 'complete', 'screenout', 'overquota'];
+const maxParameterLength = 200;
+
+/**************************************************************************
+ * Url parameters and redirects
+ **************************************************************************/
+
+/**
+ * Captures the configured url parameters of the panel.
+ *
+ * - Only parameters with a non-empty text value of at most maxParameterLength characters
+ *   are captured.
+ *
+ * @param {Object.<string, any>} query - The query parameters of the request.
+ * @param {string[]} names - The names of the parameters to be captured.
+ * @returns {Object.<string, string>} The captured parameters.
+ */
+function parsePanelParameters(query, names) {
+  const parameters = {};
+  names.forEach(name => {
+    const value = query[name];
+    if (typeof value === 'string' && value.trim() && value.length <= maxParameterLength) {
+      parameters[name] = value.trim();
+    }
+  });
+  return parameters;
+}
+
+/**
+ * Builds a redirect url back to the panel.
+ *
+ * - Placeholders of the form {NAME} in the url are replaced by the captured url parameter
+ *   NAME (url encoded), e.g. "https://www.soscisurvey.de/panel/?i={i}&code=complete".
+ *   Placeholders of missing parameters are replaced by an empty text.
+ *
+ * @param {string|null} template - The configured redirect url.
+ * @param {Object.<string, string>} parameters - The captured url parameters.
+ * @returns {string|null} The redirect url, or null if no redirect is configured.
+ */
+function buildPanelRedirect(template, parameters) {
+  if (!template) return null;
+  return template.replace(/\{([^{}]+)\}/g, (match, name) => encodeURIComponent(parameters[name] || ''));
+}
+
+/**************************************************************************
+ * Panel participants
+ **************************************************************************/
+
+/**
+ * Registers a participant recruited via the panel.
+ *
+ * - Stores the captured url parameters and the panel id in the panel_participants table.
+ * - The panel id is unique: if a participant with the same panel id has already been
+ *   registered, the participant is not registered and false is returned. The check and the
+ *   registration are one statement, so that two simultaneous visits cannot both succeed.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {string} participantId - The new participant id.
+ * @param {string|null} panelId - The panel id (null if the panel does not pass one).
+ * @param {Object.<string, string>} parameters - The captured url parameters.
+ * @returns {Promise<boolean>} True if the participant has been registered.
+ */
+async function registerPanelParticipant(pool, participantId, panelId, parameters) {
+  const result = await pool.query(
+    `INSERT INTO panel_participants (participant_id, panel_id, parameters)
+     VALUES ($1, $2, $3)
+     ON CONFLICT DO NOTHING
+     RETURNING participant_id`,
+    [participantId, panelId || null, JSON.stringify(parameters)]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Removes the registration of a participant (e.g. if the participation could not be
+ * started because of an error), so that the panel member can try again.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {string} participantId - The participant id.
+ * @returns {Promise<void>}
+ */
+async function removePanelParticipant(pool, participantId) {
+  await pool.query('DELETE FROM panel_participants WHERE participant_id = $1', [participantId]);
+}
+
+/**
+ * Loads the panel registration of a participant.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {string} participantId - The participant id.
+ * @returns {Promise<{parameters: Object.<string, string>, status: string}|null>} The
+ * registration, or null if the participant has not been recruited via the panel.
+ */
+async function getPanelParticipant(pool, participantId) {
+  const result = await pool.query(
+    'SELECT parameters, status FROM panel_participants WHERE participant_id = $1',
+    [participantId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Sets the status of a participant.
+ *
+ * - Participants who have not been recruited via the panel are registered without url
+ *   parameters, so that the status (e.g. a screen-out) is also kept for them.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {string} participantId - The participant id.
+ * @param {string} status - The new status (see panelStatuses).
+ * @returns {Promise<void>}
+ * @throws {Error} If the status is unknown.
+ */
+async function setPanelStatus(pool, participantId, status) {
+  if (!panelStatuses.includes(status)) {
+    throw new Error(`Unknown panel status "${status}"`);
+  }
+  await pool.query(
+    `INSERT INTO panel_participants (participant_id, status)
+     VALUES ($1, $2)
+     ON CONFLICT (participant_id) DO UPDATE SET status = EXCLUDED.status, updated_at = now()`,
+    [participantId, status]
+  );
+}
+
+module.exports = {
+  parsePanelParameters,
+  buildPanelRedirect,
+  registerPanelParticipant,
+  removePanelParticipant,
+  getPanelParticipant,
+  setPanelStatus
+};
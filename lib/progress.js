@@ -0,0 +1,226 @@
+/**
+ * @fileoverview This module contains the storage of the progress of a participation (current
+ * page, answers and conversation), so that a participant can resume the survey on another
+ * device or in another browser session with a resume code or a link containing it. The
+ * progress is only stored for participants who have requested a resume code.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the module.
+ *
+ * - resumeCodeAlphabet @type {string}: the characters of a resume code (without characters
+ *   which are easily confused, such as 0 and O or 1 and I).
+ * - resumeCodeLength @type {number}: the number of characters of a resume code.
+ * - resumeCodeMaxAge @type {number}: the time in milliseconds during which a resume code
+ *   can be used.
+ * - maxProgressLength @type {number}: the maximum length of the stored progress (serialized
+ *   as json).
+ */
+const resumeCodeAlphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const resumeCodeLength = 10;
+const resumeCodeMaxAge = 7 * 24 * 60 * 60 * 1000;   // To be specified: how long a participation can be resumed!
+const maxProgressLength = 50000;
+
+/**************************************************************************
+ * Resume codes
+ **************************************************************************/
+
+/**
+ * Creates a new resume code for a participant.
+ *
+ * - The code consists of resumeCodeLength random characters, written in two groups (e.g.
+ *   "K7PXM-2QRTA"). Only its hash is stored, so that the codes cannot be read from the
+ *   database.
+ * - A participant has one valid code. Requesting a new code replaces the previous one; the
+ *   stored progress is kept.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {string} participantId - The participant id of the session.
+ * @returns {Promise<string>} The resume code.
+ */
+async function createResumeCode(pool, participantId) {
+  let code = '';
+  for (let i = 0; i < resumeCodeLength; i++) {
+    code += resumeCodeAlphabet.charAt(crypto.randomInt(resumeCodeAlphabet.length));
+  }
+  code = `${code.slice(0, resumeCodeLength / 2)}-${code.slice(resumeCodeLength / 2)}`;
+  await pool.query(
+    `INSERT INTO participant_progress (participant_id, resume_code_hash)
+     VALUES ($1, $2)
+     ON CONFLICT (participant_id) DO UPDATE
+       SET resume_code_hash = EXCLUDED.resume_code_hash, resume_code_issued_at = now()`,
+    [participantId, hashResumeCode(code)]
+  );
+  return code;
+}
+
+/**
+ * Computes the hash of a resume code.
+ *
+ * - The code is normalized first (upper case, without spaces and hyphens), so that it is
+ *   accepted however it has been typed.
+ *
+ * @param {string} code - The resume code.
+ * @returns {string} The hex encoded sha-256 hash.
+ */
+function hashResumeCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**************************************************************************
+ * Progress
+ **************************************************************************/
+
+/**
+ * Validates the progress sent by the client.
+ *
+ * - The progress consists of the current page, the visited pages (historyStates), the
+ *   answers (responses) and whether the final dialogue state has been reached.
+ *
+ * @param {any} body - The request body.
+ * @returns {{currentPage: number, historyStates: Array<{page: number}>,
+ * responses: Object.<string, any>, dialogueFinished: boolean}} The validated progress.
+ * @throws {Error} If the progress is invalid or too large (the error has the property
+ * status = 400).
+ */
+function parseProgress(body) {
+  const { currentPage, historyStates, responses, dialogueFinished } = body || {};
+  const valid =
+    Number.isInteger(currentPage) && currentPage >= 1 &&
+    Array.isArray(historyStates) && historyStates.every(state => state && Number.isInteger(state.page)) &&
+    responses && typeof responses === 'object' && !Array.isArray(responses) &&
+    JSON.stringify({ historyStates, responses }).length <= maxProgressLength;
+  if (!valid) {
+    const error = new Error('A valid progress is required.');
+    error.status = 400;
+    throw error;
+  }
+  return {
+    currentPage,
+    historyStates: historyStates.map(state => ({ page: state.page })),
+    responses,
+    dialogueFinished: dialogueFinished === true
+  };
+}
+
+/**
+ * Stores the progress of a participant.
+ *
+ * - Only stores the progress if the participant has requested a resume code (otherwise, the
+ *   participation cannot be resumed anyway).
+ * - The conversation pointer is the conversation id of the session, so that the conversation
+ *   can be continued after resuming.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {string} participantId - The participant id of the session.
+ * @param {string|null} conversationId - The conversation id of the session.
+ * @param {object} progress - The validated progress (see parseProgress).
+ * @returns {Promise<boolean>} True if the progress has been stored.
+ */
+async function saveProgress(pool, participantId, conversationId, progress) {
+  const result = await pool.query(
+    `UPDATE participant_progress
+     SET conversation_id = COALESCE($2, conversation_id), current_page = $3, history_states = $4,
+         responses = $5, dialogue_finished = $6, updated_at = now()
+     WHERE participant_id = $1`,
+    [
+      participantId,
+      conversationId || null,
+      progress.currentPage,
+      JSON.stringify(progress.historyStates),
+      JSON.stringify(progress.responses),
+      progress.dialogueFinished
+    ]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Loads the stored progress of the participant with a resume code.
+ *
+ * - Returns null if the code is unknown or older than resumeCodeMaxAge.
+ * - Includes the treatment group of the participant, whether the participant has already
+ *   submitted the survey and the messages of the conversation (see loadConversation).
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {string} code - The resume code.
+ * @returns {Promise<{participantId: string, treatmentGroup: number, submitted: boolean,
+ * conversationId: string|null, progress: object, messages: object[]}|null>} The progress.
+ */
+async function loadProgressByResumeCode(pool, code) {
+  const result = await pool.query(
+    `SELECT p.participant_id, a.treatment_group, p.conversation_id, p.current_page,
+            p.history_states, p.responses, p.dialogue_finished, p.resume_code_issued_at,
+            EXISTS (SELECT 1 FROM survey_responses r WHERE r.participant_id = p.participant_id) AS submitted
+     FROM participant_progress p
+     JOIN treatment_assignments a ON a.participant_id = p.participant_id
+     WHERE p.resume_code_hash = $1`,
+    [hashResumeCode(code)]
+  );
+  const row = result.rows[0];
+  if (!row || Date.now() - new Date(row.resume_code_issued_at).getTime() > resumeCodeMaxAge) {
+    return null;
+  }
+  return {
+    participantId: row.participant_id,
+    treatmentGroup: row.treatment_group,
+    submitted: row.submitted,
+    conversationId: row.conversation_id,
+    progress: {
+      currentPage: row.current_page,
+      historyStates: row.history_states,
+      responses: row.responses,
+      dialogueFinished: row.dialogue_finished
+    },
+    messages: row.conversation_id ? await loadConversation(pool, row.conversation_id) : []
+  };
+}
+
+/**
+ * Loads the messages of a conversation from the recorded transcript (see lib/transcript.js).
+ *
+ * - Besides the text, each message contains the parts of the activity which are needed to
+ *   display it again: the input type and value of user messages, and the attachments,
+ *   suggested actions and finalState value of bot messages.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {string} conversationId - The conversation id.
+ * @returns {Promise<Array<{activityId: string, from: string, text: string, inputType: string|null,
+ * value: object|null, attachments: object[], suggestedActions: object[], finalState: boolean,
+ * timestamp: string}>>} The messages in chronological order.
+ */
+async function loadConversation(pool, conversationId) {
+  const result = await pool.query(
+    `SELECT activity_id, sender, text, input_type, activity, activity_timestamp
+     FROM conversation_activities
+     WHERE conversation_id = $1
+     ORDER BY activity_timestamp, id`,
+    [conversationId]
+  );
+  return result.rows.map(row => ({
+    activityId: row.activity_id,
+    from: row.sender,
+    text: row.text || '',
+    inputType: row.input_type,
+    value: row.activity.value || null,
+    attachments: row.activity.attachments || [],
+    suggestedActions: (row.activity.suggestedActions && row.activity.suggestedActions.actions) || [],
+    finalState: Boolean(row.activity.channelData && row.activity.channelData.finalState),
+    timestamp: row.activity_timestamp
+  }));
+}
+
+module.exports = { createResumeCode, parseProgress, saveProgress, loadProgressByResumeCode };
@@ -0,0 +1,292 @@
+/**
+ * @fileoverview This module assesses the quality of a survey response when it is submitted:
+ * the answers to the attention-check questions, the time spent on the survey pages,
+ * straight-lining on matrix questions and the user messages of the chat (pasted, gibberish
+ * and copied messages). Each detected problem is recorded as a flag, and the quality score
+ * is computed from the flags.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the module.
+ *
+ * - qualityPenalties @type {Object.<string, number>}: the penalty of each flag type. The
+ *   quality score is 1 minus the penalties of all flag types detected in a response (at
+ *   least 0), so a flag type reduces the score only once, however often it occurs.
+ * - straightliningMinRows @type {number}: the minimum number of rows of a matrix question
+ *   for which identical answers in all rows are flagged as straight-lining.
+ * - maxTypedShareOfPastedMessage @type {number}: a message containing pasted text is flagged
+ *   if less than this share of its characters has been typed.
+ * - gibberishMinLength @type {number}: the minimum number of letters of a message checked
+ *   for gibberish.
+ * - minVowelShare @type {number}: a message with a smaller share of vowels among its letters
+ *   is flagged as gibberish.
+ * - maxConsonantRun @type {number}: a message with a word containing more consecutive
+ *   consonants is flagged as gibberish ("ch" and "sch" count as one consonant).
+ * - keyboardSequences @type {string[]}: runs of adjacent keys of the keyboard (e.g. "asdf").
+ *   Runs which occur in ordinary words (e.g. "wert" in "Bewertung") must not be listed.
+ * - keyboardMinShare @type {number}: a word is flagged as gibberish if at least this share
+ *   of its letters belongs to runs of adjacent keys.
+ * - copiedMinLength @type {number}: the minimum length of a message checked for being a
+ *   copy of a previous user message or of a bot message.
+ */
+const qualityPenalties = {           // To be specified: the penalties of the flag types!
+  attention_check: 0.3,
+  too_fast: 0.15,
+  straightlining: 0.15,
+  pasted_message: 0.1,
+  gibberish_message: 0.1,
+  copied_message: 0.1
+};
+const straightliningMinRows = 4;
+const maxTypedShareOfPastedMessage = 0.5;
+const gibberishMinLength = 5;
+const minVowelShare = 0.15;
+const maxConsonantRun = 6;
+const keyboardSequences = [
+  'qwer', 'asdf', 'sdfg', 'dfgh', 'fghj', 'ghjk', 'hjkl', 'yxcv', 'xcvb', 'cvbn', 'vbnm', 'zxcv',
+  'uiop', 'poiu', 'lkjh', 'kjhg', 'jhgf', 'hgfd', 'gfds', 'fdsa', 'mnbv', 'nbvc', 'bvcx', 'vcxy'
+];
+const keyboardMinShare = 0.5;
+const copiedMinLength = 20;
+
+/**************************************************************************
+ * Quality assessment
+ **************************************************************************/
+
+/**
+ * Assesses the quality of a survey response.
+ *
+ * - Runs all checks (see checkAttention, checkPageDurations, checkStraightlining and
+ *   checkMessages) and computes the quality score from the penalties of the detected flag
+ *   types (see qualityPenalties).
+ * - Flags of failed attention checks marked with "screenout" carry screenout = true; the
+ *   participant is then screened out instead of storing the response (see /submit in
+ *   server.js).
+ *
+ * @param {object} definition - The survey definition.
+ * @param {object} responseData - The answers of the participant.
+ * @param {object[]} transcript - The recorded transcript (see lib/transcript.js).
+ * @param {object[]} events - The recorded "page_time" and "message_sent" telemetry events
+ * (see lib/telemetry.js).
+ * @returns {{score: number, flags: object[]}} The quality score (0 to 1) and the flags.
+ */
+function assessQuality(definition, responseData, transcript, events) {
+  const flags = [
+    ...checkAttention(definition, responseData),
+    ...checkPageDurations(definition, events),
+    ...checkStraightlining(definition, responseData),
+    ...checkMessages(transcript, events)
+  ];
+  const flagTypes = new Set(flags.map(flag => flag.type));
+  const penalty = Array.from(flagTypes).reduce((sum, type) => sum + (qualityPenalties[type] || 0), 0);
+  const score = Math.round(Math.max(0, 1 - penalty) * 100) / 100;
+  return { score, flags };
+}
+
+/**
+ * Returns the attention checks of a survey definition.
+ *
+ * - Attention checks are likert and single choice questions or rows of matrix questions
+ *   with an "attentionCheck" object naming the expected answer (e.g. "Bitte wählen Sie
+ *   'stimme voll zu'").
+ *
+ * @param {object} definition - The survey definition.
+ * @returns {Array<{key: string, questionId: string, expected: any, screenout: boolean}>} The
+ * attention checks (key is the key of the answer in the response data).
+ */
+function getAttentionChecks(definition) {
+  const checks = [];
+  definition.pages.forEach(page => (page.questions || []).forEach(question => {
+    if (question.attentionCheck) {
+      checks.push({ key: question.id, questionId: question.id, ...question.attentionCheck });
+    }
+    (question.type === 'matrix' ? question.rows : []).forEach(row => {
+      if (row.attentionCheck) {
+        checks.push({ key: `${question.id}_${row.id}`, questionId: question.id, ...row.attentionCheck });
+      }
+    });
+  }));
+  return checks.map(check => ({ ...check, screenout: check.screenout === true }));
+}
+
+/**
+ * Flags attention checks which have not been answered with the expected answer.
+ *
+ * @param {object} definition - The survey definition.
+ * @param {object} responseData - The answers of the participant.
+ * @returns {object[]} The flags.
+ */
+function checkAttention(definition, responseData) {
+  return getAttentionChecks(definition)
+    .filter(check => responseData[check.key] !== check.expected)
+    .map(check => ({
+      type: 'attention_check',
+      questionId: check.key,
+      expected: check.expected,
+      answer: responseData[check.key] === undefined ? null : responseData[check.key],
+      screenout: check.screenout
+    }));
+}
+
+/**
+ * Flags survey pages on which the participant spent less than the minimum duration.
+ *
+ * - The minimum duration is specified in seconds by the "minDuration" of a page.
+ * - The time spent on a page is the sum of the "page_time" telemetry events of the page
+ *   (a page can be visited several times). Pages without recorded time are not flagged.
+ *
+ * @param {object} definition - The survey definition.
+ * @param {object[]} events - The recorded telemetry events.
+ * @returns {object[]} The flags.
+ */
+function checkPageDurations(definition, events) {
+  const durations = {};
+  events.filter(event => event.type === 'page_time' && event.data.pageId).forEach(event => {
+    durations[event.data.pageId] = (durations[event.data.pageId] || 0) + (Number(event.data.durationMs) || 0);
+  });
+  return definition.pages
+    .filter(page => page.minDuration && durations[page.id] !== undefined &&
+      durations[page.id] < page.minDuration * 1000)
+    .map(page => ({
+      type: 'too_fast',
+      pageId: page.id,
+      durationMs: durations[page.id],
+      minDurationMs: page.minDuration * 1000
+    }));
+}
+
+/**
+ * Flags matrix questions answered with the same scale point in all rows (straight-lining).
+ *
+ * - Only matrix questions with at least straightliningMinRows rows (without attention-check
+ *   rows) whose rows have all been answered are checked.
+ *
+ * @param {object} definition - The survey definition.
+ * @param {object} responseData - The answers of the participant.
+ * @returns {object[]} The flags.
+ */
+function checkStraightlining(definition, responseData) {
+  const flags = [];
+  definition.pages.forEach(page => (page.questions || []).forEach(question => {
+    if (question.type !== 'matrix') return;
+    const answers = question.rows
+      .filter(row => !row.attentionCheck)
+      .map(row => responseData[`${question.id}_${row.id}`]);
+    if (answers.length < straightliningMinRows || answers.some(answer => answer === undefined)) return;
+    if (answers.every(answer => answer === answers[0])) {
+      flags.push({ type: 'straightlining', questionId: question.id, value: answers[0] });
+    }
+  }));
+  return flags;
+}
+
+/**
+ * Flags user messages of the chat which have been pasted, are gibberish or have been copied.
+ *
+ * - Pasted: the "message_sent" telemetry event of the message records pasted text, and less
+ *   than maxTypedShareOfPastedMessage of its characters have been typed.
+ * - Gibberish: see isGibberish.
+ * - Copied: the message repeats a previous user message or is part of a bot message.
+ * - Only typed messages are checked (not suggested actions or submitted cards).
+ *
+ * @param {object[]} transcript - The recorded transcript.
+ * @param {object[]} events - The recorded telemetry events.
+ * @returns {object[]} The flags.
+ */
+function checkMessages(transcript, events) {
+  const flags = [];
+  const typing = {};
+  events.filter(event => event.type === 'message_sent' && event.data.activityId).forEach(event => {
+    typing[event.data.activityId] = event.data;
+  });
+  const previousUserTexts = new Set();
+  const botTexts = [];
+
+  transcript.forEach(entry => {
+    const text = normalizeText(entry.text);
+    if (entry.from === 'bot') {
+      if (text) botTexts.push(text);
+      return;
+    }
+    if (entry.inputType !== 'text' || !text) return;
+    const data = typing[entry.activityId];
+    if (data && data.pastes > 0 && data.keystrokes < data.length * maxTypedShareOfPastedMessage) {
+      flags.push({ type: 'pasted_message', activityId: entry.activityId });
+    }
+    if (isGibberish(entry.text)) {
+      flags.push({ type: 'gibberish_message', activityId: entry.activityId });
+    }
+    if (text.length >= copiedMinLength) {
+      if (previousUserTexts.has(text)) {
+        flags.push({ type: 'copied_message', activityId: entry.activityId, source: 'user' });
+      } else if (botTexts.some(botText => botText.includes(text))) {
+        flags.push({ type: 'copied_message', activityId: entry.activityId, source: 'bot' });
+      }
+    }
+    previousUserTexts.add(text);
+  });
+  return flags;
+}
+
+/**
+ * Checks whether a message is gibberish (e.g. "asdfgh" or "xkcdvbnm").
+ *
+ * - Only messages with at least gibberishMinLength letters are checked.
+ * - The words of the message (separated by whitespace) are checked one by one: a message is
+ *   gibberish if it contains a word consisting mostly of runs of adjacent keys (see
+ *   isKeyboardRun), a word with a character repeated five times or a word with more than
+ *   maxConsonantRun consecutive consonants.
+ * - A message is also gibberish if less than minVowelShare of its letters are vowels.
+ *
+ * @param {string|null} text - The text of the message.
+ * @returns {boolean} True if the message is gibberish.
+ */
+function isGibberish(text) {
+  const letters = String(text || '').toLowerCase().replace(/[^a-zäöüß]/g, '');
+  if (letters.length < gibberishMinLength) return false;
+  const words = String(text).toLowerCase().split(/\s+/).map(word => word.replace(/[^a-zäöüß]/g, ''));
+  const consonantRun = new RegExp(`[^aeiouyäöü]{${maxConsonantRun + 1},}`);
+  if (words.some(word => isKeyboardRun(word) || /(.)\1{4,}/.test(word) ||
+      consonantRun.test(word.replace(/sch|ch/g, 'x')))) {
+    return true;
+  }
+  const vowels = letters.replace(/[^aeiouyäöü]/g, '').length;
+  return vowels / letters.length < minVowelShare;
+}
+
+/**
+ * Checks whether a word consists mostly of runs of adjacent keys of the keyboard.
+ *
+ * - Marks the letters of the word belonging to one of the keyboardSequences. The word is a
+ *   keyboard run if at least keyboardMinShare of its letters are marked.
+ *
+ * @param {string} word - The letters of the word (lower case).
+ * @returns {boolean} True if the word consists mostly of runs of adjacent keys.
+ */
+function isKeyboardRun(word) {
+  const marked = new Array(word.length).fill(false);
+  keyboardSequences.forEach(sequence => {
+    for (let index = word.indexOf(sequence); index >= 0; index = word.indexOf(sequence, index + 1)) {
+      marked.fill(true, index, index + sequence.length);
+    }
+  });
+  return word.length > 0 && marked.filter(Boolean).length >= word.length * keyboardMinShare;
+}
+
+/**
+ * Normalizes a message text for comparison (lower case, single spaces).
+ *
+ * @param {string|null} text - The text of the message.
+ * @returns {string} The normalized text.
+ */
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { assessQuality, isGibberish };
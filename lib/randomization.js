@@ -0,0 +1,118 @@
+/**
+ * @fileoverview This module randomizes the presentation order of the survey for each
+ * participant: the order of page blocks, the order of the questions on a page and the order
+ * of the answer options of a question. The randomization is seeded with the participant id,
+ * so that a participant is always shown the same order (e.g. after a reload or when resuming
+ * the survey), and the presented order can be reconstructed on submission.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**************************************************************************
+ * Randomization
+ **************************************************************************/
+
+/**
+ * Applies the randomization of the survey definition for a participant.
+ *
+ * - Page blocks: the blocks of pages listed in "pageBlocks" of the survey definition are
+ *   shuffled; the pages of a block keep their order (see orderPages).
+ * - Questions: the questions of pages with "randomizeQuestions": true are shuffled.
+ * - Answer options: the options of single and multiple choice questions with
+ *   "randomizeOptions": true are shuffled.
+ * - Questions and options with "pinned": true keep their position.
+ * - Each shuffle uses its own seed derived from the participant id and the shuffled page or
+ *   question, so that changing one part of the survey does not change the order of the others.
+ *
+ * @param {object} definition - The survey definition.
+ * @param {string} participantId - The participant id.
+ * @returns {{definition: object, order: {pages: string[], questions: Object.<string, string[]>,
+ * options: Object.<string, any[]>}}} The survey definition in the presented order and the
+ * presented order (all page ids, the question ids of the randomized pages and the option
+ * values of the randomized questions).
+ */
+function randomizeSurvey(definition, participantId) {
+  const order = { pages: [], questions: {}, options: {} };
+  const pages = orderPages(definition, participantId).map(page => {
+    if (!page.questions) return page;
+    let questions = page.questions;
+    if (page.randomizeQuestions) {
+      questions = shuffle(questions, createRandom(`${participantId}:questions:${page.id}`));
+      order.questions[page.id] = questions.map(question => question.id);
+    }
+    questions = questions.map(question => {
+      if (!question.randomizeOptions) return question;
+      const options = shuffle(question.options, createRandom(`${participantId}:options:${question.id}`));
+      order.options[question.id] = options.map(option => option.value);
+      return { ...question, options };
+    });
+    return { ...page, questions };
+  });
+  order.pages = pages.map(page => page.id);
+  return { definition: { ...definition, pages }, order };
+}
+
+/**
+ * Orders the pages of the survey definition for a participant.
+ *
+ * - The page blocks ("pageBlocks": arrays of page ids) together form a consecutive range of
+ *   pages (see validateSurveyDefinition() in lib/survey.js). The blocks are shuffled within
+ *   this range, all other pages keep their position.
+ *
+ * @param {object} definition - The survey definition.
+ * @param {string} participantId - The participant id.
+ * @returns {object[]} The pages in the presented order.
+ */
+function orderPages(definition, participantId) {
+  const blocks = definition.pageBlocks || [];
+  if (blocks.length < 2) return definition.pages;
+  const blockPageIds = new Set(blocks.flat());
+  const start = definition.pages.findIndex(page => blockPageIds.has(page.id));
+  const pagesById = new Map(definition.pages.map(page => [page.id, page]));
+  const shuffledBlocks = shuffle(blocks, createRandom(`${participantId}:pageBlocks`));
+  return [
+    ...definition.pages.slice(0, start),
+    ...shuffledBlocks.flat().map(pageId => pagesById.get(pageId)),
+    ...definition.pages.slice(start + blockPageIds.size)
+  ];
+}
+
+/**
+ * Shuffles items (Fisher-Yates). Items with "pinned": true keep their position.
+ *
+ * @param {any[]} items - The items to be shuffled.
+ * @param {function(): number} random - The random number generator (see createRandom).
+ * @returns {any[]} The shuffled items (a new array).
+ */
+function shuffle(items, random) {
+  const positions = items.map((item, index) => index).filter(index => !items[index].pinned);
+  const movable = positions.map(index => items[index]);
+  for (let i = movable.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [movable[i], movable[j]] = [movable[j], movable[i]];
+  }
+  const result = items.slice();
+  positions.forEach((index, i) => { result[index] = movable[i]; });
+  return result;
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32).
+ *
+ * @param {string} seed - The seed.
+ * @returns {function(): number} A function returning the next random number in [0, 1).
+ */
+function createRandom(seed) {
+  let state = crypto.createHash('sha256').update(seed).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { randomizeSurvey };
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview This module contains in-memory rate limits for the chatbot-related
+ * endpoints, e.g. the number of conversations a participant or an ip address can start per
+ * hour. Every conversation with the Direct Line api is billed, so the limits protect the
+ * study budget against misuse.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**
+ * Creates a rate limiter with a fixed time window.
+ *
+ * - Counts the requests per key (e.g. participant id or ip address) within the current
+ *   window. The window of a key starts with its first request.
+ * - Removes the counters of expired windows every minute.
+ *
+ * @param {{max: number, windowMs: number}} options - The maximum number of requests per
+ *   window and the length of the window in milliseconds.
+ * @returns {{check: function(string): {allowed: boolean, retryAfter: number},
+ * consume: function(string): {allowed: boolean, retryAfter: number}}} The rate limiter.
+ */
+function createRateLimiter({ max, windowMs }) {
+  const counters = new Map();
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, 60000).unref();
+
+  /**
+   * Checks whether a request of a key is allowed, without counting it.
+   *
+   * @param {string} key - The key of the request.
+   * @returns {{allowed: boolean, retryAfter: number}} Whether the request is allowed and,
+   * if not, the number of seconds until the window ends.
+   */
+  function check(key) {
+    const now = Date.now();
+    const counter = counters.get(key);
+    if (counter && counter.resetAt > now && counter.count >= max) {
+      return { allowed: false, retryAfter: Math.ceil((counter.resetAt - now) / 1000) };
+    }
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  /**
+   * Counts a request of a key.
+   *
+   * @param {string} key - The key of the request.
+   * @returns {{allowed: boolean, retryAfter: number}} Whether the request is allowed and,
+   * if not, the number of seconds until the window ends.
+   */
+  function consume(key) {
+    const result = check(key);
+    if (!result.allowed) return result;
+    const now = Date.now();
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(key, counter);
+    }
+    counter.count++;
+    return result;
+  }
+
+  return { check, consume };
+}
+
+/**
+ * Checks a request against several rate limits and responds with 429 if one is exceeded.
+ *
+ * - Each limit consists of a rate limiter and the key of the request for this limiter.
+ * - All limits are checked first; the request is only counted by the limiters if all of them
+ *   allow it, so that a rejected request does not use up the other limits.
+ * - The 429 response has a Retry-After header and the json body
+ *   {error, retryAfter} with the number of seconds until the request is possible again.
+ *
+ * @param {object} res - The response.
+ * @param {Array<{limiter: object, key: string}>} limits - The limits of the request.
+ * @returns {boolean} True if a limit is exceeded and the response has been sent.
+ */
+function rejectIfLimited(res, limits) {
+  for (const { limiter, key } of limits) {
+    const result = limiter.check(key);
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      res.status(429).json({ error: 'Too many requests.', retryAfter: result.retryAfter });
+      return true;
+    }
+  }
+  limits.forEach(({ limiter, key }) => limiter.consume(key));
+  return false;
+}
+
+module.exports = { createRateLimiter, rejectIfLimited };
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview This module contains the participant session. The session is a signed,
+ * HttpOnly cookie holding the participant id, the treatment group and the conversation id,
+ * so that the server does not have to trust these values when they are sent by the client.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the module.
+ *
+ * - sessionCookieName @type {string}: the name of the session cookie.
+ * - sessionMaxAge @type {number}: the lifetime of a session in milliseconds.
+ */
+const sessionCookieName = 'participant_session';
+const sessionMaxAge = 24 * 60 * 60 * 1000;   // To be specified: the maximum duration of a participation!
+
+/**************************************************************************
+ * Session
+ **************************************************************************/
+
+/**
+ * Creates the session manager.
+ *
+ * - The cookie value is the base64url encoded session followed by its hmac-sha256
+ *   signature. A cookie with an invalid signature or an expired session is ignored.
+ * - The key is the SESSION_SECRET environment variable. Without it, a random key is used,
+ *   so that all sessions become invalid when the server is restarted.
+ *
+ * @param {string|undefined} secret - The key for the signature.
+ * @returns {{read: function, write: function}} The session manager.
+ */
+function createSessionManager(secret) {
+  if (!secret) {
+    console.warn('SESSION_SECRET not set in environment variables, sessions will not survive a restart');
+  }
+  const key = secret || crypto.randomBytes(32).toString('hex');
+
+  /**
+   * Computes the signature of an encoded session.
+   *
+   * @param {string} payload - The encoded session.
+   * @returns {string} The base64url encoded signature.
+   */
+  function sign(payload) {
+    return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+  }
+
+  /**
+   * Reads the session from the cookie of a request.
+   *
+   * @param {object} req - The request.
+   * @returns {{participantId: string, treatmentGroup: number, conversationId: string|null,
+   * createdAt: number}|null} The session, or null if the request has no valid session.
+   */
+  function read(req) {
+    const value = getCookie(req, sessionCookieName);
+    if (!value) return null;
+    const [payload, signature] = value.split('.');
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    try {
+      const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return Date.now() - session.createdAt < sessionMaxAge ? session : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Writes the session into the cookie of a response.
+   *
+   * @param {object} req - The request (determines whether the cookie is secure).
+   * @param {object} res - The response.
+   * @param {{participantId: string, treatmentGroup: number, conversationId: string|null,
+   * createdAt: number}} session - The session.
+   * @returns {void}
+   */
+  function write(req, res, session) {
+    const payload = Buffer.from(JSON.stringify(session)).toString('base64url');
+    res.cookie(sessionCookieName, `${payload}.${sign(payload)}`, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: sessionMaxAge - (Date.now() - session.createdAt),
+      path: '/'
+    });
+  }
+
+  return { read, write };
+}
+
+/**
+ * Returns the value of a cookie of a request.
+ *
+ * @param {object} req - The request.
+ * @param {string} name - The name of the cookie.
+ * @returns {string|null} The value of the cookie, or null if the cookie is not set.
+ */
+function getCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const separator = cookie.indexOf('=');
+    if (separator > 0 && cookie.slice(0, separator).trim() === name) {
+      return decodeURIComponent(cookie.slice(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
+module.exports = { createSessionManager, sessionMaxAge };
@@ -0,0 +1,300 @@
+/**
+ * @fileoverview This module loads and validates the declarative survey definition. The
+ * survey definition is a json or yaml file describing the pages of the survey and their
+ * questions.
+ * It is rendered by the client (see public/questionnaire.js).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { emailPurposes } = require('./emails');
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the module.
+ *
+ * - pageTypes @type {string[]}: the supported page types. 'questions' is the default page
+ *   type, 'chatbot' is the page with the chatbot interface, 'end' is the final page shown
+ *   after the submission.
+ * - questionTypes @type {string[]}: the supported question types.
+ */
+const pageTypes = ['questions', 'chatbot', 'end'];
+const questionTypes = ['likert', 'single', 'multiple', 'text', 'slider', 'matrix'];
+
+/**************************************************************************
+ * Loading and validation
+ **************************************************************************/
+
+/**
+ * Loads the survey definition from a json or yaml file.
+ *
+ * - The format is chosen by the file extension: .yaml and .yml files are parsed as yaml,
+ *   all other files as json.
+ *
+ * @param {string} filePath - The path of the survey definition file.
+ * @returns {object} The validated survey definition.
+ * @throws {Error} If the file cannot be read or parsed, or if the definition is invalid.
+ */
+function loadSurveyDefinition(filePath) {
+  let definition;
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    definition = (extension === '.yaml' || extension === '.yml') ? yaml.load(content) : JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Survey definition ${filePath} cannot be loaded: ${err.message}`);
+  }
+  validateSurveyDefinition(definition);
+  return definition;
+}
+
+/**
+ * Validates a survey definition.
+ *
+ * - The definition needs a non-empty pages array with unique page ids and known page types.
+ * - There is at most one chatbot page. An end page can only be the last page.
+ * - An email collection (email) is opt-in, only possible on the end page and needs a known
+ *   purpose and a text explaining the purpose, e.g. {"purpose": "raffle", "text": "...",
+ *   "successText": "..."}. It also needs the EMAIL_ENCRYPTION_KEY (see server.js).
+ * - A consent on a page needs a version and a text. There is at most one consent.
+ * - The optional resume option (resume) needs a text explaining how to resume the survey.
+ * - Every question needs a unique id, a known type and the fields required by its type
+ *   (options for single and multiple choice questions, a scale for likert and matrix
+ *   questions, rows for matrix questions, min < max for sliders).
+ * - Options of single and multiple choice questions can be marked as screen-out options
+ *   (screenout: true). Participants choosing such an option are excluded from the study and
+ *   redirected to the panel (see /screenout in server.js).
+ * - Likert and single choice questions and the rows of matrix questions can be attention
+ *   checks (attentionCheck: {expected, screenout}). The expected answer must be a scale point
+ *   or an option value. With screenout: true, participants failing the check are screened
+ *   out (see lib/quality.js).
+ * - The optional minimum duration of a page (minDuration) is a positive number of seconds.
+ * - Randomization (see lib/randomization.js): pages can shuffle their questions
+ *   (randomizeQuestions), single and multiple choice questions their options
+ *   (randomizeOptions), and questions and options can be pinned in place (pinned). The
+ *   optional page blocks (pageBlocks) are arrays of page ids which together form a
+ *   consecutive range of pages, each block itself consecutive, without the first, the
+ *   chatbot and the end page (the chatbot page has no navigation buttons).
+ *
+ * @param {object} definition - The survey definition.
+ * @returns {void}
+ * @throws {Error} If the definition is invalid.
+ */
+function validateSurveyDefinition(definition) {
+  if (!definition || !Array.isArray(definition.pages) || definition.pages.length === 0) {
+    throw new Error('Survey definition needs a non-empty "pages" array');
+  }
+
+  const pageIds = new Set();
+  const questionIds = new Set();
+  let chatbotPages = 0;
+  let consents = 0;
+
+  definition.pages.forEach((page, index) => {
+    const type = page.type || 'questions';
+    if (!page.id || pageIds.has(page.id)) {
+      throw new Error(`Page ${index + 1} needs a unique "id"`);
+    }
+    pageIds.add(page.id);
+    if (!pageTypes.includes(type)) {
+      throw new Error(`Page "${page.id}" has the unknown type "${type}"`);
+    }
+    if (type === 'chatbot') chatbotPages++;
+    if (type === 'end' && index !== definition.pages.length - 1) {
+      throw new Error(`End page "${page.id}" must be the last page`);
+    }
+    if (page.email) {
+      if (type !== 'end') {
+        throw new Error(`Email collection on page "${page.id}" is only possible on the end page`);
+      }
+      if (!emailPurposes.includes(page.email.purpose) || !page.email.text) {
+        throw new Error(`Email collection on page "${page.id}" needs a "text" and one of the purposes ${emailPurposes.join(', ')}`);
+      }
+    }
+    if (page.minDuration !== undefined && !(typeof page.minDuration === 'number' && page.minDuration > 0)) {
+      throw new Error(`The "minDuration" of page "${page.id}" must be a positive number of seconds`);
+    }
+    if (page.randomizeQuestions !== undefined && typeof page.randomizeQuestions !== 'boolean') {
+      throw new Error(`The "randomizeQuestions" flag of page "${page.id}" must be a boolean`);
+    }
+    if (page.consent) {
+      consents++;
+      if (!page.consent.version || !page.consent.text) {
+        throw new Error(`Consent on page "${page.id}" needs a "version" and a "text"`);
+      }
+    }
+    (page.questions || []).forEach(question => validateQuestion(page, question, questionIds));
+  });
+
+  if (chatbotPages > 1) {
+    throw new Error('Survey definition can contain only one chatbot page');
+  }
+  if (consents > 1) {
+    throw new Error('Survey definition can contain only one consent');
+  }
+  if (definition.resume !== undefined && !(definition.resume && definition.resume.text)) {
+    throw new Error('The resume option needs a "text"');
+  }
+  if (definition.pageBlocks !== undefined) {
+    validatePageBlocks(definition);
+  }
+}
+
+/**
+ * Validates the page blocks of a survey definition.
+ *
+ * @param {object} definition - The survey definition.
+ * @returns {void}
+ * @throws {Error} If the page blocks are invalid.
+ */
+function validatePageBlocks(definition) {
+  const { pageBlocks, pages } = definition;
+  if (!Array.isArray(pageBlocks) || !pageBlocks.every(nonEmptyArray)) {
+    throw new Error('"pageBlocks" needs to be an array of non-empty arrays of page ids');
+  }
+  const indexes = pageBlocks.map(block => block.map(pageId => {
+    const index = pages.findIndex(page => page.id === pageId);
+    if (index <= 0 || pages[index].type === 'end' || pages[index].type === 'chatbot') {
+      throw new Error(`Page block page "${pageId}" does not exist or is the first, the chatbot or the end page`);
+    }
+    return index;
+  }));
+  const sorted = indexes.flat().sort((a, b) => a - b);
+  if (new Set(sorted).size !== sorted.length) {
+    throw new Error('A page can only be part of one page block');
+  }
+  const consecutive = list => list.every((index, i) => i === 0 || index === list[i - 1] + 1);
+  if (!consecutive(sorted) || !indexes.every(consecutive)) {
+    throw new Error('The page blocks and their pages need to be consecutive pages');
+  }
+}
+
+/**
+ * Returns the consent version of a survey definition.
+ *
+ * @param {object} definition - The survey definition.
+ * @returns {string|null} The consent version, or null if the survey has no consent.
+ */
+function getConsentVersion(definition) {
+  const consentPage = definition.pages.find(page => page.consent);
+  return consentPage ? consentPage.consent.version : null;
+}
+
+/**
+ * Returns the email collection of a survey definition.
+ *
+ * @param {object} definition - The survey definition.
+ * @returns {{purpose: string, text: string}|null} The email collection of the end page, or
+ * null if the survey does not collect email addresses.
+ */
+function getEmailCollection(definition) {
+  const endPage = definition.pages.find(page => page.type === 'end');
+  return endPage && endPage.email ? endPage.email : null;
+}
+
+/**
+ * Returns the resume option of a survey definition.
+ *
+ * @param {object} definition - The survey definition.
+ * @returns {{text: string}|null} The resume option, or null if participants cannot resume
+ * the survey on another device or in another browser session.
+ */
+function getResumeOption(definition) {
+  return definition.resume || null;
+}
+
+/**
+ * Validates a single question of a page.
+ *
+ * @param {object} page - The page containing the question.
+ * @param {object} question - The question definition.
+ * @param {Set<string>} questionIds - The ids of all questions validated so far.
+ * @returns {void}
+ * @throws {Error} If the question is invalid.
+ */
+function validateQuestion(page, question, questionIds) {
+  if (!question.id || questionIds.has(question.id)) {
+    throw new Error(`A question on page "${page.id}" needs a unique "id"`);
+  }
+  questionIds.add(question.id);
+  if (!questionTypes.includes(question.type)) {
+    throw new Error(`Question "${question.id}" has the unknown type "${question.type}"`);
+  }
+  if ((question.type === 'single' || question.type === 'multiple') && !nonEmptyArray(question.options)) {
+    throw new Error(`Question "${question.id}" needs an "options" array`);
+  }
+  if ((question.options || []).some(option => option.screenout !== undefined && typeof option.screenout !== 'boolean')) {
+    throw new Error(`The "screenout" flag of the options of question "${question.id}" must be a boolean`);
+  }
+  if (question.randomizeOptions !== undefined && 
+      !(typeof question.randomizeOptions === 'boolean' && (question.type === 'single' || question.type === 'multiple'))) {
+    throw new Error(`The "randomizeOptions" flag of question "${question.id}" must be a boolean of a single or multiple choice question`);
+  }
+  if ([question, ...(question.options || [])].some(item => item.pinned !== undefined && typeof item.pinned !== 'boolean')) {
+    throw new Error(`The "pinned" flags of question "${question.id}" and its options must be booleans`);
+  }
+  if ((question.type === 'likert' || question.type === 'matrix') && !nonEmptyArray(question.scale)) {
+    throw new Error(`Question "${question.id}" needs a "scale" array`);
+  }
+  if (question.type === 'matrix' && !nonEmptyArray(question.rows)) {
+    throw new Error(`Question "${question.id}" needs a "rows" array`);
+  }
+  if (question.type === 'slider' && !(question.min < question.max)) {
+    throw new Error(`Question "${question.id}" needs "min" < "max"`);
+  }
+  if (question.attentionCheck !== undefined) {
+    if (question.type !== 'likert' && question.type !== 'single') {
+      throw new Error(`Question "${question.id}" of type "${question.type}" cannot be an attention check`);
+    }
+    validateAttentionCheck(question.id, question.attentionCheck, question.type === 'single'
+      ? question.options.map(option => option.value)
+      : question.scale.map((label, index) => index + 1));
+  }
+  if (question.type === 'matrix') {
+    question.rows.filter(row => row.attentionCheck !== undefined).forEach(row => validateAttentionCheck(
+      `${question.id}_${row.id}`, row.attentionCheck, question.scale.map((label, index) => index + 1)
+    ));
+  }
+}
+
+/**
+ * Validates the attention check of a question or a matrix row.
+ *
+ * @param {string} key - The key of the answer (question id or "questionId_rowId").
+ * @param {any} attentionCheck - The attention check.
+ * @param {any[]} values - The possible answers.
+ * @returns {void}
+ * @throws {Error} If the attention check is invalid.
+ */
+function validateAttentionCheck(key, attentionCheck, values) {
+  if (!attentionCheck || !values.includes(attentionCheck.expected)) {
+    throw new Error(`The attention check "${key}" needs an "expected" answer out of ${values.join(', ')}`);
+  }
+  if (attentionCheck.screenout !== undefined && typeof attentionCheck.screenout !== 'boolean') {
+    throw new Error(`The "screenout" flag of the attention check "${key}" must be a boolean`);
+  }
+}
+
+/**
+ * Checks whether a value is a non-empty array.
+ *
+ * @param {any} value - The value to be checked.
+ * @returns {boolean} True if the value is a non-empty array.
+ */
+function nonEmptyArray(value) {
+  return Array.isArray(value) && value.length > 0;
+}
+
+module.exports = {
+  loadSurveyDefinition,
+  validateSurveyDefinition,
+  getConsentVersion,
+  getEmailCollection,
+  getResumeOption
+};
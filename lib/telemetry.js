@@ -0,0 +1,132 @@
+/**
+ * @fileoverview This module contains the storage of the telemetry events sent by the client,
+ * i.e. the timing and interaction data of a participation (display and sending times of the
+ * messages, typing behaviour, clicks on links, focus of the tab and time spent on each survey
+ * page). The client sends the events in batches (see public/telemetry.js).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the module.
+ *
+ * - telemetryEventTypes @type {string[]}: the accepted event types.
+ * - maxTelemetryBatchSize @type {number}: the maximum number of events per batch.
+ * - maxTelemetryDataLength @type {number}: the maximum length of the data of an event
+ *   (serialized as json).
+ */
+const telemetryEventTypes = [
+  'message_displayed',
+  'message_sent',
+  'message_rejected',
+  'link_click',
+  'page_time',
+  'visibility_change',
+  'focus',
+  'blur'
+];
+const maxTelemetryBatchSize = 100;
+const maxTelemetryDataLength = 2000;
+
+/**************************************************************************
+ * Validation and storage
+ **************************************************************************/
+
+/**
+ * Validates a batch of telemetry events sent by the client.
+ *
+ * - Each event consists of an id generated by the client, a type, the time of the event
+ *   (iso string), the page number and an object with additional data.
+ * - Events with an unknown type, an invalid time or too much data are skipped.
+ *
+ * @param {any} events - The events of the request body.
+ * @returns {Array<{id: string, type: string, at: string, page: number|null, data: object}>}
+ * The valid events.
+ * @throws {Error} If the batch is not an array or too large (the error has the property
+ * status = 400).
+ */
+function parseTelemetryEvents(events) {
+  if (!Array.isArray(events) || events.length > maxTelemetryBatchSize) {
+    const error = new Error(`A batch of at most ${maxTelemetryBatchSize} events is required.`);
+    error.status = 400;
+    throw error;
+  }
+  return events.filter(event =>
+    event &&
+    typeof event.id === 'string' && event.id.length > 0 && event.id.length <= 64 &&
+    telemetryEventTypes.includes(event.type) &&
+    typeof event.at === 'string' && !isNaN(new Date(event.at).getTime()) &&
+    (event.page === undefined || event.page === null || Number.isInteger(event.page)) &&
+    (event.data === undefined || (typeof event.data === 'object' && !Array.isArray(event.data) &&
+      JSON.stringify(event.data).length <= maxTelemetryDataLength))
+  ).map(event => ({
+    id: event.id,
+    type: event.type,
+    at: event.at,
+    page: Number.isInteger(event.page) ? event.page : null,
+    data: event.data || {}
+  }));
+}
+
+/**
+ * Stores telemetry events in the telemetry_events table.
+ *
+ * - Each row carries the participant id of the session, so that the events can be linked to
+ *   the survey response and the transcript.
+ * - Events which have already been stored (same participant id and event id) are skipped,
+ *   so that a batch sent again after a network error is only stored once.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {string} participantId - The participant id of the session.
+ * @param {object[]} events - The validated events (see parseTelemetryEvents).
+ * @returns {Promise<void>}
+ */
+async function recordTelemetry(pool, participantId, events) {
+  if (events.length === 0) return;
+  await pool.query(
+    `INSERT INTO telemetry_events (participant_id, event_id, event_type, page, data, occurred_at)
+     SELECT $1, * FROM unnest($2::text[], $3::text[], $4::int[], $5::jsonb[], $6::timestamptz[])
+     ON CONFLICT (participant_id, event_id) DO NOTHING`,
+    [
+      participantId,
+      events.map(event => event.id),
+      events.map(event => event.type),
+      events.map(event => event.page),
+      events.map(event => JSON.stringify(event.data)),
+      events.map(event => event.at)
+    ]
+  );
+}
+
+/**
+ * Loads the recorded telemetry events of a participant.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {string} participantId - The participant id.
+ * @param {string[]} types - The event types to be loaded.
+ * @returns {Promise<Array<{type: string, at: string, page: number|null, data: object}>>} The
+ * events in chronological order.
+ */
+async function getTelemetryEvents(pool, participantId, types) {
+  const result = await pool.query(
+    `SELECT event_type, occurred_at, page, data
+     FROM telemetry_events
+     WHERE participant_id = $1 AND event_type = ANY($2::text[])
+     ORDER BY occurred_at, id`,
+    [participantId, types]
+  );
+  return result.rows.map(row => ({
+    type: row.event_type,
+    at: row.occurred_at,
+    page: row.page,
+    data: typeof row.data === 'string' ? JSON.parse(row.data) : (row.data || {})
+  }));
+}
+
+module.exports = { telemetryEventTypes, parseTelemetryEvents, recordTelemetry, getTelemetryEvents };
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview This module contains the server-side persistence of the conversation
+ * transcripts. Every activity relayed between the client and the chatbot is stored in the
+ * conversation_activities table, so that the transcript does not depend on data sent by
+ * the client.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**
+ * Stores relayed activities in the conversation_activities table.
+ *
+ * - Only message activities are stored.
+ * - Each row carries the participant id, the conversation id, the activity id, the sender
+ *   ('user' or 'bot'), the text, the full activity as json, the timestamp assigned by the
+ *   bot service and the time when the server recorded the activity.
+ * - User messages additionally carry their input type from the channel data ('text' if typed,
+ *   'button' if sent by clicking a suggested action or a card button, 'card' if an Adaptive
+ *   Card has been submitted).
+ * - Activities which have already been recorded (same conversation id and activity id) are
+ *   skipped, so that an activity relayed several times is only stored once.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {string} participantId - The participant id of the conversation.
+ * @param {string} conversationId - The conversation id.
+ * @param {object[]} activities - The activities to be stored.
+ * @returns {Promise<void>}
+ */
+async function recordActivities(pool, participantId, conversationId, activities) {
+  const messages = activities.filter(act => act.type === 'message' && act.id);
+  for (const act of messages) {
+    const sender = (act.from && act.from.id === 'user1') ? 'user' : 'bot';
+    await pool.query(
+      `INSERT INTO conversation_activities
+         (participant_id, conversation_id, activity_id, sender, text, activity, activity_timestamp, input_type)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (conversation_id, activity_id) DO NOTHING`,
+      [
+        participantId,
+        conversationId,
+        act.id,
+        sender,
+        act.text || null,
+        JSON.stringify(act),
+        act.timestamp || new Date().toISOString(),
+        sender === 'user' ? (act.channelData && act.channelData.inputType) || 'text' : null
+      ]
+    );
+  }
+}
+
+/**
+ * Loads the recorded transcript of a participant.
+ *
+ * @async
+ * @param {import('pg').Pool} pool - The database connection pool.
+ * @param {string} participantId - The participant id.
+ * @returns {Promise<Array<{conversationId: string, activityId: string, from: string,
+ * text: string|null, inputType: string|null, value: object|null, timestamp: string,
+ * recordedAt: string}>>} The transcript in chronological order (value is the payload of a
+ * submitted Adaptive Card).
+ */
+async function getTranscript(pool, participantId) {
+  const result = await pool.query(
+    `SELECT conversation_id, activity_id, sender, text, input_type, activity->'value' AS value,
+            activity_timestamp, recorded_at
+     FROM conversation_activities
+     WHERE participant_id = $1
+     ORDER BY activity_timestamp, id`,
+    [participantId]
+  );
+  return result.rows.map(row => ({
+    conversationId: row.conversation_id,
+    activityId: row.activity_id,
+    from: row.sender,
+    text: row.text,
+    inputType: row.input_type,
+    value: row.value,
+    timestamp: row.activity_timestamp,
+    recordedAt: row.recorded_at
+  }));
+}
+
+module.exports = { recordActivities, getTranscript };
@@ -0,0 +1,47 @@
+-- Initial schema: survey responses and email addresses.
+-- Uses IF NOT EXISTS so that deployments which created these tables by hand are adopted.
+
+CREATE TABLE IF NOT EXISTS survey_responses (
+    id SERIAL PRIMARY KEY,
+    participant_id TEXT NOT NULL,
+    treatment_group INTEGER NOT NULL,
+    response_data JSONB NOT NULL,
+    conversation_log TEXT
+);
+
+ALTER TABLE survey_responses
+    ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+-- Before the unique index, earlier versions stored a response again when a submission was
+-- repeated. Of several responses of a participant, the first stored one is kept; the others
+-- are moved (not deleted) to survey_responses_duplicates, which is only created if needed.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM survey_responses GROUP BY participant_id HAVING count(*) > 1) THEN
+        CREATE TABLE IF NOT EXISTS survey_responses_duplicates AS
+            SELECT * FROM survey_responses WITH NO DATA;
+        WITH moved AS (
+            DELETE FROM survey_responses
+            WHERE ctid IN (
+                SELECT ctid FROM (
+                    SELECT ctid, row_number() OVER (PARTITION BY participant_id ORDER BY ctid) AS position
+                    FROM survey_responses
+                ) ranked
+                WHERE position > 1
+            )
+            RETURNING *
+        )
+        INSERT INTO survey_responses_duplicates SELECT * FROM moved;
+    END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS survey_responses_participant_id_idx
+    ON survey_responses (participant_id);
+
+CREATE INDEX IF NOT EXISTS survey_responses_created_at_idx
+    ON survey_responses (created_at);
+
+CREATE TABLE IF NOT EXISTS emails (
+    id SERIAL PRIMARY KEY,
+    email_address TEXT NOT NULL
+);
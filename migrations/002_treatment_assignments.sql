@@ -0,0 +1,15 @@
+-- Treatment assignments (see lib/assignment.js).
+
+CREATE TABLE IF NOT EXISTS treatment_assignments (
+    participant_id TEXT PRIMARY KEY,
+    treatment_group INTEGER NOT NULL,
+    stratum TEXT NOT NULL DEFAULT '',
+    block_index INTEGER NOT NULL DEFAULT 0,
+    assigned_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS treatment_assignments_block_idx
+    ON treatment_assignments (stratum, block_index);
+
+CREATE INDEX IF NOT EXISTS treatment_assignments_treatment_group_idx
+    ON treatment_assignments (treatment_group);
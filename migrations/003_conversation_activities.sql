@@ -0,0 +1,17 @@
+-- Server-side conversation transcripts (see lib/transcript.js).
+
+CREATE TABLE IF NOT EXISTS conversation_activities (
+    id BIGSERIAL PRIMARY KEY,
+    participant_id TEXT NOT NULL,
+    conversation_id TEXT NOT NULL,
+    activity_id TEXT NOT NULL,
+    sender TEXT NOT NULL,
+    text TEXT,
+    activity JSONB NOT NULL,
+    activity_timestamp TIMESTAMPTZ NOT NULL,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (conversation_id, activity_id)
+);
+
+CREATE INDEX IF NOT EXISTS conversation_activities_participant_id_idx
+    ON conversation_activities (participant_id);
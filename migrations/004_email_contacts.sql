@@ -0,0 +1,24 @@
+-- Encrypted email addresses without link to the participants (see lib/emails.js).
+-- The id is random and only the day of the submission is stored, so that a row cannot be
+-- matched to a survey response.
+
+CREATE TABLE IF NOT EXISTS email_contacts (
+    id UUID PRIMARY KEY,
+    purpose TEXT NOT NULL,
+    email_hash TEXT NOT NULL,
+    email_encrypted TEXT NOT NULL,
+    created_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    UNIQUE (purpose, email_hash)
+);
+
+-- The emails table stored plain text addresses. It is dropped if it is empty. Otherwise it
+-- is kept, so that the existing addresses can be handled manually before dropping it.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM emails) THEN
+        DROP TABLE emails;
+    ELSE
+        RAISE WARNING 'Table "emails" contains plain text email addresses and has not been dropped';
+    END IF;
+END
+$$;
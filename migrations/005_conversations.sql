@@ -0,0 +1,11 @@
+-- Conversations with the chatbot and the participants owning them (see lib/conversations.js).
+
+CREATE TABLE IF NOT EXISTS conversations (
+    conversation_id TEXT PRIMARY KEY,
+    participant_id TEXT NOT NULL,
+    treatment_group INTEGER,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS conversations_participant_id_idx
+    ON conversations (participant_id);
@@ -0,0 +1,11 @@
+-- Deduplication of user messages sent to the chatbot (see lib/dedup-stores/postgres.js).
+
+CREATE TABLE IF NOT EXISTS message_dedup (
+    message_key TEXT PRIMARY KEY,
+    status TEXT NOT NULL CHECK (status IN ('in_progress', 'processed')),
+    activity_id TEXT,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS message_dedup_updated_at_idx
+    ON message_dedup (updated_at);
@@ -0,0 +1,16 @@
+-- Timing and interaction events of the participants (see lib/telemetry.js).
+
+CREATE TABLE IF NOT EXISTS telemetry_events (
+    id BIGSERIAL PRIMARY KEY,
+    participant_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    page INTEGER,
+    data JSONB NOT NULL DEFAULT '{}',
+    occurred_at TIMESTAMPTZ NOT NULL,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (participant_id, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS telemetry_events_participant_idx
+    ON telemetry_events (participant_id, occurred_at);
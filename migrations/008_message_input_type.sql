@@ -0,0 +1,5 @@
+-- How a user message was entered: 'text' (typed) or 'button' (suggested action).
+-- NULL for bot messages and for messages recorded before this migration.
+
+ALTER TABLE conversation_activities
+    ADD COLUMN IF NOT EXISTS input_type TEXT;
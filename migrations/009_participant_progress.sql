@@ -0,0 +1,14 @@
+-- Progress of the participants who can resume the survey on another device or in another
+-- browser session (see lib/progress.js). Only the hash of the resume code is stored.
+
+CREATE TABLE IF NOT EXISTS participant_progress (
+    participant_id TEXT PRIMARY KEY,
+    resume_code_hash TEXT NOT NULL UNIQUE,
+    resume_code_issued_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    conversation_id TEXT,
+    current_page INTEGER NOT NULL DEFAULT 1,
+    history_states JSONB NOT NULL DEFAULT '[]',
+    responses JSONB NOT NULL DEFAULT '{}',
+    dialogue_finished BOOLEAN NOT NULL DEFAULT false,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -0,0 +1,14 @@
+-- Participants recruited via a panel provider and the url parameters passed by the panel
+-- (see lib/panel.js). The panel id is unique, so that a panel member can participate only once.
+
+CREATE TABLE IF NOT EXISTS panel_participants (
+    participant_id TEXT PRIMARY KEY,
+    panel_id TEXT UNIQUE,
+    parameters JSONB NOT NULL DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'started',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE survey_responses
+    ADD COLUMN IF NOT EXISTS panel_parameters JSONB;
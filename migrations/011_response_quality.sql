@@ -0,0 +1,6 @@
+-- Quality score (0 to 1) and quality flags of a survey response, assessed when the response
+-- is submitted (see lib/quality.js). NULL for responses stored before this migration.
+
+ALTER TABLE survey_responses
+    ADD COLUMN IF NOT EXISTS quality_score NUMERIC(3, 2),
+    ADD COLUMN IF NOT EXISTS quality_flags JSONB;
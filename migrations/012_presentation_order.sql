@@ -0,0 +1,5 @@
+-- Presentation order of the survey shown to the participant (page order, question order of
+-- the randomized pages and option order of the randomized questions, see lib/randomization.js).
+
+ALTER TABLE survey_responses
+    ADD COLUMN IF NOT EXISTS presentation_order JSONB;
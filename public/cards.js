@@ -0,0 +1,364 @@
+/**
+ * @fileoverview This script renders the attachments of bot messages (Adaptive Cards, hero
+ * cards, images and file links) and is executed by the client in the browser. Only a subset
+ * of Adaptive Cards is supported; unsupported elements are skipped. Like the Markdown
+ * rendering (see markdown.js), the attachments are built from DOM nodes and text nodes only.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the script.
+ *
+ * - adaptiveCardContentType @type {string}: the content type of Adaptive Cards.
+ * - heroCardContentType @type {string}: the content type of hero cards.
+ * - allowedImageProtocols @type {string[]}: the protocols of images which are displayed.
+ */
+const adaptiveCardContentType = 'application/vnd.microsoft.card.adaptive';
+const heroCardContentType = 'application/vnd.microsoft.card.hero';
+const allowedImageProtocols = ['http:', 'https:'];
+
+/**************************************************************************
+ * Attachment rendering
+ **************************************************************************/
+
+/**
+ * Renders an attachment of a bot message.
+ *
+ * - Adaptive Cards: see renderAdaptiveCard().
+ * - Hero cards: title, subtitle, text, the first image and the buttons. Buttons of the type
+ *   openUrl are rendered as links, all other buttons call onAction with the button.
+ * - Images (content type image/*): the image.
+ * - Other attachments with a contentUrl: a link to the file.
+ *
+ * @param {{contentType: string, content: object, contentUrl: string, name: string}} attachment -
+ * The attachment.
+ * @param {function(object, object|null): void} onAction - Called when the user clicks on a
+ *   button of the attachment, with the action and the values of the inputs of the card.
+ * @returns {HTMLElement|null} The rendered attachment, or null if the attachment is not
+ * supported.
+ */
+function renderAttachment(attachment, onAction) {
+  const { contentType = '', content, contentUrl, name } = attachment || {};
+  if (contentType === adaptiveCardContentType && content) {
+    return renderAdaptiveCard(content, onAction);
+  }
+  if (contentType === heroCardContentType && content) {
+    return renderHeroCard(content, onAction);
+  }
+  if (contentType.startsWith('image/') && contentUrl) {
+    return createCardImage(contentUrl, name);
+  }
+  if (contentUrl) {
+    const link = createMarkdownLink(name || contentUrl, contentUrl, name || contentUrl);
+    return link instanceof HTMLAnchorElement ? link : null;
+  }
+  return null;
+}
+
+/**
+ * Renders a hero card.
+ *
+ * @param {{title: string, subtitle: string, text: string, images: Array<{url: string,
+ * alt: string}>, buttons: object[]}} content - The content of the hero card.
+ * @param {function(object, object|null): void} onAction - Called with a clicked button.
+ * @returns {HTMLElement} The rendered hero card.
+ */
+function renderHeroCard(content, onAction) {
+  const card = document.createElement('div');
+  card.classList.add('card', 'hero-card');
+  const image = content.images && content.images[0] && createCardImage(content.images[0].url, content.images[0].alt);
+  if (image) card.appendChild(image);
+  if (content.title) card.appendChild(createCardText(content.title, ['card-title']));
+  if (content.subtitle) card.appendChild(createCardText(content.subtitle, ['card-subtle']));
+  if (content.text) card.appendChild(createCardText(content.text, []));
+
+  const buttons = (content.buttons || []).filter(button => button && button.title);
+  if (buttons.length > 0) {
+    const actionsDiv = document.createElement('div');
+    actionsDiv.classList.add('card-actions');
+    buttons.forEach(button => {
+      const element = button.type === 'openUrl'
+        ? createCardLink(button.title, button.value)
+        : createCardButton(button.title, () => onAction(button, null));
+      if (element) actionsDiv.appendChild(element);
+    });
+    card.appendChild(actionsDiv);
+  }
+  return card;
+}
+
+/**
+ * Renders an Adaptive Card.
+ *
+ * - Supported elements: TextBlock, Image, FactSet, Container, ColumnSet, ActionSet,
+ *   Input.Text and Input.ChoiceSet.
+ * - Supported actions: Action.Submit (calls onAction with the action and the values of all
+ *   inputs of the card, or does nothing if a required input is empty) and Action.OpenUrl
+ *   (rendered as link).
+ *
+ * @param {{body: object[], actions: object[]}} content - The content of the Adaptive Card.
+ * @param {function(object, object|null): void} onAction - Called with a clicked submit
+ *   action and the values of the inputs.
+ * @returns {HTMLElement} The rendered Adaptive Card.
+ */
+function renderAdaptiveCard(content, onAction) {
+  const card = document.createElement('div');
+  card.classList.add('card', 'adaptive-card');
+  renderCardElements(content.body || [], card, card, onAction);
+  if (Array.isArray(content.actions) && content.actions.length > 0) {
+    card.appendChild(renderCardActions(content.actions, card, onAction));
+  }
+  return card;
+}
+
+/**
+ * Renders the elements of an Adaptive Card (or of a container) and appends them to an
+ * element.
+ *
+ * @param {object[]} elements - The elements.
+ * @param {HTMLElement} parent - The element to which the elements are appended.
+ * @param {HTMLElement} card - The element of the whole card (for the submit actions).
+ * @param {function(object, object|null): void} onAction - Called with a clicked submit action.
+ * @returns {void}
+ */
+function renderCardElements(elements, parent, card, onAction) {
+  elements.forEach(element => {
+    if (!element || typeof element !== 'object') return;
+    switch (element.type) {
+      case 'TextBlock': {
+        const classes = [];
+        if (element.weight === 'bolder') classes.push('card-bold');
+        if (element.size === 'large' || element.size === 'extraLarge') classes.push('card-large');
+        if (element.isSubtle) classes.push('card-subtle');
+        if (element.text) parent.appendChild(createCardText(element.text, classes));
+        break;
+      }
+      case 'Image': {
+        const image = createCardImage(element.url, element.altText);
+        if (image) parent.appendChild(image);
+        break;
+      }
+      case 'FactSet': {
+        const facts = document.createElement('dl');
+        facts.classList.add('card-facts');
+        (element.facts || []).forEach(fact => {
+          const title = document.createElement('dt');
+          title.textContent = fact.title;
+          const value = document.createElement('dd');
+          value.textContent = fact.value;
+          facts.append(title, value);
+        });
+        parent.appendChild(facts);
+        break;
+      }
+      case 'Container': {
+        const container = document.createElement('div');
+        renderCardElements(element.items || [], container, card, onAction);
+        parent.appendChild(container);
+        break;
+      }
+      case 'ColumnSet': {
+        const columnSet = document.createElement('div');
+        columnSet.classList.add('card-columns');
+        (element.columns || []).forEach(column => {
+          const columnDiv = document.createElement('div');
+          renderCardElements(column.items || [], columnDiv, card, onAction);
+          columnSet.appendChild(columnDiv);
+        });
+        parent.appendChild(columnSet);
+        break;
+      }
+      case 'ActionSet':
+        parent.appendChild(renderCardActions(element.actions || [], card, onAction));
+        break;
+      case 'Input.Text':
+      case 'Input.ChoiceSet':
+        if (element.id) parent.appendChild(renderCardInput(element));
+        break;
+    }
+  });
+}
+
+/**
+ * Renders an input of an Adaptive Card (Input.Text or Input.ChoiceSet).
+ *
+ * - The input field carries the id of the input as data attribute (see collectCardInputs).
+ * - Input.Text: a text field (or a textarea if isMultiline is true).
+ * - Input.ChoiceSet: a select field, or radio buttons (style "expanded") or checkboxes
+ *   (isMultiSelect) in a group.
+ *
+ * @param {object} element - The input element of the card.
+ * @returns {HTMLElement} The rendered input with its label.
+ */
+function renderCardInput(element) {
+  const wrapper = document.createElement('div');
+  wrapper.classList.add('card-input');
+  if (element.label) wrapper.appendChild(createCardText(element.label, ['card-label']));
+
+  let field;
+  if (element.type === 'Input.Text') {
+    field = document.createElement(element.isMultiline ? 'textarea' : 'input');
+    if (element.placeholder) field.placeholder = element.placeholder;
+    if (element.maxLength) field.maxLength = element.maxLength;
+    field.value = element.value || '';
+  } else if (element.isMultiSelect || element.style === 'expanded') {
+    field = document.createElement('div');
+    field.classList.add('card-choices');
+    const selected = String(element.value || '').split(',');
+    const groupName = `card-${element.id}-${Math.floor(Math.random() * 100000)}`;
+    (element.choices || []).forEach(choice => {
+      const label = document.createElement('label');
+      const option = document.createElement('input');
+      option.type = element.isMultiSelect ? 'checkbox' : 'radio';
+      option.name = groupName;
+      option.value = choice.value;
+      option.checked = selected.includes(String(choice.value));
+      label.append(option, document.createTextNode(choice.title));
+      field.appendChild(label);
+    });
+  } else {
+    field = document.createElement('select');
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = element.placeholder || 'Bitte auswählen';
+    field.appendChild(placeholder);
+    (element.choices || []).forEach(choice => {
+      const option = document.createElement('option');
+      option.value = choice.value;
+      option.textContent = choice.title;
+      field.appendChild(option);
+    });
+    field.value = element.value || '';
+  }
+  field.dataset.inputId = element.id;
+  if (element.isRequired) field.dataset.required = 'true';
+  wrapper.appendChild(field);
+  return wrapper;
+}
+
+/**
+ * Renders the actions of an Adaptive Card.
+ *
+ * @param {object[]} actions - The actions.
+ * @param {HTMLElement} card - The element of the whole card.
+ * @param {function(object, object|null): void} onAction - Called with a clicked submit action.
+ * @returns {HTMLElement} The rendered actions.
+ */
+function renderCardActions(actions, card, onAction) {
+  const actionsDiv = document.createElement('div');
+  actionsDiv.classList.add('card-actions');
+  actions.forEach(action => {
+    if (!action || !action.title) return;
+    let element = null;
+    if (action.type === 'Action.Submit') {
+      element = createCardButton(action.title, () => {
+        const values = collectCardInputs(card);
+        if (values) onAction(action, values);
+      });
+    } else if (action.type === 'Action.OpenUrl') {
+      element = createCardLink(action.title, action.url);
+    }
+    if (element) actionsDiv.appendChild(element);
+  });
+  return actionsDiv;
+}
+
+/**
+ * Collects the values of the inputs of an Adaptive Card.
+ *
+ * - Values of checkboxes are joined with commas (as defined for Input.ChoiceSet).
+ * - Highlights required inputs without a value.
+ *
+ * @param {HTMLElement} card - The element of the card.
+ * @returns {Object.<string, string>|null} The values by input id, or null if a required input
+ * is empty.
+ */
+function collectCardInputs(card) {
+  const values = {};
+  let complete = true;
+  card.querySelectorAll('[data-input-id]').forEach(field => {
+    const value = field.classList.contains('card-choices')
+      ? [...field.querySelectorAll('input:checked')].map(option => option.value).join(',')
+      : field.value.trim();
+    const missing = field.dataset.required === 'true' && !value;
+    field.classList.toggle('invalid', missing);
+    if (missing) complete = false;
+    values[field.dataset.inputId] = value;
+  });
+  return complete ? values : null;
+}
+
+/**************************************************************************
+ * Card elements
+ **************************************************************************/
+
+/**
+ * Creates a text of a card with Markdown formatting (see renderMarkdown() in markdown.js).
+ *
+ * @param {string} text - The text.
+ * @param {string[]} classes - The css classes of the text.
+ * @returns {HTMLElement} The text element.
+ */
+function createCardText(text, classes) {
+  const textDiv = document.createElement('div');
+  textDiv.classList.add('card-text', ...classes);
+  textDiv.appendChild(renderMarkdown(String(text)));
+  return textDiv;
+}
+
+/**
+ * Creates an image of a card. Only images with an allowed protocol are displayed.
+ *
+ * @param {string} url - The url of the image.
+ * @param {string} [alt] - The alternative text of the image.
+ * @returns {HTMLImageElement|null} The image, or null if the url is not allowed.
+ */
+function createCardImage(url, alt) {
+  let src;
+  try {
+    src = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (!allowedImageProtocols.includes(src.protocol)) return null;
+  const image = document.createElement('img');
+  image.classList.add('card-image');
+  image.src = src.href;
+  image.alt = alt || '';
+  return image;
+}
+
+/**
+ * Creates a button of a card.
+ *
+ * @param {string} title - The title of the button.
+ * @param {function(): void} onClick - Called when the button is clicked.
+ * @returns {HTMLButtonElement} The button.
+ */
+function createCardButton(title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.classList.add('card-action');
+  button.textContent = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Creates a link of a card (see createMarkdownLink() in markdown.js).
+ *
+ * @param {string} title - The title of the link.
+ * @param {string} url - The url of the link.
+ * @returns {HTMLAnchorElement|null} The link, or null if the url is not allowed.
+ */
+function createCardLink(title, url) {
+  const link = createMarkdownLink(title, String(url), title);
+  if (!(link instanceof HTMLAnchorElement)) return null;
+  link.classList.add('card-action');
+  return link;
+}
@@ -14,15 +14,29 @@
  * 
  * - chatbotPage @type {number}: the page number where the chatbot appears.
  * - enterMeansSent @type {boolean}: Variable to specify whether a message is sent when pressing enter. 
- * - typingAnimationDelay @type {number}: The delay in milliseconds until the typing indicator is 
- *   displayed after a user message. 
- * - initialTypingAnimationDelay @type {number}: The delay in milliseconds until the typing indicator 
- *   is displayed for the initial welcome message by the chatbot. 
- * - initialBotMessageDelay @type {number}: The delay in milliseconds until the initial welcome message 
- *   by the chatbot is displayed. 
+ * - disableInputWhileWaiting @type {boolean}: Variable to specify whether the user message input 
+ *   field is disabled (with a "waiting for reply" notice) until the chatbot has answered the 
+ *   previous user message. Otherwise, the user can write further messages, which are queued 
+ *   and sent one after another (see processOutboundQueue). 
+ * - replyTimeout @type {number}: The time in milliseconds after which the next queued user 
+ *   message is sent even if the chatbot has not answered the previous user message. 
+ * - defaultTypingConfig @type {object}: The typing simulation of the chatbot which is used until 
+ *   the server has provided the typing simulation of the treatment group (see typingSimulation 
+ *   in server.js for the meaning of the values). 
+ * - activityStreamSupported @type {boolean}: Whether the browser supports server-sent events. 
+ *   If so, new chatbot activities are pushed by the server (see openActivityStream). Otherwise, 
+ *   they are retrieved after each user message (see getActivities). 
  * - conversationId @type {string}: The conversationId generated by the bot framework.
  * - watermark @type {number}: The watermark per chatbot activity retrieval.
+ * - activityStream @type {EventSource|null}: The connection receiving the chatbot activities 
+ *   pushed by the server. 
+ * - typingConfig @type {object}: The typing simulation of the treatment group, provided by the 
+ *   server when the conversation is started. 
  * - typingIndicatorTimeout @type {number|null}: The timer id for the typing animation delay. 
+ * - replyTimeoutTimer @type {number|null}: The timer id for sending the next queued user message 
+ *   after the replyTimeout. 
+ * - typingMetrics @type {{startedAt: number|null, keystrokes: number, edits: number, pastes: number}}: 
+ *   The typing behaviour of the user for the message currently being written (see trackTyping). 
  * - chatbotAlreadyOpened @type {boolean}: a flag indicating whether the chatbot has 
  *   already been opened in the session. 
  * - pollInProgress @type {boolean}: A flag indicating whether a chatbot activity retrieval process is 
@@ -32,20 +46,36 @@
  * - startConvInProgress @type {boolean}: A flag indicating whether the conversation initialization process
  *   is currently in progress.
  * - finalStateReached @type {boolean}: Flag to specify whether the final dialogue state has been reached.
+ * - displayInProgress @type {boolean}: A flag indicating whether pending bot messages are currently 
+ *   being displayed with the typing simulation. 
  */
 const enterMeansSend = false;             // To be specified: whether a message is sent when pressing enter!
-const typingAnimationDelay = 750        // To be specified: delay of the typing animation!
-const initialTypingAnimationDelay = 250  // To be specified: typing animation delay of initial bot message!
-const initialBotMessageDelay = 800       // To be specified: delay of the initial bot message!
+const disableInputWhileWaiting = false;   // To be specified: whether the input is disabled until the chatbot has answered!
+const replyTimeout = 30000;               // To be specified: the time after which queued messages are sent without an answer!
+const defaultTypingConfig = {
+  indicatorDelay: 750,
+  initialIndicatorDelay: 250,
+  charactersPerSecond: 40,
+  minDelay: 800,
+  maxDelay: 4000,
+  jitter: 0,
+  sequential: true
+};
+const activityStreamSupported = typeof EventSource !== 'undefined';
 
 let conversationId = null;
 let watermark = null;
+let activityStream = null;
+let typingConfig = JSON.parse(sessionStorage.getItem('typingConfig')) || defaultTypingConfig;
 let typingIndicatorTimeout = null;
+let replyTimeoutTimer = null;
+let typingMetrics = { startedAt: null, keystrokes: 0, edits: 0, pastes: 0 };
 let chatbotAlreadyOpened = sessionStorage.getItem('chatbotAlreadyOpened') === 'true';
 let pollInProgress = sessionStorage.getItem('pollInProgress') === 'true';
 let sendInProgress = sessionStorage.getItem('sendInProgress') === 'true'; 
 let startConvInProgress = sessionStorage.getItem('startConvInProgress') === 'true';
 let finalStateReached = sessionStorage.getItem('finalStateReached') === 'true'; 
+let displayInProgress = false;
 
 /**
  * Event Listener for initializing the chatbot interface.
@@ -58,7 +88,10 @@ document.addEventListener('surveyDataInitialized', initializeChatbotUi);
  * Initializes the chatbot interface.
  * This function is executed as soon as the "surveyDataInitialized" event has been triggered. 
  * 
- * - Starts a new conversation or restores an existing conversation.
+ * - Starts a new conversation or restores an existing conversation. A conversation is also 
+ *   started if the stored conversation state has no conversationId yet (e.g. messages have 
+ *   been written while the start of the conversation was rejected). 
+ * - Opens the activity stream of a restored conversation.
  * - Calls the continueChatbotApiRequests function to continue any communication processes
  *   with the server which were still in progress when the page was reloaded. 
  * - Attaches all event listeners.
@@ -70,7 +103,9 @@ function initializeChatbotUi() {
   const storedConversation = sessionStorage.getItem('conversation');
   if (storedConversation) {
     restoreConversation(storedConversation);
+    if (activityStreamSupported && conversationId) openActivityStream();
     continueChatbotApiRequests();
+    if (!conversationId) startConversation();
   } else {
     continueChatbotApiRequests();
     startConversation();
@@ -87,7 +122,8 @@ function initializeChatbotUi() {
  *   the height of the textarea is adjusted. 
  * - Optionally: When the user clicks enter in the textarea, this is treated as clicking the 
  *   send button (this applies when the variable enterMeansSent is set to true). 
- * - The height of the textarea is adjusted each time the user interacts with the textarea. 
+ * - The height of the textarea is adjusted each time the user interacts with the textarea, 
+ *   and the typing behaviour is recorded (see trackTyping). 
  * - Each time the size of the browser window is adjusted or the chatbot interface is opened, 
  *   the dialogue space gets automatically scrolled down to the newest messages and the height 
  *   of the input text area is adjusted. 
@@ -114,8 +150,9 @@ function attachChatbotEventListeners() {
     });
   } // Optional if pressing enter should cause the user message to be sent. 
 
-  textarea.addEventListener('input', function() {
+  textarea.addEventListener('input', function(e) {
     adjustTextareaHeight(textarea, maxRows);
+    trackTyping(e);
   });
 
   window.addEventListener('resize', function () {
@@ -142,11 +179,18 @@ function attachChatbotEventListeners() {
  *   not currently ongoing (so only when startConvInProgress is false).
  * - Sets the startConvInProgress variable to true at the start of the function and sets it to
  *   false when the server responded successfully.
- * - Passes the treatmentGroup value to the server to request the server to initialize
- *   a new conversation with the chatbot. This process is repeated until the server sends
- *   a successfull response. 
- * - Receives the conversationId value from the server.
- * - Calls the getActivities() function to receive the initial welcome message by the chatbot. 
+ * - Passes the treatmentGroup and participantId values to the server to request the server 
+ *   to initialize a new conversation with the chatbot (owned by this participant). This 
+ *   process is repeated until the server sends a successfull response. If the server 
+ *   rejects the request because too many conversations have been started (status 429), 
+ *   a notice is displayed in the chat and the request is repeated after the retryAfter 
+ *   seconds sent by the server. The startConvInProgress flag stays true while waiting, so 
+ *   that the conversation is also started after a reload (see continueChatbotApiRequests). 
+ * - Receives the conversationId value and the typing simulation of the treatment group from 
+ *   the server and stores the typing simulation in the session storage.
+ * - Opens the activity stream (or calls the getActivities() function if the browser does not 
+ *   support server-sent events) to receive the initial welcome message by the chatbot. 
+ * - Sends the user messages which have been written in the meantime (see processOutboundQueue). 
  * 
  * @async
  * @returns {void}
@@ -156,14 +200,21 @@ async function startConversation() {
   startConvInProgress = true;
   sessionStorage.setItem('startConvInProgress', startConvInProgress);
   const treatmentGroup = sessionStorage.getItem('treatmentGroup');
+  const participantId = sessionStorage.getItem('participantId');
   let data;
   while (true) {
     try {
       const res = await fetch('/startconversation', {
         method: 'POST', 
         headers: {'Content-Type': 'application/json'},
-        body: JSON.stringify({ treatmentGroup })
+        body: JSON.stringify({ treatmentGroup, participantId })
       });
+      if (res.status === 429) {
+        const { retryAfter } = await res.json();
+        addChatNotice(`Der Chat kann im Moment nicht gestartet werden. Er wird in ${retryAfter} Sekunden erneut gestartet.`);
+        await new Promise(r => setTimeout(r, retryAfter * 1000));
+        continue;
+      }
       if (!res.ok) {
         throw new Error(`startConversation() - HTTP error! status: ${res.status}`);
       }
@@ -179,13 +230,49 @@ async function startConversation() {
   }
   console.log(`Treatment value: ${treatmentGroup}`); // Nur zum Testen
   conversationId = data.conversationId;
-  getActivities();
+  if (data.typing) {
+    typingConfig = data.typing;
+    sessionStorage.setItem('typingConfig', JSON.stringify(typingConfig));
+  }
+  activityStreamSupported ? openActivityStream() : getActivities();
+  processOutboundQueue();
 }
 
 /**************************************************************************
  * Chatbot activity retrieval
  **************************************************************************/
 
+/**
+ * Opens the activity stream of the conversation (server-sent events). 
+ * 
+ * - The server pushes every batch of new chatbot activities as "activities" event as soon as 
+ *   it arrives, including bot messages sent with a delay, in several parts or proactively. 
+ * - Passes the conversationId, watermark and participantId values to the server. 
+ * - Calls the handleActivities(data) function for every batch. 
+ * - The browser reconnects automatically after a connection loss and passes the watermark 
+ *   of the last received batch to the server. If the server rejects the connection, the 
+ *   stream is reopened after 2 seconds. 
+ * 
+ * @returns {void}
+ */
+function openActivityStream() {
+  if (activityStream) activityStream.close();
+  const participantId = sessionStorage.getItem('participantId');
+  const params = new URLSearchParams({ conversationId, participantId });
+  if (watermark) params.set('watermark', watermark);
+
+  activityStream = new EventSource(`/activitystream?${params}`);
+  activityStream.addEventListener('activities', (event) => {
+    handleActivities(JSON.parse(event.data));
+  });
+  activityStream.addEventListener('error', () => {
+    console.error('Error in the activity stream. Reconnecting.');
+    if (activityStream.readyState === EventSource.CLOSED) {
+      setTimeout(openActivityStream, 2000);
+    }
+  });
+}
+
 /**
  * Requests the server to retrieve new chatbot activities.
  * 
@@ -194,12 +281,13 @@ async function startConversation() {
  * - Sets the pollInProgress variable to true at the start of the function and sets it to
  *   false when the server responded successfully (in the processActivities function
  *   after displaying new messages).
- * - Passes the conversationId, watermark and treatmentGroup values to the server.
+ * - Passes the conversationId, watermark, treatmentGroup and participantId values to the server.
  * - Requests the server to receives the chatbot activities. Repeats the process until it 
  *   receives a successfull response from the server (to catch network errors).
- * - Calls the processActivities(data) function to update the conversation state and 
- *   display new messages (calls the processInitialActivities(data) function instead 
- *   if the chatbot is opened for the first time in a session).
+ * - Calls the handleActivities(data) function to update the conversation state and 
+ *   display new messages. 
+ * - This function is used if the browser does not support server-sent events, or to 
+ *   complete a retrieval which was in progress when the page was reloaded. 
  * 
  * @async
  * @returns {void}
@@ -211,18 +299,18 @@ async function getActivities() {
   while (true) {
     try {
       const treatmentGroup = sessionStorage.getItem('treatmentGroup');
+      const participantId = sessionStorage.getItem('participantId');
       const res = await fetch('/getactivities', {
         method: 'POST',
         headers: {'Content-Type': 'application/json'},
-        body: JSON.stringify({ conversationId, watermark, treatmentGroup })
+        body: JSON.stringify({ conversationId, watermark, treatmentGroup, participantId })
       });
       if (!res.ok) {
         throw new Error(`pollActivities() - HTTP error! status: ${res.status}`);
       }
       const data = await res.json();
       if (data.activities) {
-        const chatbotAlreadyOpenedCopy = sessionStorage.getItem('chatbotAlreadyOpened') === 'true';
-        chatbotAlreadyOpenedCopy ? processActivities(data) : processInitialActivities(data);
+        handleActivities(data);
       }
       break
     } catch (error) {
@@ -233,24 +321,40 @@ async function getActivities() {
 }
 
 /**
- * Updates the conversation state and displays new messages. 
+ * Passes a batch of chatbot activities to the processing. 
+ * 
+ * - Calls the processActivities(data) function to update the conversation state and 
+ *   display new messages (calls the processInitialActivities(data) function instead 
+ *   if the chatbot is opened for the first time in a session).
+ * 
+ * @param {{activities: object[], watermark: string}} data - The data object containing the 
+ * chatbot activities. 
+ * @returns {void}
+ */
+function handleActivities(data) {
+  const chatbotAlreadyOpenedCopy = sessionStorage.getItem('chatbotAlreadyOpened') === 'true';
+  chatbotAlreadyOpenedCopy ? processActivities(data) : processInitialActivities(data);
+}
+
+/**
+ * Updates the conversation state with new chatbot activities. 
  * 
  * - Retrieves the conversation state from the session storage. 
- * - Hides the chatbot typing animation.
- * - Iterates through all chatbot activities, adds all new bot messages and their corresponding 
- *   activityIds to the conversation state, and displays all new messages. After having displayed 
- *   all new bot messages, sets the pollInProgress variable to false to enable new chatbot
- *   activity retrievals. 
+ * - Iterates through all chatbot activities and adds all new bot messages and their 
+ *   corresponding activityIds to the conversation state as pending messages. The suggested 
+ *   actions, the attachments (e.g. Adaptive Cards) and the finalState value of a bot message 
+ *   are stored with the message. The pending messages are displayed with the typing 
+ *   simulation (see displayPendingBotMessages). 
  * - Adds an activityId to user messages which have not received an activityId yet due to 
- *   network errors. 
- * - Retrieves the finalState value metadata. If this value is true, sets the variable 
- *   finalStateReached to true, stores it in the session storage and triggers the 
- *   'dialogueFinishedEvent'.
+ *   network errors. The user message is identified by the clientSideMsgId in the channel 
+ *   data of the activity (see /sendmessage in server.js); user activities without it are 
+ *   linked by the activityId returned by /sendmessage (see sendUserMessage). 
+ * - After having processed all activities, sets the pollInProgress variable to false to 
+ *   enable new chatbot activity retrievals. 
  * - Updates the watermark value. The watermark value indicates which activities have been 
  *   added since the chatbot activities were last called up. This ensures that only new 
  *   activities are requested from the chatbot.
  * - Saves the updated conversation state object in the session storage.
- * - Sets the state of the continueSurveytBtn (disabled vs. enabled).
  * 
  * @param {Array<{parameter: value}>} data - The data object containing the chatbot activities. 
  * @returns {void}
@@ -262,26 +366,28 @@ function processActivities(data) {
   if (!state.processedActivities) {
     state.processedActivities = [];
   }
-  toggleTypingIndicator('hide', typingAnimationDelay);
 
   data.activities.forEach(act => {
     if (act.type === 'message' && !state.processedActivities.includes(act.id)) {
       const from = (act.from.id === 'user1') ? 'user' : 'bot';
       if (from === 'bot') {
-        addMessage(act.text, from);
-        newMessages.push({ text: act.text, from, activityId: act.id, clientSideMsgId: null });
+        newMessages.push({
+          text: act.text || '',
+          from,
+          activityId: act.id,
+          clientSideMsgId: null,
+          pending: true,
+          receivedAt: new Date().toISOString(),
+          suggestedActions: (act.suggestedActions && act.suggestedActions.actions) || [],
+          attachments: act.attachments || [],
+          finalState: Boolean(act.channelData && act.channelData.finalState)
+        });
         state.processedActivities.push(act.id);
-      } else {
-        clientSideMsgId = sessionStorage.getItem('clientSideMsgId');
+      } else if (act.channelData && act.channelData.clientSideMsgId) {
         saveConversationState(state);
-        linkUserMessageWithActivityId(act.id, clientSideMsgId);
+        linkUserMessageWithActivityId(act.id, act.channelData.clientSideMsgId);
         state = loadConversationState();
       }
-      if (act.channelData && act.channelData.finalState) {
-        finalStateReached = true
-        sessionStorage.setItem('finalStateReached', finalStateReached);
-        document.dispatchEvent(new CustomEvent('dialogueFinishedEvent'));
-      }
     }
   });
 
@@ -296,21 +402,18 @@ function processActivities(data) {
 
   state.messages = state.messages.concat(newMessages);
   saveConversationState(state);
+  displayPendingBotMessages();
   state.messages.forEach(msg => console.log(`Current state messages: ${msg.text}`)); //diese Zeile ist nur zum Testen in der Browser-Konsole
 }
 
 /**
  * Processes the initial bot welcome message when the chatbot is opened for the first time.
  * 
- * - This function acts as a buffer for the initial welcome message by the chatbot. The 
- *   chatbot's welcome message is retrieved from the server as soon as the user opens the 
- *   survey, however it is rendered only when the user opens the chatbot interface. 
  * - Receives the data object of the initial activity retrival.
- * - Keeps this data obejct until the user opens the chatbot interface for the first time. 
- * - When the user opens the chatbot interface for the first time: displays the initial bot 
- *   message typing animation (using the toggleTypingIndicator function) and executes the 
- *   processActivities(data) function to update the conversation state and display the initial 
- *   welcome message by the chatbot. 
+ * - Stores that the chatbot has been opened and executes the processActivities(data) function 
+ *   to update the conversation state and display the initial welcome message by the chatbot. 
+ *   The typing indicator of the welcome message is displayed after the initialIndicatorDelay 
+ *   of the typing simulation (see displayPendingBotMessages). 
  * 
  * @param {Array<{parameter: value}>} data - The data object containing the chatbot activities. 
  * @returns {void}
@@ -318,10 +421,110 @@ function processActivities(data) {
 function processInitialActivities(data) {
   chatbotAlreadyOpened = true
   sessionStorage.setItem('chatbotAlreadyOpened', chatbotAlreadyOpened);
-  pollInProgress = true;
-  sessionStorage.setItem('pollInProgress', pollInProgress);
-  toggleTypingIndicator('show', initialTypingAnimationDelay);
-  setTimeout(() => {processActivities(data)}, initialBotMessageDelay);
+  processActivities(data);
+}
+
+/**************************************************************************
+ * Typing simulation
+ **************************************************************************/
+
+/**
+ * Displays the pending bot messages of the conversation state with the typing simulation. 
+ * 
+ * - This function is only executed once at a time (so only when displayInProgress is false); 
+ *   messages which arrive in the meantime are displayed by the running execution. 
+ * - Each pending message is displayed after its typing delay (see computeTypingDelay). The 
+ *   delay is counted from the display of the previous message (user or bot message), so that 
+ *   the response time of the chatbot is part of the delay. Until then, the typing indicator 
+ *   is displayed (after the indicatorDelay, if the remaining delay is longer). 
+ * - If the typing simulation is sequential, several pending messages are displayed one after 
+ *   another, each with its own typing indicator. Otherwise, they are displayed together. 
+ * - Finally, displays the suggested actions of the last bot message (see 
+ *   updateSuggestedActions) and sends the next queued user message, as the chatbot has 
+ *   answered the previous one (see processOutboundQueue). 
+ * 
+ * @async
+ * @returns {void}
+ */
+async function displayPendingBotMessages() {
+  if (displayInProgress) return;
+  displayInProgress = true;
+
+  while (true) {
+    const state = loadConversationState();
+    const pendingMessages = state.messages.filter(m => m.pending);
+    if (pendingMessages.length === 0) break;
+    const batch = typingConfig.sequential ? pendingMessages.slice(0, 1) : pendingMessages;
+
+    const displayedMessages = state.messages.filter(m => !m.pending && m.displayedAt);
+    const lastDisplayedAt = displayedMessages.length > 0
+      ? new Date(displayedMessages[displayedMessages.length - 1].displayedAt).getTime()
+      : new Date(batch[0].receivedAt).getTime();
+    const typingDelay = computeTypingDelay(batch[0].text);
+    const remainingDelay = typingDelay - (Date.now() - lastDisplayedAt);
+
+    if (remainingDelay > 0) {
+      const indicatorDelay = displayedMessages.length > 0 ? typingConfig.indicatorDelay : typingConfig.initialIndicatorDelay;
+      if (remainingDelay > indicatorDelay && !document.getElementById('typingIndicator') && !typingIndicatorTimeout) {
+        toggleTypingIndicator('show', indicatorDelay);
+      }
+      await new Promise(r => setTimeout(r, remainingDelay));
+    }
+    toggleTypingIndicator('hide');
+    batch.forEach(message => displayBotMessage(message.activityId, typingDelay));
+  }
+
+  displayInProgress = false;
+  updateSuggestedActions();
+  processOutboundQueue();
+}
+
+/**
+ * Displays a pending bot message. 
+ * 
+ * - Displays the text and the attachments of the message and stores the time it was 
+ *   displayed in the conversation state. 
+ * - Records a "message_displayed" telemetry event with the simulated typing delay (see 
+ *   telemetry.js). 
+ * - If the message carries the finalState value, sets the variable finalStateReached to true, 
+ *   stores it in the session storage and triggers the 'dialogueFinishedEvent'. 
+ * 
+ * @param {string} activityId - The activityId of the message. 
+ * @param {number} typingDelay - The simulated typing delay of the message in milliseconds. 
+ * @returns {void}
+ */
+function displayBotMessage(activityId, typingDelay) {
+  let state = loadConversationState();
+  const message = state.messages.find(m => m.from === 'bot' && m.activityId === activityId);
+  if (!message || !message.pending) return;
+
+  if (message.text) addMessage(message.text, 'bot', null, activityId);
+  if (message.attachments.length > 0) addAttachments(message.attachments, activityId, false);
+  message.pending = false;
+  message.displayedAt = new Date().toISOString();
+  saveConversationState(state);
+  recordTelemetry('message_displayed', { from: 'bot', activityId, typingDelayMs: Math.round(typingDelay) });
+
+  if (message.finalState) {
+    finalStateReached = true
+    sessionStorage.setItem('finalStateReached', finalStateReached);
+    document.dispatchEvent(new CustomEvent('dialogueFinishedEvent'));
+  }
+}
+
+/**
+ * Computes the simulated typing delay of a bot message. 
+ * 
+ * - The time needed to type the text with the typing speed of the typing simulation 
+ *   (charactersPerSecond), varied randomly by the jitter and limited to minDelay and maxDelay. 
+ * 
+ * @param {string} text - The text of the bot message. 
+ * @returns {number} The delay in milliseconds. 
+ */
+function computeTypingDelay(text) {
+  const typingTime = (text.length / typingConfig.charactersPerSecond) * 1000;
+  const jitteredTime = typingTime * (1 + (Math.random() * 2 - 1) * typingConfig.jitter);
+  return Math.min(Math.max(jitteredTime, typingConfig.minDelay), typingConfig.maxDelay);
 }
 
 /**************************************************************************
@@ -332,13 +535,7 @@ function processInitialActivities(data) {
  * Collects new user messages. 
  * 
  * - Deletes the user message from the user input field.
- * - Generates a clientSideMsgId variable for the user message. This variable
- *   is used as an identifier for the user message in the client side code. 
- * - Displays the new user messages in the dialogue space.
- * - Adds new user messages (without an activityId) to the conversation state. 
- * - Sets the state of the continueSurveytBtn (disabled vs. enabled).
- * - Calls the sendUserMessage function to request the server to send the new user 
- *   message to the chatbot. 
+ * - Calls the submitUserMessage function to display the message and send it to the chatbot. 
  * 
  * @async
  * @returns {void}
@@ -349,11 +546,156 @@ async function collectUserMessage() {
   if (!text) return;
   input.value = ''; 
 
+  submitUserMessage(text, 'text');
+}
+
+/**
+ * Sends the value of a suggested action (or of a button of a hero card) clicked by the user. 
+ * 
+ * - Removes the suggested actions from the dialogue space. 
+ * - Calls the submitUserMessage function with the input type "button", so that the message 
+ *   is recorded in the transcript as a button click rather than typed text. 
+ * - The sent text is the text of a messageBack action, otherwise the value of the action 
+ *   (or its title if the value is not a text). 
+ * 
+ * @param {{type: string, title: string, value: any, text: string}} action - The suggested 
+ * action. 
+ * @returns {void}
+ */
+function selectSuggestedAction(action) {
+  const text = action.type === 'messageBack' && action.text
+    ? action.text
+    : (typeof action.value === 'string' && action.value ? action.value : action.title);
+  removeSuggestedActions();
+  submitUserMessage(String(text).trim(), 'button');
+}
+
+/**
+ * Handles a click on a button of an attachment of a bot message (see renderAttachment() in 
+ * cards.js). 
+ * 
+ * - Action.Submit of an Adaptive Card: sends the data of the action together with the values 
+ *   of the inputs of the card as value payload of a user message (input type "card"), or the 
+ *   data as text if it is a text (input type "button"). 
+ * - Buttons of hero cards (imBack, postBack, messageBack) are sent like suggested actions 
+ *   (see selectSuggestedAction). 
+ * - Disables the attachment afterwards and marks it as submitted in the conversation state, 
+ *   so that it can only be used once. 
+ * 
+ * @param {object} action - The clicked action or button. 
+ * @param {Object.<string, string>|null} values - The values of the inputs of the card. 
+ * @param {string} activityId - The activityId of the bot message of the attachment. 
+ * @returns {void}
+ */
+function handleCardAction(action, values, activityId) {
+  if (action.type === 'Action.Submit') {
+    if (typeof action.data === 'string') {
+      submitUserMessage(action.data, 'button');
+    } else {
+      submitUserMessage('', 'card', { ...(action.data || {}), ...values });
+    }
+  } else {
+    selectSuggestedAction(action);
+  }
+
+  disableAttachments(activityId);
+  let state = loadConversationState();
+  const message = state.messages.find(m => m.from === 'bot' && m.activityId === activityId);
+  if (message) {
+    message.cardSubmitted = true;
+    saveConversationState(state);
+  }
+}
+
+/**
+ * Displays a new user message and sends it to the chatbot. 
+ * 
+ * - Generates a clientSideMsgId variable for the user message. This variable
+ *   is used as an identifier for the user message in the client side code. 
+ * - Displays the new user messages in the dialogue space (except messages without text, i.e. 
+ *   the value payloads of Adaptive Cards). 
+ * - Adds new user messages (without an activityId) to the conversation state, together with 
+ *   the input type, the value payload, the time they were displayed and the typing data (see 
+ *   getTypingData). 
+ * - Records a "message_displayed" telemetry event (see telemetry.js). 
+ * - Removes the suggested actions of the previous bot message (see updateSuggestedActions). 
+ * - Adds the message to the outbound queue, which sends it to the chatbot as soon as the 
+ *   previous exchange has finished (see processOutboundQueue). 
+ * 
+ * @param {string} text - The text of the user message. 
+ * @param {string} inputType - How the message was entered: "text" (typed), "button" 
+ * (suggested action or button of a card) or "card" (submitted Adaptive Card). 
+ * @param {object} [value] - The value payload of a submitted Adaptive Card. 
+ * @returns {void}
+ */
+function submitUserMessage(text, inputType, value = null) {
   clientSideMsgId = generateClientSideMsgId();
 
-  addMessage(text, 'user');
-  addMessageToState(text, 'user', null, clientSideMsgId); 
-  sendUserMessage(text, clientSideMsgId);
+  if (text) addMessage(text, 'user', clientSideMsgId);
+  addMessageToState(text, 'user', null, clientSideMsgId, {
+    inputType,
+    value,
+    displayedAt: new Date().toISOString(),
+    typing: getTypingData(text, inputType === 'text')
+  });
+  recordTelemetry('message_displayed', { from: 'user', clientSideMsgId, inputType });
+  updateSuggestedActions();
+  enqueueUserMessage(clientSideMsgId);
+}
+
+/**
+ * Records the typing behaviour of the user in the user message input field. 
+ * 
+ * - This function is called with every input event of the textarea. 
+ * - Stores the time of the first input of a new message. 
+ * - Counts the inserted characters (keystrokes), the deletions (edits) and the pasted texts 
+ *   (pastes). 
+ * 
+ * @param {InputEvent} e - The input event. 
+ * @returns {void}
+ */
+function trackTyping(e) {
+  if (!typingMetrics.startedAt) typingMetrics.startedAt = Date.now();
+  const inputType = e.inputType || '';
+  if (inputType.startsWith('delete')) {
+    typingMetrics.edits++;
+  } else if (inputType === 'insertFromPaste' || inputType === 'insertFromDrop') {
+    typingMetrics.pastes++;
+  } else {
+    typingMetrics.keystrokes++;
+  }
+}
+
+/**
+ * Returns the typing data of a new user message and resets the typing behaviour. 
+ * 
+ * - typingDurationMs: the time between the first input and sending the message. 
+ * - keystrokes, edits and pastes: see trackTyping. 
+ * - For a message which has not been typed (e.g. a suggested action), typingDurationMs, 
+ *   keystrokes, edits and pastes are 0 and the typing behaviour is not reset. 
+ * - responseLatencyMs: the time between the display of the last bot message and sending 
+ *   the message (null if the previous message is not a bot message). 
+ * 
+ * @param {string} text - The text of the user message. 
+ * @param {boolean} [typed] - Whether the message has been typed in the input field. 
+ * @returns {{length: number, typingDurationMs: number, keystrokes: number, edits: number, 
+ *   pastes: number, responseLatencyMs: number|null}} The typing data. 
+ */
+function getTypingData(text, typed = true) {
+  const now = Date.now();
+  const lastMessage = loadConversationState().messages.slice(-1)[0];
+  const typing = {
+    length: text.length,
+    typingDurationMs: typed && typingMetrics.startedAt ? now - typingMetrics.startedAt : 0,
+    keystrokes: typed ? typingMetrics.keystrokes : 0,
+    edits: typed ? typingMetrics.edits : 0,
+    pastes: typed ? typingMetrics.pastes : 0,
+    responseLatencyMs: lastMessage && lastMessage.from === 'bot' && lastMessage.displayedAt
+      ? now - new Date(lastMessage.displayedAt).getTime()
+      : null
+  };
+  if (typed) typingMetrics = { startedAt: null, keystrokes: 0, edits: 0, pastes: 0 };
+  return typing;
 }
 
 /**
@@ -371,14 +713,11 @@ function generateClientSideMsgId() {
  * Sends a user message to the server. 
  * 
  * - Displays the chatbot typing animation in the dialogue space.
- * - If the variable sendInProgress is true (meaning there is still another user message 
- *   sending) or if the variable pollInProgress is true (meaning there is still a chatbot 
- *   activity retrieval process ongoing) this function is not executed. This is done to 
- *   ensure that new user messages are processed one by one and that a new user message 
- *   can only be sent to the server to be send to the chatbot when the client has received 
- *   and displayed the chatbot response to the previous user message. Any user message 
- *   created by the user in the meantime is displayed in the interface but not forwarded to
- *   the server and the chatbot and is therefore not answered. 
+ * - This function is called by processOutboundQueue, which ensures that new user messages 
+ *   are processed one by one and that a new user message is only sent when the client has 
+ *   received and displayed the chatbot response to the previous user message. If the 
+ *   variable sendInProgress or pollInProgress is nevertheless true, this function is not 
+ *   executed. 
  * - Sets the sendInProgress variable to true at the start of the function and sets it to
  *   false when the server responded successfully. This is done to ensure that no other 
  *   sendUserMessageProcess can be started while the current sending process is ongoing. 
@@ -391,32 +730,52 @@ function generateClientSideMsgId() {
  *   a second time. Otherwise, when an error is caused by the fact that the connection was
  *   lost before the client could send the message to the server, the loop is continued to 
  *   retry sending the message to the server. 
+ * - Only network errors and server errors (status 5xx) are retried. If the server rejects 
+ *   the message (status 4xx, e.g. because it is too long, too many messages have been sent 
+ *   or the session has expired), the message is not sent again. Instead, it is marked as 
+ *   not sent and a notice is displayed in the chat (see rejectUserMessage and 
+ *   getRejectionNotice). 
  * - Retrieves the corresponding activityId assigned by the chatbot and adds it to the 
  *   conversation state using the linkLastUserMessageWithActivityId(activityId) function. 
- * - Calls the getActivities() function to receive the chatbot's response. 
+ * - Calls the getActivities() function to receive the chatbot's response if the browser 
+ *   does not support server-sent events (otherwise, the response is pushed by the server). 
+ * - Calls the processOutboundQueue function, which sends the next queued user message 
+ *   immediately if this message has been rejected, and otherwise waits for the response. 
  * 
  * @async
  * @param {str} text - The text of the user message to be sent. 
+ * @param {string} clientSideMsgId - The identifier of the user message. 
+ * @param {string} [inputType] - How the message was entered: "text", "button" or "card". 
+ * @param {object|null} [value] - The value payload of a submitted Adaptive Card. 
  * @returns {void}
  */
-async function sendUserMessage(text, clientSideMsgId) {
-  toggleTypingIndicator('show', typingAnimationDelay);
+async function sendUserMessage(text, clientSideMsgId, inputType = 'text', value = null) {
+  toggleTypingIndicator('show', typingConfig.indicatorDelay);
   if (sendInProgress) return;
   if (pollInProgress) return;
   sendInProgress = true;
   sessionStorage.setItem('sendInProgress', sendInProgress);
   sessionStorage.setItem('clientSideMsgId', clientSideMsgId);
   const treatmentGroup = sessionStorage.getItem('treatmentGroup');
+  const participantId = sessionStorage.getItem('participantId');
   let activityId;
+  let rejected = false;
 
   while (true) {
     try{
       const res = await fetch('/sendmessage', {
         method: 'POST',
         headers: {'Content-Type': 'application/json'},
-        body: JSON.stringify({ conversationId, text, treatmentGroup, clientSideMsgId })
+        body: JSON.stringify({ conversationId, text, treatmentGroup, clientSideMsgId, participantId, inputType, value: value || undefined })
       });
 
+      if (res.status >= 400 && res.status < 500) {
+        const error = await res.json().catch(() => ({}));
+        rejectUserMessage(clientSideMsgId, getRejectionNotice(res.status, error));
+        rejected = true;
+        break;
+      }
+
       if (!res.ok) {
         throw new Error(`sendUserMessage() - HTTP error! status: ${res.status}`);
       }
@@ -443,7 +802,57 @@ async function sendUserMessage(text, clientSideMsgId) {
   }
   sendInProgress = false;
   sessionStorage.setItem('sendInProgress', sendInProgress);
-  getActivities();
+  if (!rejected && !activityStreamSupported) getActivities();
+  processOutboundQueue();
+}
+
+/**
+ * Marks a user message rejected by the server as not sent. 
+ * 
+ * - Hides the chatbot typing animation. 
+ * - Marks the message as failed in the conversation state and in the dialogue space. 
+ * - Records a "message_rejected" telemetry event (see telemetry.js). 
+ * - Displays a notice with the reason in the dialogue space. 
+ * 
+ * @param {string} clientSideMsgId - The identifier of the rejected user message. 
+ * @param {string} notice - The text of the notice. 
+ * @returns {void}
+ */
+function rejectUserMessage(clientSideMsgId, notice) {
+  toggleTypingIndicator('hide');
+  let state = loadConversationState();
+  const message = state.messages.find(
+    m => m.from === 'user' && m.clientSideMsgId === clientSideMsgId
+  );
+  if (message) {
+    message.failed = true;
+    saveConversationState(state);
+  }
+  const msgDiv = document.querySelector(`.user-message[data-client-side-msg-id="${clientSideMsgId}"]`);
+  if (msgDiv) msgDiv.classList.add('failed');
+  recordTelemetry('message_rejected', { clientSideMsgId });
+  addChatNotice(notice);
+}
+
+/**
+ * Returns the notice displayed in the chat when the server has rejected a user message. 
+ * 
+ * @param {number} status - The status of the server response (4xx). 
+ * @param {object} error - The json body of the server response (with maxLength for status 
+ * 413 and retryAfter for status 429). 
+ * @returns {string} The text of the notice. 
+ */
+function getRejectionNotice(status, error) {
+  if (status === 413) {
+    return `Ihre Nachricht ist zu lang (maximal ${error.maxLength} Zeichen) und wurde nicht gesendet.`;
+  }
+  if (status === 429) {
+    return `Sie haben zu viele Nachrichten gesendet. Bitte warten Sie ${error.retryAfter} Sekunden.`;
+  }
+  if (status === 401 || status === 403) {
+    return 'Ihre Sitzung ist abgelaufen. Ihre Nachricht wurde nicht gesendet.';
+  }
+  return 'Ihre Nachricht konnte nicht gesendet werden.';
 }
 
 /**
@@ -459,11 +868,12 @@ async function sendUserMessage(text, clientSideMsgId) {
  * the Microsoft Bot Framework.
  * @param {string} clientSideMsgId - The message identifier for client messages.
  * This value is null for bot messages. 
+ * @param {object} [timing] - The timing data of the message (e.g. displayedAt and typing). 
  * @returns {void}
  */
-function addMessageToState(text, from, activityId, clientSideMsgId) {
+function addMessageToState(text, from, activityId, clientSideMsgId, timing = {}) {
   let state = loadConversationState();
-  state.messages.push({ text, from, activityId, clientSideMsgId });
+  state.messages.push({ text, from, activityId, clientSideMsgId, ...timing });
   saveConversationState(state);
 }
 
@@ -473,6 +883,8 @@ function addMessageToState(text, from, activityId, clientSideMsgId) {
  * - Retrieves the conversation state from the session storage. 
  * - Adds the activityId of a user message identified by clientSideMsgId to this 
  *   message and the processedActivities array in the conversation state object. 
+ * - When the message is linked for the first time, adds the time it was sent and records a 
+ *   "message_sent" telemetry event with the timing data of the message (see telemetry.js). 
  * - Saves the updated conversation state object in the session storage. 
  * 
  * @param {string} activityId - The activityId to be added. 
@@ -487,6 +899,15 @@ function linkUserMessageWithActivityId(activityId, clientSideMsgId) {
   );
   if (message) {
     message.activityId = activityId;
+    if (!message.sentAt) {
+      message.sentAt = new Date().toISOString();
+      recordTelemetry('message_sent', {
+        clientSideMsgId,
+        activityId,
+        displayedAt: message.displayedAt || null,
+        ...message.typing
+      });
+    }
     if (!state.processedActivities.includes(activityId)) {
       state.processedActivities.push(activityId);
     }
@@ -494,6 +915,141 @@ function linkUserMessageWithActivityId(activityId, clientSideMsgId) {
   saveConversationState(state);
 }
 
+/**************************************************************************
+ * Outbound message queue
+ **************************************************************************/
+
+/**
+ * Adds a user message to the outbound queue and sends it if possible. 
+ * 
+ * - The queue contains the clientSideMsgIds of the user messages which have been displayed 
+ *   but not yet sent; the messages themselves are stored in the conversation state. 
+ * - The queue is stored in the session storage, so that queued messages are still sent 
+ *   after the page has been reloaded. 
+ * 
+ * @param {string} clientSideMsgId - The identifier of the user message. 
+ * @returns {void}
+ */
+function enqueueUserMessage(clientSideMsgId) {
+  const queue = loadOutboundQueue();
+  queue.push(clientSideMsgId);
+  saveOutboundQueue(queue);
+  processOutboundQueue();
+}
+
+/**
+ * Sends the next user message of the outbound queue once the previous exchange has finished. 
+ * 
+ * - The previous exchange has finished when the conversation has been started, no user 
+ *   message is being sent (sendInProgress), no chatbot activities are being retrieved 
+ *   (pollInProgress), no bot messages are waiting to be displayed and the chatbot has 
+ *   answered the last sent user message (see getReplyDeadline). Without server-sent events, 
+ *   the answer is only retrieved with the next getActivities() request, so the exchange has 
+ *   finished as soon as the retrieval after sending the message has been completed. 
+ * - If the chatbot has not answered yet, this function is called again after the replyTimeout, 
+ *   so that the queue does not get stuck if the chatbot does not answer. 
+ * - Removes the next message from the queue, stores the time its sending started in the 
+ *   conversation state and calls the sendUserMessage function. Messages which have already 
+ *   been sent or rejected are skipped. 
+ * - This function is called whenever an exchange may have finished (after sending a message, 
+ *   after displaying bot messages and after the replyTimeout) and updates the state of the 
+ *   user message input field (see updateInputState). 
+ * 
+ * @returns {void}
+ */
+function processOutboundQueue() {
+  clearTimeout(replyTimeoutTimer);
+  replyTimeoutTimer = null;
+  const queue = loadOutboundQueue();
+  const state = loadConversationState();
+  const replyDeadline = activityStreamSupported ? getReplyDeadline(state) : 0;
+
+  if (replyDeadline > Date.now()) {
+    replyTimeoutTimer = setTimeout(processOutboundQueue, replyDeadline - Date.now());
+  } else if (queue.length > 0 && conversationId && !startConvInProgress && !sendInProgress &&
+      !pollInProgress && !displayInProgress && !state.messages.some(m => m.pending)) {
+    const nextMsgId = queue.shift();
+    saveOutboundQueue(queue);
+    const message = state.messages.find(m => m.from === 'user' && m.clientSideMsgId === nextMsgId);
+    if (!message || message.activityId || message.failed) {
+      processOutboundQueue();
+      return;
+    }
+    message.sendStartedAt = new Date().toISOString();
+    saveConversationState(state);
+    sendUserMessage(message.text, nextMsgId, message.inputType, message.value);
+  }
+  updateInputState(queue, replyDeadline);
+}
+
+/**
+ * Returns the time until which the chatbot's answer to the last sent user message is awaited. 
+ * 
+ * - The last sent user message is the message whose sending started last. Queued messages 
+ *   are displayed before the answers to the previous messages, so the answer is identified 
+ *   by the time it was received rather than by the order of the messages. 
+ * - The answer is awaited if no bot message has been received since the sending started, at 
+ *   most until replyTimeout milliseconds after the message has been sent. 
+ * 
+ * @param {{messages: any[]}} state - The conversation state object. 
+ * @returns {number} The time in milliseconds (0 if no answer is awaited). 
+ */
+function getReplyDeadline(state) {
+  const sentMessages = state.messages.filter(m => m.from === 'user' && m.sentAt && !m.failed);
+  if (sentMessages.length === 0) return 0;
+  const lastSent = sentMessages.reduce((last, m) =>
+    new Date(m.sendStartedAt || m.sentAt) > new Date(last.sendStartedAt || last.sentAt) ? m : last
+  );
+  const sendStartedAt = new Date(lastSent.sendStartedAt || lastSent.sentAt).getTime();
+  const answered = state.messages.some(m =>
+    m.from === 'bot' && new Date(m.receivedAt || m.displayedAt).getTime() >= sendStartedAt
+  );
+  return answered ? 0 : new Date(lastSent.sentAt).getTime() + replyTimeout;
+}
+
+/**
+ * Updates the state of the user message input field. 
+ * 
+ * - Only applies if disableInputWhileWaiting is true. 
+ * - While a user message is queued, being sent or awaiting the chatbot's answer, the input 
+ *   field and the send button are disabled and the input field displays a "waiting for reply" 
+ *   notice. The text written so far is kept. 
+ * 
+ * @param {string[]} queue - The outbound queue. 
+ * @param {number} replyDeadline - The time until which the chatbot's answer is awaited (see 
+ * getReplyDeadline). 
+ * @returns {void}
+ */
+function updateInputState(queue, replyDeadline) {
+  if (!disableInputWhileWaiting) return;
+  const waiting = queue.length > 0 || sendInProgress || pollInProgress || displayInProgress ||
+    replyDeadline > Date.now();
+  const textarea = document.getElementById('userInput');
+  document.getElementById('input-container').classList.toggle('waiting', waiting);
+  document.getElementById('sendBtn').disabled = waiting;
+  textarea.disabled = waiting;
+  textarea.placeholder = waiting ? 'Warten auf Antwort …' : 'Nachricht';
+}
+
+/**
+ * Loads the outbound queue from the session storage. 
+ * 
+ * @returns {string[]} The clientSideMsgIds of the queued user messages. 
+ */
+function loadOutboundQueue() {
+  return JSON.parse(sessionStorage.getItem('outboundQueue') || '[]');
+}
+
+/**
+ * Stores the outbound queue in the session storage. 
+ * 
+ * @param {string[]} queue - The clientSideMsgIds of the queued user messages. 
+ * @returns {void}
+ */
+function saveOutboundQueue(queue) {
+  sessionStorage.setItem('outboundQueue', JSON.stringify(queue));
+}
+
 /**************************************************************************
  * Conversation state management
  **************************************************************************/
@@ -506,7 +1062,11 @@ function linkUserMessageWithActivityId(activityId, clientSideMsgId) {
  * - This function is called as soon as the "surveyDataInitialized" is triggered if there is a 
  *   conversation stored in the session storage. 
  * - Retrieves the conversationId value and the latest stored watermark value.
- * - Restores all previously generated messages from the conversation.
+ * - Restores all previously generated messages from the conversation (including the marking 
+ *   of messages which were not sent) and their attachments (attachments which have already been 
+ *   used stay disabled). 
+ * - Displays the bot messages which were still pending when the page was reloaded and the 
+ *   suggested actions of the last bot message (see displayPendingBotMessages).
  * 
  * @returns {void}
  */
@@ -514,7 +1074,59 @@ function restoreConversation(storedConversation) {
   const conv = JSON.parse(storedConversation);
   conversationId = conv.conversationId;
   watermark = conv.watermark;
-  conv.messages.forEach(msg => addMessage(msg.text, msg.from));
+  conv.messages.forEach(msg => {
+    if (msg.pending) return;
+    if (msg.text) {
+      const msgDiv = addMessage(msg.text, msg.from, msg.clientSideMsgId, msg.activityId);
+      if (msg.failed) msgDiv.classList.add('failed');
+    }
+    if (msg.attachments && msg.attachments.length > 0) {
+      addAttachments(msg.attachments, msg.activityId, msg.cardSubmitted);
+    }
+  });
+  displayPendingBotMessages();
+}
+
+/**
+ * Stores the conversation of a resumed participation in the session storage. 
+ * 
+ * - This function is called when a participation is resumed with a resume code (see 
+ *   resumeParticipation() in script.js), before the chatbot interface is initialized. 
+ * - Rebuilds the conversation state from the messages of the conversation recorded by the 
+ *   server: all messages are marked as displayed and processed, and the attachments of bot 
+ *   messages which have been answered are marked as submitted. The watermark is not known, 
+ *   so activities received again are skipped by their activityId (see processActivities). 
+ * - Stores the typing simulation of the treatment group, whether the chatbot has already been 
+ *   opened and whether the final dialogue state has been reached. 
+ * - If the participant has not started a conversation yet, no conversation is stored, so that 
+ *   a new conversation is started (see initializeChatbotUi). 
+ * 
+ * @param {{conversationId: string|null, typing: object, messages: object[]}} data - The 
+ * stored state of the participation provided by the server. 
+ * @returns {void}
+ */
+function storeResumedConversation(data) {
+  sessionStorage.setItem('typingConfig', JSON.stringify(data.typing));
+  if (!data.conversationId) return;
+
+  const messages = data.messages.map((msg, index) => {
+    const answered = data.messages.slice(index + 1).some(m => m.from === 'user');
+    return msg.from === 'user'
+      ? { text: msg.text, from: 'user', activityId: msg.activityId, clientSideMsgId: null, 
+          inputType: msg.inputType, value: msg.value, displayedAt: msg.timestamp, sentAt: msg.timestamp }
+      : { text: msg.text, from: 'bot', activityId: msg.activityId, clientSideMsgId: null, 
+          pending: false, receivedAt: msg.timestamp, displayedAt: msg.timestamp, 
+          suggestedActions: msg.suggestedActions, attachments: msg.attachments, 
+          finalState: msg.finalState, cardSubmitted: answered };
+  });
+  saveConversationState({
+    conversationId: data.conversationId,
+    watermark: null,
+    messages,
+    processedActivities: messages.map(m => m.activityId)
+  });
+  sessionStorage.setItem('chatbotAlreadyOpened', true);
+  sessionStorage.setItem('finalStateReached', messages.some(m => m.finalState));
 }
 
 /**
@@ -538,6 +1150,7 @@ function restoreConversation(storedConversation) {
  *   function to be executed. If the corresponding user message cannot be found in the 
  *   conversationState, the sendUserMessage function is not called and the sendInProgress
  *   flag is set to false to enable the processing of new user messages. 
+ * - Continues sending the user messages of the outbound queue (see processOutboundQueue). 
  * 
  * @returns {void}
  */
@@ -548,7 +1161,7 @@ function continueChatbotApiRequests() {
   }
   if (pollInProgress) {
     pollInProgress = false;
-    toggleTypingIndicator('show', typingAnimationDelay);
+    toggleTypingIndicator('show', typingConfig.indicatorDelay);
     getActivities();
   } else if (sendInProgress) {
     let state = loadConversationState();
@@ -556,15 +1169,16 @@ function continueChatbotApiRequests() {
     let message = state.messages.find(
       m => m.from === 'user' && m.clientSideMsgId === clientSideMsgId
     );
-    if (message && message.from === 'user' && message.activityId === null) {
+    if (message && message.from === 'user' && message.activityId === null && !message.failed) {
       let userMessageText = message.text;
       sendInProgress = false;
-      sendUserMessage(userMessageText, clientSideMsgId);
+      sendUserMessage(userMessageText, clientSideMsgId, message.inputType, message.value);
     } else {
       sendInProgress = false;
       sessionStorage.setItem('sendInProgress', sendInProgress);
     }
   }
+  processOutboundQueue();
 }
 
 /**
@@ -600,20 +1214,159 @@ function saveConversationState(state) {
 /**
  * Displays new messages in the chatbot interface.
  * 
- * - Creates a new html element with the message. 
+ * - Creates a new html element with the message. User messages carry their clientSideMsgId 
+ *   as data attribute. 
+ * - User messages are displayed as plain text. Bot messages are displayed with their Markdown 
+ *   formatting (see renderMarkdown() in markdown.js). Links in bot messages open in a new tab 
+ *   and each click on a link is recorded as "link_click" telemetry event (see telemetry.js). 
  * - Scrolls to the bottom in the dialogue space. 
  * 
  * @param {string} text - The text of the message to be added. 
  * @param {string} from - The author of the message ("user1" vs. "Test_Chatbot_1"). // TODO: "user1" und "Test_Chatbot_1" noch korrigieren. 
- * @returns {void}
+ * @param {string|null} [clientSideMsgId] - The identifier of a user message. 
+ * @param {string|null} [activityId] - The activityId of a bot message. 
+ * @returns {HTMLElement} The html element of the message. 
  */
-function addMessage(text, from) {
+function addMessage(text, from, clientSideMsgId = null, activityId = null) {
   const messagesDiv = document.getElementById('messages');
   const msgDiv = document.createElement('div');
   msgDiv.classList.add('message', from === 'user' ? 'user-message' : 'bot-message');
-  msgDiv.textContent = text;
+  if (from === 'user') {
+    msgDiv.textContent = text;
+  } else {
+    msgDiv.appendChild(renderMarkdown(text));
+    msgDiv.querySelectorAll('a').forEach(link => {
+      link.addEventListener('click', () => {
+        recordTelemetry('link_click', { activityId, url: link.href });
+      });
+    });
+  }
+  if (clientSideMsgId) msgDiv.dataset.clientSideMsgId = clientSideMsgId;
   messagesDiv.appendChild(msgDiv);
   scrollMessagesToBottom();
+  return msgDiv;
+}
+
+/**
+ * Displays the attachments of a bot message in the chatbot interface. 
+ * 
+ * - Each supported attachment is displayed in its own bot message bubble (see 
+ *   renderAttachment() in cards.js). Unsupported attachments are skipped. 
+ * - Clicks on buttons of an attachment are handled by handleCardAction. Clicks on links 
+ *   are recorded as "link_click" telemetry event (see telemetry.js). 
+ * 
+ * @param {object[]} attachments - The attachments. 
+ * @param {string} activityId - The activityId of the bot message. 
+ * @param {boolean} submitted - Whether an attachment of the message has already been used 
+ * (the attachments are then displayed disabled). 
+ * @returns {void}
+ */
+function addAttachments(attachments, activityId, submitted) {
+  const messagesDiv = document.getElementById('messages');
+  attachments.forEach(attachment => {
+    const rendered = renderAttachment(attachment, (action, values) => {
+      handleCardAction(action, values, activityId);
+    });
+    if (!rendered) return;
+    const attachmentDiv = document.createElement('div');
+    attachmentDiv.classList.add('message', 'bot-message', 'attachment-message');
+    attachmentDiv.dataset.activityId = activityId;
+    attachmentDiv.appendChild(rendered);
+    attachmentDiv.querySelectorAll('a').forEach(link => {
+      link.addEventListener('click', () => {
+        recordTelemetry('link_click', { activityId, url: link.href });
+      });
+    });
+    messagesDiv.appendChild(attachmentDiv);
+  });
+  if (submitted) disableAttachments(activityId);
+  scrollMessagesToBottom();
+}
+
+/**
+ * Disables the buttons and inputs of the attachments of a bot message. 
+ * 
+ * @param {string} activityId - The activityId of the bot message. 
+ * @returns {void}
+ */
+function disableAttachments(activityId) {
+  document.querySelectorAll(`.attachment-message[data-activity-id="${activityId}"]`).forEach(attachmentDiv => {
+    attachmentDiv.classList.add('submitted');
+    attachmentDiv.querySelectorAll('button, input, select, textarea').forEach(element => {
+      element.disabled = true;
+    });
+  });
+}
+
+/**
+ * Displays a notice of the system (e.g. that a message was not sent) in the chatbot interface. 
+ * 
+ * - The notice is not part of the conversation and is not stored in the conversation state. 
+ * 
+ * @param {string} text - The text of the notice. 
+ * @returns {void}
+ */
+function addChatNotice(text) {
+  const messagesDiv = document.getElementById('messages');
+  const noticeDiv = document.createElement('div');
+  noticeDiv.classList.add('chat-notice');
+  noticeDiv.textContent = text;
+  messagesDiv.appendChild(noticeDiv);
+  scrollMessagesToBottom();
+}
+
+/**
+ * Displays the suggested actions of the last bot message as buttons (chips) in the chatbot 
+ * interface. 
+ * 
+ * - Suggested actions are only displayed as long as the last message of the conversation is 
+ *   the bot message they belong to, i.e. they disappear as soon as the user has clicked on 
+ *   one of them or has written a message. 
+ * - Clicking an openUrl action opens the url in a new tab (recorded as "link_click" telemetry 
+ *   event, see telemetry.js). Clicking another action sends its value as user message (see 
+ *   selectSuggestedAction). 
+ * 
+ * @returns {void}
+ */
+function updateSuggestedActions() {
+  removeSuggestedActions();
+  const lastMessage = loadConversationState().messages.slice(-1)[0];
+  if (!lastMessage || lastMessage.from !== 'bot' || lastMessage.pending || !lastMessage.suggestedActions) return;
+  const actions = lastMessage.suggestedActions.filter(action => action && action.title);
+  if (actions.length === 0) return;
+
+  const actionsDiv = document.createElement('div');
+  actionsDiv.id = 'suggestedActions';
+  actionsDiv.classList.add('suggested-actions');
+  actions.forEach(action => {
+    let chip;
+    if (action.type === 'openUrl') {
+      chip = createMarkdownLink(action.title, String(action.value), action.title);
+      if (!(chip instanceof HTMLAnchorElement)) return;
+      chip.addEventListener('click', () => {
+        recordTelemetry('link_click', { activityId: lastMessage.activityId, url: chip.href });
+      });
+    } else {
+      chip = document.createElement('button');
+      chip.type = 'button';
+      chip.textContent = action.title;
+      chip.addEventListener('click', () => selectSuggestedAction(action));
+    }
+    chip.classList.add('suggested-action');
+    actionsDiv.appendChild(chip);
+  });
+  document.getElementById('messages').appendChild(actionsDiv);
+  scrollMessagesToBottom();
+}
+
+/**
+ * Removes the suggested actions from the chatbot interface. 
+ * 
+ * @returns {void}
+ */
+function removeSuggestedActions() {
+  const actionsDiv = document.getElementById('suggestedActions');
+  if (actionsDiv) actionsDiv.remove();
 }
 
 /**
@@ -622,12 +1375,12 @@ function addMessage(text, from) {
  * - If action is "show": Creates the html structure for the typing indicator (and deletes all 
  *   existing typing indicator html structures), and scrolls to the bottom of the messages area. 
  *   The creation of the html structure of the typing indicator is delayed by the value of 
- *   typingAnimationDelay.
+ *   delay.
  * - If action is "hide": removes the typing indicator from the messages area and removes the 
  *   timeout for a potentially queued typing indicator. 
  * 
  * @param {string} action - The action to perform: "show" vs. "hide".
- * @param {number} delay - Delay in milliseconds before showing the typing indicator.
+ * @param {number} [delay] - Delay in milliseconds before showing the typing indicator.
  * @returns {void}
  */
 function toggleTypingIndicator(action, delay) {
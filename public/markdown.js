@@ -0,0 +1,158 @@
+/**
+ * @fileoverview This script renders the Markdown formatting of bot messages (bold and italic
+ * text, inline code, lists, headings and links) and is executed by the client in the browser.
+ * The formatted message is built from DOM nodes and text nodes only, so that html written by
+ * the bot is always displayed as text and cannot be executed.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the script.
+ *
+ * - allowedLinkProtocols @type {string[]}: the protocols of links which are rendered as
+ *   links. Links with another protocol (e.g. javascript:) are displayed as text.
+ * - inlinePattern @type {RegExp}: the inline formatting, in order of precedence: inline code,
+ *   bold (** or __), italic (* or _), links [text](url) and web addresses.
+ */
+const allowedLinkProtocols = ['http:', 'https:', 'mailto:'];
+const inlinePattern = /`([^`\n]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*[^*\s])?)\*|(?<![\w])_([^_\s](?:[^_]*[^_\s])?)_(?![\w])|\[([^\]\n]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]*[^\s<.,;:!?)'"])/g;
+
+/**************************************************************************
+ * Markdown rendering
+ **************************************************************************/
+
+/**
+ * Renders a Markdown text as DOM nodes.
+ *
+ * - Blocks are separated by blank lines. Lines starting with "-", "*" or "+" form an
+ *   unordered list, lines starting with a number followed by "." or ")" an ordered list.
+ *   Lines starting with "#" are headings (displayed as bold paragraph). All other lines form
+ *   paragraphs; single line breaks are kept.
+ * - The text of each block is formatted by renderInlineMarkdown().
+ *
+ * @param {string} text - The Markdown text.
+ * @returns {DocumentFragment} The formatted text.
+ */
+function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  let paragraph = null;
+  let list = null;
+
+  lines.forEach(line => {
+    const unorderedItem = line.match(/^\s*[-*+]\s+(.*)$/);
+    const orderedItem = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+
+    if (!line.trim()) {
+      paragraph = null;
+      list = null;
+    } else if (unorderedItem || orderedItem) {
+      const listType = unorderedItem ? 'ul' : 'ol';
+      if (!list || list.tagName.toLowerCase() !== listType) {
+        list = document.createElement(listType);
+        fragment.appendChild(list);
+      }
+      const item = document.createElement('li');
+      renderInlineMarkdown((unorderedItem || orderedItem)[1], item);
+      list.appendChild(item);
+      paragraph = null;
+    } else if (heading) {
+      const headingParagraph = document.createElement('p');
+      const strong = document.createElement('strong');
+      renderInlineMarkdown(heading[1], strong);
+      headingParagraph.appendChild(strong);
+      fragment.appendChild(headingParagraph);
+      paragraph = null;
+      list = null;
+    } else {
+      if (!paragraph) {
+        paragraph = document.createElement('p');
+        fragment.appendChild(paragraph);
+      } else {
+        paragraph.appendChild(document.createElement('br'));
+      }
+      renderInlineMarkdown(line.trim(), paragraph);
+      list = null;
+    }
+  });
+
+  return fragment;
+}
+
+/**
+ * Renders the inline formatting of a line and appends it to an element.
+ *
+ * - Text between the formatted parts is appended as text node.
+ * - Bold, italic and link texts may contain further formatting (but no further links).
+ * - Links and web addresses are rendered by createMarkdownLink().
+ *
+ * @param {string} text - The text of the line.
+ * @param {HTMLElement} parent - The element to which the formatted text is appended.
+ * @param {boolean} [allowLinks] - Whether links are rendered (false within a link text).
+ * @returns {void}
+ */
+function renderInlineMarkdown(text, parent, allowLinks = true) {
+  const pattern = new RegExp(inlinePattern.source, 'g');
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [whole, code, bold1, bold2, italic1, italic2, linkText, linkUrl, webAddress] = match;
+    if ((linkText || webAddress) && !allowLinks) continue;
+    parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+    lastIndex = match.index + whole.length;
+
+    if (code) {
+      const codeElement = document.createElement('code');
+      codeElement.textContent = code;
+      parent.appendChild(codeElement);
+    } else if (bold1 || bold2) {
+      const strong = document.createElement('strong');
+      renderInlineMarkdown(bold1 || bold2, strong, allowLinks);
+      parent.appendChild(strong);
+    } else if (italic1 || italic2) {
+      const em = document.createElement('em');
+      renderInlineMarkdown(italic1 || italic2, em, allowLinks);
+      parent.appendChild(em);
+    } else {
+      parent.appendChild(createMarkdownLink(linkText || webAddress, linkUrl || webAddress, whole));
+    }
+  }
+  parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+}
+
+/**
+ * Creates a link of a formatted message.
+ *
+ * - Only links with an allowed protocol (see allowedLinkProtocols) are rendered as links.
+ *   Otherwise, the original text is returned as text node.
+ * - Links open in a new tab, without access to the survey page (rel="noopener noreferrer").
+ *
+ * @param {string} text - The link text.
+ * @param {string} url - The link address.
+ * @param {string} original - The original Markdown text of the link.
+ * @returns {Node} The link element or a text node.
+ */
+function createMarkdownLink(text, url, original) {
+  let href;
+  try {
+    href = new URL(url);
+  } catch (error) {
+    return document.createTextNode(original);
+  }
+  if (!allowedLinkProtocols.includes(href.protocol)) {
+    return document.createTextNode(original);
+  }
+  const link = document.createElement('a');
+  link.href = href.href;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  renderInlineMarkdown(text, link, false);
+  return link;
+}
@@ -0,0 +1,712 @@
+/**
+ * @fileoverview This script contains the questionnaire engine which renders the survey pages
+ * from the declarative survey definition provided by the server, and is executed by the
+ * client in the browser.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the script.
+ *
+ * - surveyDefinition @type {object|null}: the survey definition (pages and questions)
+ *   loaded from the server.
+ * - responses @type {Object.<string, any>}: the answers of the participant, keyed by the
+ *   question id (for matrix questions by "questionId_rowId").
+ */
+let surveyDefinition = null;
+let responses = JSON.parse(sessionStorage.getItem('responses') || '{}');
+
+/**************************************************************************
+ * Survey definition
+ **************************************************************************/
+
+/**
+ * Requests the survey definition from the server.
+ *
+ * - The server provides the pages, questions and answer options in the presentation order
+ *   of the participant (see lib/randomization.js), so they are rendered as provided.
+ * - Repeats the request until the server has sent a successfull response (to catch
+ *   network errors).
+ *
+ * @async
+ * @returns {Promise<object>} The survey definition.
+ */
+async function loadSurveyDefinition() {
+    while (true) {
+        try {
+            const res = await fetch('/survey');
+            if (!res.ok) {
+                throw new Error(`loadSurveyDefinition() - HTTP error! status: ${res.status}`);
+            }
+            surveyDefinition = await res.json();
+            return surveyDefinition;
+        } catch (error) {
+            console.error('Error loading the survey definition. Retrying.', error);
+            await new Promise(r => setTimeout(r, 2000));
+        }
+    }
+}
+
+/**************************************************************************
+ * Page rendering
+ **************************************************************************/
+
+/**
+ * Renders all survey pages into the survey container.
+ *
+ * - Creates one ".page" container with the id "page<number>" per page of the survey
+ *   definition, so that showPage() can switch between them.
+ * - Moves the chatbot interface into the container of the chatbot page.
+ * - Renders the consent checkbox on the page with a consent.
+ * - Renders the email form on the end page if the survey collects email addresses.
+ * - If the survey definition contains the resume option, renders the resume form on the
+ *   first page and the "resume later" section on all further pages with navigation buttons.
+ * - Returns the number of pages and the page number of the chatbot page.
+ *
+ * @param {object} definition - The survey definition.
+ * @returns {{totalPages: number, chatbotPage: number|null}} The page numbers.
+ */
+function renderSurvey(definition) {
+    const surveyContainer = document.getElementById('survey-container');
+    const chatbotInterface = document.getElementById('chatbot-interface');
+    let chatbotPage = null;
+
+    definition.pages.forEach((page, index) => {
+        const pageNumber = index + 1;
+        const pageElement = document.createElement('div');
+        pageElement.classList.add('page');
+        pageElement.id = `page${pageNumber}`;
+        pageElement.dataset.pageId = page.id;
+
+        if (page.type === 'chatbot') {
+            chatbotPage = pageNumber;
+            if (page.chatbotName) {
+                chatbotInterface.querySelector('.chatbot-name').textContent = page.chatbotName;
+            }
+            pageElement.appendChild(chatbotInterface);
+        } else {
+            renderPageIntro(pageElement, page);
+            (page.questions || []).forEach(question => {
+                pageElement.appendChild(renderQuestion(question));
+            });
+            if (page.consent) {
+                pageElement.appendChild(renderConsent(page.consent));
+            }
+            if (page.email) {
+                pageElement.appendChild(renderEmailForm(page.email));
+            }
+            if (page.type !== 'end') {
+                renderNavigation(pageElement, pageNumber, definition);
+                if (definition.resume) {
+                    pageElement.appendChild(pageNumber === 1
+                        ? renderResumeForm()
+                        : renderResumeLater(definition.resume));
+                }
+            }
+        }
+        surveyContainer.appendChild(pageElement);
+    });
+
+    return { totalPages: definition.pages.length, chatbotPage };
+}
+
+/**
+ * Renders the title and the introductory text of a page.
+ *
+ * @param {HTMLElement} pageElement - The page container.
+ * @param {object} page - The page definition.
+ * @returns {void}
+ */
+function renderPageIntro(pageElement, page) {
+    if (page.title) {
+        const title = document.createElement('h1');
+        title.textContent = page.title;
+        pageElement.appendChild(title);
+    }
+    const paragraphs = Array.isArray(page.text) ? page.text : (page.text ? [page.text] : []);
+    paragraphs.forEach(text => {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = text;
+        pageElement.appendChild(paragraph);
+    });
+}
+
+/**
+ * Renders the consent checkbox (id "consentCheckbox").
+ *
+ * - When the checkbox is checked, saves the consent version and the time of the consent
+ *   as answers (consentVersion and consentGivenAt), so that they are stored with the
+ *   response. When the checkbox is unchecked, removes both answers.
+ *
+ * @param {{version: string, text: string}} consent - The consent definition.
+ * @returns {HTMLElement} The consent container.
+ */
+function renderConsent(consent) {
+    const consentElement = document.createElement('div');
+    consentElement.classList.add('question', 'consent');
+    consentElement.dataset.questionId = 'consent';
+
+    const container = document.createElement('label');
+    container.classList.add('checkbox-container');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = 'consentCheckbox';
+    checkbox.checked = responses.consentVersion === consent.version;
+    checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+            saveAnswer('consentVersion', consent.version);
+            saveAnswer('consentGivenAt', new Date().toISOString());
+        } else {
+            removeAnswer('consentVersion');
+            removeAnswer('consentGivenAt');
+        }
+        if (consentElement.classList.contains('invalid')) {
+            setQuestionInvalid(consentElement, !checkbox.checked);
+        }
+    });
+    const checkmark = document.createElement('span');
+    checkmark.classList.add('checkmark');
+    const text = document.createElement('span');
+    text.textContent = consent.text;
+
+    container.append(checkbox, checkmark, text);
+    consentElement.appendChild(container);
+    return consentElement;
+}
+
+/**
+ * Renders the email form of the end page.
+ *
+ * - Consists of the info section (text explaining the purpose, input field "emailInput"
+ *   error message "emailError" and button "emailSubmitBtn") and the success section shown after the submission
+ *   (see submitEmail()).
+ *
+ * @param {{purpose: string, text: string, successText?: string}} email - The email
+ *   collection of the end page.
+ * @returns {HTMLElement} The email container.
+ */
+function renderEmailForm(email) {
+    const emailContainer = document.createElement('div');
+    emailContainer.classList.add('email-container');
+
+    const infoSection = document.createElement('div');
+    infoSection.id = 'emailInfoSection';
+    const info = document.createElement('p');
+    info.textContent = email.text;
+    const input = document.createElement('input');
+    input.type = 'email';
+    input.id = 'emailInput';
+    input.placeholder = 'E-Mail-Adresse';
+    input.autocomplete = 'email';
+    const submitBtn = document.createElement('button');
+    submitBtn.id = 'emailSubmitBtn';
+    submitBtn.textContent = 'E-Mail senden';
+    submitBtn.addEventListener('click', () => submitEmail(email.purpose));
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') submitEmail(email.purpose);
+    });
+    const error = document.createElement('p');
+    error.id = 'emailError';
+    error.classList.add('question-error');
+    infoSection.append(info, input, error, submitBtn);
+
+    const successSection = document.createElement('div');
+    successSection.id = 'emailSuccessSection';
+    const success = document.createElement('p');
+    success.textContent = email.successText || 'Vielen Dank! Ihre E-Mail-Adresse wurde gespeichert.';
+    successSection.appendChild(success);
+
+    const emailSubmitted = sessionStorage.getItem('emailSubmitted') === 'true';
+    infoSection.classList.toggle('hidden', emailSubmitted);
+    successSection.classList.toggle('hidden', !emailSubmitted);
+
+    emailContainer.append(infoSection, successSection);
+    return emailContainer;
+}
+
+/**
+ * Renders the resume form of the first page.
+ *
+ * - Consists of a text, the input field for the resume code ("resumeCodeInput"), an error
+ *   message ("resumeError") and a button which resumes the participation with the entered
+ *   code (see startResume() in script.js).
+ * - Displays the error of a failed attempt to resume (see resumeError in script.js).
+ *
+ * @returns {HTMLElement} The resume container.
+ */
+function renderResumeForm() {
+    const resumeContainer = document.createElement('div');
+    resumeContainer.classList.add('resume-container');
+
+    const info = document.createElement('p');
+    info.textContent = 'Sie haben bereits begonnen? Geben Sie Ihren Fortsetzungscode ein, um dort fortzufahren, wo Sie aufgehört haben.';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = 'resumeCodeInput';
+    input.placeholder = 'Fortsetzungscode';
+    input.autocomplete = 'off';
+    const error = document.createElement('p');
+    error.id = 'resumeError';
+    error.classList.add('question-error');
+    error.textContent = resumeError || '';
+    const resumeBtn = document.createElement('button');
+    resumeBtn.id = 'resumeBtn';
+    resumeBtn.textContent = 'Fortsetzen';
+    resumeBtn.addEventListener('click', () => startResume(input.value));
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') startResume(input.value);
+    });
+
+    resumeContainer.append(info, input, error, resumeBtn);
+    return resumeContainer;
+}
+
+/**
+ * Renders the "resume later" section of a page.
+ *
+ * - Consists of a button which requests the resume code of the participation and a hidden
+ *   section which then displays the text of the resume option, the code and the link
+ *   containing the code (see showResumeCode() in script.js).
+ *
+ * @param {{text: string}} resume - The resume option of the survey definition.
+ * @returns {HTMLElement} The resume container.
+ */
+function renderResumeLater(resume) {
+    const resumeContainer = document.createElement('div');
+    resumeContainer.classList.add('resume-container');
+
+    const resumeLaterBtn = document.createElement('button');
+    resumeLaterBtn.classList.add('resume-later-btn');
+    resumeLaterBtn.textContent = 'Später fortsetzen';
+    const infoSection = document.createElement('div');
+    infoSection.classList.add('resume-info', 'hidden');
+    const info = document.createElement('p');
+    info.textContent = resume.text;
+    infoSection.appendChild(info);
+    resumeLaterBtn.addEventListener('click', () => showResumeCode(infoSection));
+
+    resumeContainer.append(resumeLaterBtn, infoSection);
+    return resumeContainer;
+}
+
+/**
+ * Renders the navigation buttons of a page.
+ *
+ * - Adds a back button (id "back<number>") on every page except the first page.
+ * - Adds a next button (id "next<number>"). On the last page before the end page, this
+ *   button is the submit button (id "submitBtn") which calls submitSurvey().
+ *
+ * @param {HTMLElement} pageElement - The page container.
+ * @param {number} pageNumber - The page number.
+ * @param {object} definition - The survey definition.
+ * @returns {void}
+ */
+function renderNavigation(pageElement, pageNumber, definition) {
+    const navigation = document.createElement('div');
+    navigation.classList.add('navigation');
+    const nextPage = definition.pages[pageNumber];
+    const isSubmitPage = nextPage && nextPage.type === 'end';
+
+    if (pageNumber > 1) {
+        const backBtn = document.createElement('button');
+        backBtn.id = `back${pageNumber}`;
+        backBtn.classList.add('back-btn');
+        backBtn.textContent = 'Zurück';
+        backBtn.addEventListener('click', goToPreviousPage);
+        navigation.appendChild(backBtn);
+    } else {
+        navigation.classList.add('navigation-start-page');
+    }
+
+    if (nextPage) {
+        const nextBtn = document.createElement('button');
+        if (isSubmitPage) {
+            nextBtn.id = 'submitBtn';
+            nextBtn.classList.add('submit-btn', 'special-submit');
+            nextBtn.textContent = 'Absenden';
+        } else {
+            nextBtn.id = `next${pageNumber}`;
+            nextBtn.classList.add('next-btn');
+            nextBtn.textContent = nextPage.type === 'chatbot' ? 'Zum Chatbot' : 'Weiter';
+        }
+        nextBtn.addEventListener('click', isSubmitPage ? submitSurvey : goToNextPage);
+        navigation.appendChild(nextBtn);
+    }
+
+    pageElement.appendChild(navigation);
+}
+
+/**************************************************************************
+ * Question rendering
+ **************************************************************************/
+
+/**
+ * Renders a question.
+ *
+ * - Creates the question container with the question text and the input elements of the
+ *   question type (likert, single, multiple, text, slider or matrix).
+ *
+ * @param {object} question - The question definition.
+ * @returns {HTMLElement} The question container.
+ */
+function renderQuestion(question) {
+    const questionElement = document.createElement('div');
+    questionElement.classList.add('question');
+    questionElement.dataset.questionId = question.id;
+
+    const text = document.createElement('p');
+    text.textContent = question.text;
+    if (question.required) {
+        text.classList.add('required');
+    }
+    questionElement.appendChild(text);
+
+    const revalidate = () => {
+        if (questionElement.classList.contains('invalid')) {
+            setQuestionInvalid(questionElement, !isQuestionAnswered(question));
+        }
+    };
+    questionElement.addEventListener('change', revalidate);
+    questionElement.addEventListener('input', revalidate);
+
+    switch (question.type) {
+        case 'likert':
+            questionElement.appendChild(renderScale(question.id, question.scale));
+            break;
+        case 'single':
+            question.options.forEach((option, index) => {
+                questionElement.appendChild(createChoiceOption('radio', question.id, index, option.value, option.label));
+            });
+            break;
+        case 'multiple':
+            question.options.forEach((option, index) => {
+                questionElement.appendChild(createChoiceOption('checkbox', question.id, index, option.value, option.label));
+            });
+            break;
+        case 'text':
+            questionElement.appendChild(renderFreeText(question));
+            break;
+        case 'slider':
+            questionElement.appendChild(renderSlider(question));
+            break;
+        case 'matrix':
+            question.rows.forEach(row => {
+                const rowElement = document.createElement('div');
+                rowElement.classList.add('matrix-row');
+                rowElement.dataset.rowId = row.id;
+                const rowText = document.createElement('div');
+                rowText.classList.add('matrix-row-text');
+                rowText.textContent = row.text;
+                rowElement.appendChild(rowText);
+                rowElement.appendChild(renderScale(`${question.id}_${row.id}`, question.scale));
+                questionElement.appendChild(rowElement);
+            });
+            break;
+    }
+
+    return questionElement;
+}
+
+/**
+ * Renders a rating scale (used by likert questions and the rows of matrix questions).
+ *
+ * - The scale points get the values 1 to n.
+ * - Uses the likert-5 and likert-7 layouts for five and seven point scales.
+ *
+ * @param {string} name - The name of the answer.
+ * @param {string[]} scale - The labels of the scale points.
+ * @returns {HTMLElement} The scale container.
+ */
+function renderScale(name, scale) {
+    const scaleElement = document.createElement('div');
+    scaleElement.classList.add('likert');
+    if (scale.length === 5 || scale.length === 7) {
+        scaleElement.classList.add(`likert-${scale.length}`);
+    }
+    scale.forEach((label, index) => {
+        scaleElement.appendChild(createChoiceOption('radio', name, index, index + 1, label));
+    });
+    return scaleElement;
+}
+
+/**
+ * Creates a radio button or checkbox option.
+ *
+ * - Restores the saved answer.
+ * - Saves the answer when the option is changed (for checkboxes, the answer is the array
+ *   of all checked values).
+ *
+ * @param {string} type - The input type ("radio" or "checkbox").
+ * @param {string} name - The name of the answer.
+ * @param {number} index - The index of the option.
+ * @param {string|number} value - The value of the option.
+ * @param {string} label - The label of the option.
+ * @returns {HTMLLabelElement} The option element.
+ */
+function createChoiceOption(type, name, index, value, label) {
+    const container = document.createElement('label');
+    container.classList.add(type === 'radio' ? 'radio-container' : 'checkbox-container');
+
+    const input = document.createElement('input');
+    input.type = type;
+    input.name = name;
+    input.id = `${name}_${index}`;
+    input.value = value;
+
+    const saved = responses[name];
+    input.checked = type === 'radio' ? saved === value : Array.isArray(saved) && saved.includes(value);
+
+    input.addEventListener('change', () => {
+        if (type === 'radio') {
+            saveAnswer(name, value);
+        } else {
+            const checked = Array.from(document.querySelectorAll(`input[name="${name}"]:checked`));
+            saveAnswer(name, checked.map(el => typeof value === 'number' ? Number(el.value) : el.value));
+        }
+    });
+
+    const checkmark = document.createElement('span');
+    checkmark.classList.add(type === 'radio' ? 'radio-checkmark' : 'checkmark');
+    const text = document.createElement('span');
+    text.textContent = label;
+
+    container.append(input, checkmark, text);
+    return container;
+}
+
+/**
+ * Renders a free text input (a textarea if question.multiline is true).
+ *
+ * @param {object} question - The question definition.
+ * @returns {HTMLElement} The input element.
+ */
+function renderFreeText(question) {
+    const input = document.createElement(question.multiline ? 'textarea' : 'input');
+    if (!question.multiline) input.type = 'text';
+    input.classList.add('free-text');
+    input.name = question.id;
+    if (question.maxLength) input.maxLength = question.maxLength;
+    if (question.placeholder) input.placeholder = question.placeholder;
+    input.value = responses[question.id] || '';
+    input.addEventListener('input', () => saveAnswer(question.id, input.value));
+    return input;
+}
+
+/**
+ * Renders a slider.
+ *
+ * - The slider starts in the middle of the range. The answer is only saved once the
+ *   participant has moved the slider, until then the displayed value is "–".
+ *
+ * @param {object} question - The question definition.
+ * @returns {HTMLElement} The slider container.
+ */
+function renderSlider(question) {
+    const wrapper = document.createElement('div');
+    const sliderContainer = document.createElement('div');
+    sliderContainer.classList.add('slider-container');
+
+    const minLabel = document.createElement('span');
+    minLabel.classList.add('slider-label');
+    minLabel.textContent = question.minLabel || question.min;
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.classList.add('slider');
+    slider.name = question.id;
+    slider.min = question.min;
+    slider.max = question.max;
+    slider.step = question.step || 1;
+
+    const maxLabel = document.createElement('span');
+    maxLabel.classList.add('slider-label');
+    maxLabel.textContent = question.maxLabel || question.max;
+
+    const valueDisplay = document.createElement('div');
+    valueDisplay.classList.add('slider-value');
+
+    const saved = responses[question.id];
+    if (saved !== undefined) {
+        slider.value = saved;
+        valueDisplay.textContent = saved;
+    } else {
+        slider.value = (question.min + question.max) / 2;
+        slider.classList.add('untouched');
+        valueDisplay.textContent = '–';
+    }
+
+    slider.addEventListener('input', () => {
+        slider.classList.remove('untouched');
+        valueDisplay.textContent = slider.value;
+        saveAnswer(question.id, Number(slider.value));
+    });
+
+    sliderContainer.append(minLabel, slider, maxLabel);
+    wrapper.append(sliderContainer, valueDisplay);
+    return wrapper;
+}
+
+/**************************************************************************
+ * Answer management
+ **************************************************************************/
+
+/**
+ * Saves an answer and stores all answers in the session storage.
+ *
+ * - Stores the progress on the server if the participant has requested a resume code (see
+ *   scheduleProgressSync() in script.js).
+ *
+ * @param {string} name - The name of the answer.
+ * @param {any} value - The answer.
+ * @returns {void}
+ */
+function saveAnswer(name, value) {
+    responses[name] = value;
+    sessionStorage.setItem('responses', JSON.stringify(responses));
+    scheduleProgressSync();
+}
+
+/**
+ * Removes an answer and stores all answers in the session storage.
+ *
+ * - Stores the progress on the server if the participant has requested a resume code.
+ *
+ * @param {string} name - The name of the answer.
+ * @returns {void}
+ */
+function removeAnswer(name) {
+    delete responses[name];
+    sessionStorage.setItem('responses', JSON.stringify(responses));
+    scheduleProgressSync();
+}
+
+/**
+ * Returns a copy of all answers of the participant.
+ *
+ * @returns {Object.<string, any>} The answers.
+ */
+function collectResponses() {
+    return { ...responses };
+}
+
+/**************************************************************************
+ * Validation
+ **************************************************************************/
+
+/**
+ * Validates the answers of a page.
+ *
+ * - Checks whether all required questions of the page have been answered and whether the
+ *   consent of the page (if any) has been given.
+ * - Highlights every missing answer with an inline error message and scrolls to the first
+ *   one. Removes the highlighting of answered questions.
+ *
+ * @param {number} pageNumber - The number of the page to be validated.
+ * @returns {boolean} True if the page is complete.
+ */
+function validatePage(pageNumber) {
+    const page = surveyDefinition.pages[pageNumber - 1];
+    const pageElement = document.getElementById(`page${pageNumber}`);
+    if (!page || !pageElement) return true;
+    let firstInvalid = null;
+
+    (page.questions || []).forEach(question => {
+        const questionElement = pageElement.querySelector(`.question[data-question-id="${question.id}"]`);
+        const invalid = question.required && !isQuestionAnswered(question);
+        setQuestionInvalid(questionElement, invalid);
+        if (invalid && !firstInvalid) firstInvalid = questionElement;
+    });
+
+    if (page.consent) {
+        const consentElement = pageElement.querySelector('.consent');
+        const invalid = responses.consentVersion !== page.consent.version;
+        setQuestionInvalid(consentElement, invalid);
+        if (invalid && !firstInvalid) firstInvalid = consentElement;
+    }
+
+    if (firstInvalid) {
+        firstInvalid.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Checks whether a screen-out option has been chosen or an attention check marked with
+ * "screenout" has been failed on a page.
+ *
+ * - Screen-out options are options of single and multiple choice questions marked with
+ *   "screenout": true in the survey definition.
+ * - Attention checks are questions or matrix rows with an "attentionCheck" object; they are
+ *   failed if the answer is not the expected answer (see lib/quality.js).
+ *
+ * @param {number} pageNumber - The number of the page.
+ * @returns {boolean} True if the participant is to be screened out.
+ */
+function hasScreenoutAnswer(pageNumber) {
+    const page = surveyDefinition.pages[pageNumber - 1];
+    if (!page) return false;
+    const failsCheck = (key, check) => check && check.screenout && responses[key] !== check.expected;
+    return (page.questions || []).some(question =>
+        failsCheck(question.id, question.attentionCheck) ||
+        (question.type === 'matrix' && question.rows.some(row => failsCheck(`${question.id}_${row.id}`, row.attentionCheck))) ||
+        (question.options || []).some(option => {
+            if (!option.screenout) return false;
+            const answer = responses[question.id];
+            return Array.isArray(answer) ? answer.includes(option.value) : answer === option.value;
+        })
+    );
+}
+
+/**
+ * Checks whether a question has been answered.
+ *
+ * - Multiple choice questions need at least one checked option, free text questions a
+ *   non-empty text, matrix questions an answer in every row.
+ *
+ * @param {object} question - The question definition.
+ * @returns {boolean} True if the question has been answered.
+ */
+function isQuestionAnswered(question) {
+    const answer = responses[question.id];
+    switch (question.type) {
+        case 'multiple':
+            return Array.isArray(answer) && answer.length > 0;
+        case 'text':
+            return typeof answer === 'string' && answer.trim() !== '';
+        case 'matrix':
+            return question.rows.every(row => responses[`${question.id}_${row.id}`] !== undefined);
+        default:
+            return answer !== undefined && answer !== null;
+    }
+}
+
+/**
+ * Highlights a question as invalid (with an inline error message) or removes the highlighting.
+ *
+ * @param {HTMLElement} questionElement - The question container.
+ * @param {boolean} invalid - Whether the question is invalid.
+ * @returns {void}
+ */
+function setQuestionInvalid(questionElement, invalid) {
+    let errorMessage = questionElement.querySelector('.question-error');
+    if (!invalid) {
+        questionElement.classList.remove('invalid');
+        if (errorMessage) errorMessage.remove();
+        return;
+    }
+    questionElement.classList.add('invalid');
+    if (!errorMessage) {
+        errorMessage = document.createElement('div');
+        errorMessage.classList.add('question-error');
+        errorMessage.textContent = questionElement.classList.contains('consent')
+            ? 'Bitte bestätigen Sie Ihre Einwilligung, um fortzufahren.'
+            : 'Bitte beantworten Sie diese Frage.';
+        questionElement.appendChild(errorMessage);
+    }
+}
@@ -12,17 +12,17 @@
 /**
  * Definition of the variables used in the script.
  * 
- * - totalPages @type {number}: the number of pages in the survey.
- * - chatbotPage @type {number}: the page number where the chatbot appears.
- * - emailCollection @type {boolean}: Whether users have the possibility to submit an email 
- *   at the end of the survey. 
+ * - totalPages @type {number}: the number of pages in the survey (determined by the survey 
+ *   definition, see questionnaire.js).
+ * - chatbotPage @type {number|null}: the page number where the chatbot appears (determined by 
+ *   the survey definition, null if the survey has no chatbot page).
  * - textareaReplacement @type {boolean}: Whether the user message input field should be 
  *   replaced by a button to move to the next page when the final dialogue state has been 
  *   reached. 
  * - pages @type {NodeListOf<HTMLElement>}: DOM element.
- * - progressBar @type {HTMLElement}: DOM element.
- * - consentCheckbox @type {HTMLInputElement}: DOM element.
- * - next1 @type {HTMLButtonElement}: DOM element.
+ * - progressBar @type {HTMLElement}: DOM element (the filled part of the progress bar).
+ * - consentCheckbox @type {HTMLInputElement|null}: DOM element (null if the survey has no consent).
+ * - next1 @type {HTMLButtonElement|null}: DOM element (the next button of page 1).
  * - currentPage @type {number}: the number of the current page.
  * - historyStates @type {Array<{page: number}>}: an array which stores the state history 
  *   of the webpage to artificially replicate the browser history.
@@ -35,10 +35,23 @@
  * - bypassPopState @type {boolean}: a flag for controlling navigation events. 
  * - dialogueFinished @type {boolean}: a flag indicating whether the final dialgoue state 
  *   has been reached.
- *   on the final page. 
+ * - submitInProgress @type {boolean}: a flag indicating whether the submission of the survey 
+ *   data is currently in progress. 
+ * - surveySubmitted @type {boolean}: a flag indicating whether the survey data has been 
+ *   submitted successfully. 
+ * - progressSyncDelay @type {number}: the delay in milliseconds after which a change of the 
+ *   progress is stored on the server (only if the participant has requested a resume code). 
+ * - progressSyncTimeout @type {number|null}: the timer id for storing the progress. 
+ * - resumeError @type {string|null}: the error message of a failed attempt to resume the 
+ *   participation (displayed in the resume form, see renderResumeForm() in questionnaire.js). 
+ * - panelRedirectDelay @type {number}: the delay in milliseconds after which the participant 
+ *   is redirected back to the panel (after the submission, a screen-out, a repeated 
+ *   participation or if all quotas are filled). 
+ * - panelExitTexts @type {Object.<string, string>}: the notices displayed when a participant 
+ *   cannot (further) participate, keyed by the reason. 
  */
-const totalPages = 1;    // To be specified: the actual number of pages in the survey!
-const chatbotPage = 1;   // To be specified: the page number where the chatbot appears!
+let totalPages = 1;
+let chatbotPage = null;
 const textareaReplacement = false  //To be specified: Whether the textarea should be replaced!
 
 let pages;
@@ -53,6 +66,17 @@ let scrollFrame1Id = null;
 let scrollFrame2Id = null;
 let bypassPopState = false;
 let dialogueFinished = sessionStorage.getItem('dialogueFinished') === 'true';
+let submitInProgress = false;
+let surveySubmitted = sessionStorage.getItem('surveySubmitted') === 'true';
+const progressSyncDelay = 1000;
+let progressSyncTimeout = null;
+let resumeError = null;
+const panelRedirectDelay = 3000;     // To be specified: the delay of the redirect to the panel!
+const panelExitTexts = {
+    duplicate: 'Sie haben bereits an dieser Studie teilgenommen. Eine erneute Teilnahme ist leider nicht möglich.',
+    quotaFull: 'Leider sind bereits alle Plätze dieser Studie vergeben. Vielen Dank für Ihr Interesse!',
+    screenout: 'Vielen Dank für Ihr Interesse! Leider gehören Sie nicht zur Zielgruppe dieser Studie.'
+};
 
 /**************************************************************************
  * Initialization of page elements and event listeners
@@ -68,26 +92,37 @@ document.addEventListener('DOMContentLoaded', initializePage);
  * Initializes the page.
  * This function is executed as soon as the DOM has been fully loaded.
  * 
+ * - Resumes a participation if the page has been opened with a resume link (see 
+ *   resumeParticipation). In this case, the page is loaded again with the restored state. 
+ * - Initializes metadata (participantId and treatmentGroup). If the participant cannot 
+ *   (further) participate, only the exit notice is displayed (see exitSurvey). 
+ * - Loads the survey definition from the server and renders the survey pages.
  * - References important DOM elements.
- * - Initializes metadata (participantId and treatmentGroup).
  * - Restores previously saved data.
  * - Adds an initial state to the browser history.
  * - Displays the current page.
  * - Attaches all event listeners.
+ * - Continues a survey submission which was still pending when the page was reloaded, or 
+ *   displays the redirect back to the panel if the survey has already been submitted. 
  * - Releases the event "surveyDataInitialized" to trigger the chatbot interface 
  *   initialization in chatbot.js.
  * 
  * @returns {void}
  */
 async function initializePage() {
+    if (await resumeParticipation()) return;
+    if (!(await getMetadata())) return;
+    const definition = await loadSurveyDefinition();
+    ({ totalPages, chatbotPage } = renderSurvey(definition));
     referenceElements();
-    await getMetadata();
 
     restoreState();
     initializeHistory(currentPage);
 
     showPage(currentPage);
     attachEventListeners();
+    continuePendingSubmission();
+    if (surveySubmitted) showPanelRedirect();
 
     document.dispatchEvent(new Event('surveyDataInitialized'));
 }
@@ -99,7 +134,9 @@ async function initializePage() {
  */
 function referenceElements() {
     pages = document.querySelectorAll('.page');
-
+    progressBar = document.getElementById('progress');
+    consentCheckbox = document.getElementById('consentCheckbox');
+    next1 = document.getElementById('next1');
 }
 
 /**
@@ -108,6 +145,14 @@ function referenceElements() {
  * - Logic for saving the page scroll position when the user reloads the page. 
  * - Logic for the popstate event caused by the browser when the user uses the navigation 
  *   buttons of the browser. 
+ * - Logic for the dialogueFinishedEvent triggered by chatbot.js when the final dialogue 
+ *   state has been reached. 
+ * - When the user clicks on the finishedDialogueBtn or the continueSurveyBtn in the chatbot 
+ *   interface, moves to the next survey page. 
+ * - When the user checks or unchecks the consent checkbox on page 1, enables or disables the 
+ *   next button of page 1. 
+ * - When the page is closed, stores a pending change of the progress on the server 
+ *   immediately (see scheduleProgressSync). 
  * 
  * @returns {void}
  */
@@ -118,6 +163,22 @@ function attachEventListeners() {
     });
 
     window.addEventListener('popstate', handlePopState);
+
+    window.addEventListener('pagehide', () => {
+        if (progressSyncTimeout) syncProgress();
+    });
+
+    document.addEventListener('dialogueFinishedEvent', handleFinishedDialogue);
+
+    document.getElementById('finishedDialogueBtn').addEventListener('click', goToNextPage);
+    document.getElementById('continueSurveyBtn').addEventListener('click', goToNextPage);
+
+    if (consentCheckbox && next1 && next1.closest('.page').contains(consentCheckbox)) {
+        next1.disabled = !consentCheckbox.checked;
+        consentCheckbox.addEventListener('change', () => {
+            next1.disabled = !consentCheckbox.checked;
+        });
+    }
 }
 
 /**************************************************************************
@@ -128,6 +189,8 @@ function attachEventListeners() {
  * Switches to the specified page and updates the displayed content.
  * 
  * - Hides all pages and only shows the active page.
+ * - Updates the progress bar.
+ * - Records the time spent on the previous page (see trackPageTime() in telemetry.js).
  * - When the user navigates to the chatbot page or back from the chatbot page, executes the 
  *   applyChatbotViewState() function to display the correct view. 
  * - Scrolls to the saved scroll position of the active page, using animation frames to ensure the 
@@ -142,8 +205,10 @@ function showPage(pageNumber) {
 
     pages.forEach(page => page.classList.remove('active'));
     document.getElementById(`page${pageNumber}`).classList.add('active');
+    updateProgressBar(pageNumber);
+    trackPageTime(pageNumber);
 
-    if (pageNumber >= (chatbotPage - 1) && pageNumber <= (chatbotPage + 1)) {
+    if (chatbotPage && pageNumber >= (chatbotPage - 1) && pageNumber <= (chatbotPage + 1)) {
         applyChatbotViewState();
     }
 
@@ -166,6 +231,19 @@ function showPage(pageNumber) {
     }
 }
 
+/**
+ * Updates the progress bar.
+ * 
+ * - Sets the width of the progress bar to the share of the pages before the specified page.
+ * 
+ * @param {number} pageNumber - The number of the displayed page.
+ * @returns {void}
+ */
+function updateProgressBar(pageNumber) {
+    const progress = totalPages > 1 ? ((pageNumber - 1) / (totalPages - 1)) * 100 : 100;
+    progressBar.style.width = `${progress}%`;
+}
+
 /**
  * Clears all queued animation frames.
  * 
@@ -246,6 +324,7 @@ function applyChatbotViewState() {
  * - Sets the dialogueFinished value to true, stores it in the session storage and calls
  *   the setFinishedDialogueState function to replace the input message text area and 
  *   the send button by the finishedDialogueBtn. 
+ * - Stores the progress on the server (see scheduleProgressSync). 
  * 
  * @returns {void}
  */
@@ -253,6 +332,7 @@ function handleFinishedDialogue(){
     dialogueFinished = true;
     sessionStorage.setItem('dialogueFinished', dialogueFinished);
     setFinishedDialogueState();
+    scheduleProgressSync();
 }
 
 /**************************************************************************
@@ -265,44 +345,555 @@ function handleFinishedDialogue(){
  * - This function is called as soon as the DOM is fully loaded.
  * - Requests the metadata from the server when the page is loaded for the 
  *   first time, otherwise the metadata is retrieved from the session storage. 
- * - If the client cannot receive a treatmentGroup value from the server, it
- *   creates a random treatmentGroup value itself. 
+ * - Accepts every treatmentGroup value configured on the server (any non-negative 
+ *   integer). If the client cannot receive a valid treatmentGroup value from the 
+ *   server, it falls back to the treatmentGroup value 0. 
+ * - If the participant cannot (further) participate (repeated participation of a panel 
+ *   member, filled quotas or a previous screen-out), displays the exit notice instead. 
  * 
  * @async
- * @returns {void}
+ * @returns {Promise<boolean>} False if the participant cannot participate. 
  */
 async function getMetadata() {
+    const panelExit = JSON.parse(sessionStorage.getItem('panelExit') || 'null');
+    if (panelExit) {
+        showExitNotice(panelExit.reason, panelExit.redirect);
+        return false;
+    }
     let surveyData = {};
     if (!sessionStorage.getItem('participantId') || !sessionStorage.getItem('treatmentGroup')) {
         surveyData = await fetchMetadataFromServer();
+        if (surveyData.exitReason) {
+            exitSurvey(surveyData.exitReason, surveyData.redirect);
+            return false;
+        }
     }
     const participantId = sessionStorage.getItem('participantId') || surveyData.participantId;
     let treatmentGroup = sessionStorage.getItem('treatmentGroup') || surveyData.treatmentGroup;
     treatmentGroup = Number(treatmentGroup);
 
-    if (!((treatmentGroup === 0) || (treatmentGroup === 1))) {
+    if (!(Number.isInteger(treatmentGroup) && treatmentGroup >= 0)) {
         treatmentGroup = 0
     }
     
     sessionStorage.setItem('participantId', participantId);
     sessionStorage.setItem('treatmentGroup', treatmentGroup);
+    return true;
 }
 
 /**
  * Requests the metadata from the server (participantId and treatmentGroup).
  * 
+ * - Passes the url parameters of the survey webpage to the server: the "stratum" parameter 
+ *   (if present) is used for stratified treatment group assignment, the parameters of the 
+ *   panel provider (e.g. PROLIFIC_PID) are stored with the response. 
+ * - If the server rejects the participant (status 409), provides the reason and the 
+ *   redirect back to the panel instead. 
+ * 
  * @async
- * @returns {{participantId: string, treatmentGroup: string}} The metadata.
+ * @returns {{participantId: string, treatmentGroup: string}|{exitReason: string, redirect: string|null}} 
+ * The metadata or the reason why the participant cannot participate.
  */
 async function fetchMetadataFromServer() {
-    const response = await fetch('/generateSurveyData');
+    const params = new URLSearchParams(window.location.search);
+    params.delete('resume');
+    const query = params.toString() ? `?${params}` : '';
+    const response = await fetch(`/generateSurveyData${query}`);
     const json = await response.json();
+    if (response.status === 409) {
+        return {
+            exitReason: json.duplicate ? 'duplicate' : 'quotaFull',
+            redirect: json.redirect || null
+        };
+    }
     return {
         participantId: json.participantId,
         treatmentGroup: json.treatmentGroup
     };
 }
 
+/**************************************************************************
+ * Survey submission
+ **************************************************************************/
+
+/**
+ * Submits the survey.
+ * 
+ * - This function is called when the user clicks on the submit button. 
+ * - Validates the answers of the current page (see validatePage() in questionnaire.js). 
+ * - Collects all answers, the participantId, the treatmentGroup value and the conversation 
+ *   transcript in one submission object. 
+ * - Records the time spent on the current page (see trackPageTime() in telemetry.js), so 
+ *   that the server can check the minimum page durations. 
+ * - Stores the submission object in the session storage (offline queue), so that the 
+ *   submission can be continued after a page reload or a lost connection. 
+ * - Calls the sendSubmission function to send the submission to the server. 
+ * 
+ * @async
+ * @returns {void}
+ */
+async function submitSurvey() {
+    if (submitInProgress || surveySubmitted) return;
+    if (!validatePage(currentPage)) return;
+    const submission = {
+        participantId: sessionStorage.getItem('participantId'),
+        treatmentGroup: Number(sessionStorage.getItem('treatmentGroup')),
+        conversationLog: loadConversationState().messages,
+        ...collectResponses()
+    };
+    sessionStorage.setItem('pendingSubmission', JSON.stringify(submission));
+    trackPageTime(totalPages);
+    await sendSubmission(submission);
+}
+
+/**
+ * Sends the submission to the server. 
+ * 
+ * - Sets the submitInProgress variable to true and disables the submit button while the 
+ *   submission is in progress. 
+ * - Sends all collected telemetry events first, because the server uses them to assess the 
+ *   quality of the response (see flushAllTelemetry() in telemetry.js). 
+ * - Requests the server to store the submission. If the browser is offline, waits until the 
+ *   connection is restored. Repeats the request until the server has sent a successfull 
+ *   response (to catch network errors). The server ignores repeated submissions of the same 
+ *   participant, so that a submission whose response got lost is not stored twice. 
+ * - When the submission was successfull, removes it from the session storage, sets the 
+ *   surveySubmitted flag, displays the final page ("thankyou" page) and the redirect back 
+ *   to the panel (see showPanelRedirect). 
+ * - If the participant has been screened out in the meantime (e.g. in another browser 
+ *   session) or has failed an attention check marked with "screenout", the server rejects 
+ *   the submission and the exit notice is displayed. 
+ * 
+ * @async
+ * @param {object} submission - The submission object. 
+ * @returns {void}
+ */
+async function sendSubmission(submission) {
+    submitInProgress = true;
+    const submitBtn = document.getElementById('submitBtn');
+    if (submitBtn) submitBtn.disabled = true;
+    await flushAllTelemetry();
+
+    while (true) {
+        if (!navigator.onLine) {
+            await new Promise(r => window.addEventListener('online', r, { once: true }));
+        }
+        try {
+            const res = await fetch('/submit', {
+                method: 'POST',
+                headers: {'Content-Type': 'application/json'},
+                body: JSON.stringify(submission)
+            });
+            if (res.status === 409) {
+                const json = await res.json();
+                sessionStorage.removeItem('pendingSubmission');
+                exitSurvey('screenout', json.redirect || null);
+                return;
+            }
+            if (!res.ok) {
+                throw new Error(`sendSubmission() - HTTP error! status: ${res.status}`);
+            }
+            const json = await res.json();
+            sessionStorage.setItem('panelRedirect', JSON.stringify(json.redirect || null));
+            break;
+        } catch (error) {
+            console.error('Error submitting the survey. Retrying.', error);
+            await new Promise(r => setTimeout(r, 2000));
+        }
+    }
+
+    submitInProgress = false;
+    surveySubmitted = true;
+    sessionStorage.setItem('surveySubmitted', surveySubmitted);
+    sessionStorage.removeItem('pendingSubmission');
+    showFinalPage();
+    showPanelRedirect();
+}
+
+/**
+ * Continues a pending submission.
+ * 
+ * - The purpose of this function is to continue a submission which was still in progress 
+ *   when the page was reloaded. 
+ * 
+ * @returns {void}
+ */
+function continuePendingSubmission() {
+    const pendingSubmission = sessionStorage.getItem('pendingSubmission');
+    if (pendingSubmission && !surveySubmitted) {
+        sendSubmission(JSON.parse(pendingSubmission));
+    }
+}
+
+/**
+ * Sends the email address entered on the final page to the server. 
+ * 
+ * - Checks the format of the email address before sending it. 
+ * - Sends only the email address and the purpose, never the participant id, so that the 
+ *   address cannot be linked to the survey response. 
+ * - On success, hides the input field, shows the success message and starts the redirect 
+ *   back to the panel (see showPanelRedirect). 
+ * 
+ * @async
+ * @param {string} purpose - The purpose of the email collection. 
+ * @returns {Promise<void>}
+ */
+async function submitEmail(purpose) {
+    const input = document.getElementById('emailInput');
+    const submitBtn = document.getElementById('emailSubmitBtn');
+    const error = document.getElementById('emailError');
+    const email = input.value.trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email)) {
+        error.textContent = 'Bitte geben Sie eine gültige E-Mail-Adresse ein.';
+        return;
+    }
+    error.textContent = '';
+
+    submitBtn.disabled = true;
+    try {
+        const res = await fetch('/submit-email', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, purpose })
+        });
+        if (!res.ok) {
+            throw new Error(`submitEmail() - HTTP error! status: ${res.status}`);
+        }
+        input.value = '';
+        sessionStorage.setItem('emailSubmitted', 'true');
+        document.getElementById('emailInfoSection').classList.add('hidden');
+        document.getElementById('emailSuccessSection').classList.remove('hidden');
+        showPanelRedirect();
+    } catch (err) {
+        console.error('Error submitting the email:', err);
+        error.textContent = 'Die E-Mail-Adresse konnte nicht gesendet werden. Bitte versuchen Sie es erneut.';
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+/**
+ * Displays the final page ("thankyou" page) after the submission. 
+ * 
+ * - Saves the scroll position, sets the currentPage value to the final page, adds this page 
+ *   to the browser history and displays it. 
+ * 
+ * @returns {void}
+ */
+function showFinalPage() {
+    if (currentPage === totalPages) return;
+    saveScrollPositions(currentPage);
+    currentPage = totalPages;
+    pushPageToHistory(currentPage);
+    showPage(currentPage);
+}
+
+/**************************************************************************
+ * Panel redirects
+ **************************************************************************/
+
+/**
+ * Displays the redirect back to the panel on the final page. 
+ * 
+ * - This function is called after the submission and when the final page is loaded again. 
+ * - Uses the completion redirect provided by the server with the submission response (see 
+ *   /submit in server.js). Does nothing if no redirect is configured. 
+ * - Displays a notice with a link to the panel. If the participant does not have to enter an 
+ *   email address on the final page anymore, redirects the participant automatically after 
+ *   panelRedirectDelay milliseconds. 
+ * 
+ * @returns {void}
+ */
+function showPanelRedirect() {
+    const redirect = JSON.parse(sessionStorage.getItem('panelRedirect') || 'null');
+    const finalPage = document.getElementById(`page${totalPages}`);
+    if (!redirect || !finalPage) return;
+
+    let notice = finalPage.querySelector('.panel-redirect');
+    if (!notice) {
+        notice = createPanelRedirectNotice(redirect);
+        finalPage.appendChild(notice);
+    }
+    const emailPending = document.getElementById('emailInfoSection') && sessionStorage.getItem('emailSubmitted') !== 'true';
+    if (!emailPending) {
+        notice.querySelector('.panel-redirect-text').textContent = 'Sie werden in wenigen Sekunden zurück zum Panel weitergeleitet.';
+        setTimeout(() => window.location.assign(redirect), panelRedirectDelay);
+    }
+}
+
+/**
+ * Excludes the participant from the (further) participation. 
+ * 
+ * - Stores the reason and the redirect back to the panel in the session storage, so that 
+ *   the exit notice is displayed again when the page is reloaded. 
+ * - Displays the exit notice (see showExitNotice). 
+ * 
+ * @param {string} reason - The reason ('duplicate', 'quotaFull' or 'screenout'). 
+ * @param {string|null} redirect - The redirect url of the panel. 
+ * @returns {void}
+ */
+function exitSurvey(reason, redirect) {
+    sessionStorage.setItem('panelExit', JSON.stringify({ reason, redirect }));
+    showExitNotice(reason, redirect);
+}
+
+/**
+ * Displays the exit notice instead of the survey pages. 
+ * 
+ * - Replaces the content of the survey container by the notice of the reason (see 
+ *   panelExitTexts) and hides the progress bar. 
+ * - If a redirect url is configured, displays a link to the panel and redirects the 
+ *   participant automatically after panelRedirectDelay milliseconds. 
+ * 
+ * @param {string} reason - The reason ('duplicate', 'quotaFull' or 'screenout'). 
+ * @param {string|null} redirect - The redirect url of the panel. 
+ * @returns {void}
+ */
+function showExitNotice(reason, redirect) {
+    const notice = document.createElement('div');
+    notice.classList.add('exit-notice');
+    const text = document.createElement('p');
+    text.textContent = panelExitTexts[reason] || panelExitTexts.screenout;
+    notice.appendChild(text);
+    if (redirect) {
+        const redirectNotice = createPanelRedirectNotice(redirect);
+        redirectNotice.querySelector('.panel-redirect-text').textContent = 'Sie werden in wenigen Sekunden zurück zum Panel weitergeleitet.';
+        notice.appendChild(redirectNotice);
+        setTimeout(() => window.location.assign(redirect), panelRedirectDelay);
+    }
+    document.getElementById('survey-container').replaceChildren(notice);
+    document.getElementById('progress-bar').classList.add('hidden');
+}
+
+/**
+ * Creates the notice with the link back to the panel. 
+ * 
+ * @param {string} redirect - The redirect url of the panel. 
+ * @returns {HTMLElement} The notice. 
+ */
+function createPanelRedirectNotice(redirect) {
+    const notice = document.createElement('div');
+    notice.classList.add('panel-redirect');
+    const text = document.createElement('p');
+    text.classList.add('panel-redirect-text');
+    text.textContent = 'Bitte kehren Sie über den folgenden Link zum Panel zurück, um Ihre Teilnahme abzuschließen.';
+    const link = document.createElement('a');
+    link.href = redirect;
+    link.textContent = 'Zurück zum Panel';
+    notice.append(text, link);
+    return notice;
+}
+
+/**
+ * Screens out the participant. 
+ * 
+ * - This function is called when the participant has chosen a screen-out option on the 
+ *   current page (see hasScreenoutAnswer() in questionnaire.js). 
+ * - Requests the server to screen out the participant, so that the survey cannot be 
+ *   submitted anymore. Repeats the request until the server has sent a successfull 
+ *   response (to catch network errors). 
+ * - Displays the exit notice with the screen-out redirect of the panel (see exitSurvey). 
+ * 
+ * @async
+ * @returns {Promise<void>}
+ */
+async function screenOut() {
+    while (true) {
+        try {
+            const res = await fetch('/screenout', { method: 'POST' });
+            if (!res.ok) {
+                throw new Error(`screenOut() - HTTP error! status: ${res.status}`);
+            }
+            const json = await res.json();
+            exitSurvey('screenout', json.redirect || null);
+            return;
+        } catch (error) {
+            console.error('Error screening out the participant. Retrying.', error);
+            await new Promise(r => setTimeout(r, 2000));
+        }
+    }
+}
+
+/**************************************************************************
+ * Participant resume
+ **************************************************************************/
+
+/**
+ * Resumes a participation with the resume code of the "resume" url parameter. 
+ * 
+ * - This function is called before the metadata is initialized, so that no new participant 
+ *   is created for a participant who resumes the survey. 
+ * - Requests the server to resume the participation with the code. The server issues the 
+ *   session cookie of the participant and provides the stored state of the participation. 
+ * - Replaces the content of the session storage with the stored state: the metadata, the 
+ *   current page, the visited pages, the answers, whether the final dialogue state has been 
+ *   reached and the conversation (see storeResumedConversation() in chatbot.js). The resume 
+ *   code is kept, so that the progress is stored on the server further on. 
+ * - Loads the page again without the "resume" url parameter, so that all scripts initialize 
+ *   themselves with the restored state. 
+ * - If the code is not accepted, removes the "resume" url parameter and sets the resumeError 
+ *   message, which is displayed in the resume form. 
+ * 
+ * @async
+ * @returns {Promise<boolean>} True if the page is loaded again with the restored state. 
+ */
+async function resumeParticipation() {
+    const url = new URL(window.location.href);
+    const code = url.searchParams.get('resume');
+    if (!code) return false;
+    url.searchParams.delete('resume');
+
+    try {
+        const res = await fetch('/resume', {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify({ code })
+        });
+        if (res.status === 404 || res.status === 409 || res.status === 429) {
+            resumeError = {
+                404: 'Der Fortsetzungscode ist ungültig oder abgelaufen.',
+                409: 'Sie haben die Umfrage bereits abgeschlossen.',
+                429: 'Zu viele Versuche. Bitte versuchen Sie es später erneut.'
+            }[res.status];
+            window.history.replaceState(null, '', url);
+            return false;
+        }
+        if (!res.ok) {
+            throw new Error(`resumeParticipation() - HTTP error! status: ${res.status}`);
+        }
+        const data = await res.json();
+
+        sessionStorage.clear();
+        sessionStorage.setItem('participantId', data.participantId);
+        sessionStorage.setItem('treatmentGroup', data.treatmentGroup);
+        sessionStorage.setItem('resumeCode', code.trim().toUpperCase());
+        sessionStorage.setItem('currentPage', data.progress.currentPage);
+        sessionStorage.setItem('historyStates', JSON.stringify(data.progress.historyStates));
+        sessionStorage.setItem('responses', JSON.stringify(data.progress.responses));
+        sessionStorage.setItem('dialogueFinished', data.progress.dialogueFinished);
+        storeResumedConversation(data);
+        window.location.replace(url);
+        return true;
+    } catch (error) {
+        console.error('Error resuming the participation:', error);
+        resumeError = 'Die Umfrage konnte nicht fortgesetzt werden. Bitte versuchen Sie es erneut.';
+        window.history.replaceState(null, '', url);
+        return false;
+    }
+}
+
+/**
+ * Resumes a participation with a resume code entered in the resume form. 
+ * 
+ * - This function is called when the user clicks on the resume button on page 1. 
+ * - Loads the page with the code as "resume" url parameter (see resumeParticipation), in the 
+ *   same way as the resume link. 
+ * 
+ * @param {string} code - The entered resume code. 
+ * @returns {void}
+ */
+function startResume(code) {
+    const error = document.getElementById('resumeError');
+    if (!code.trim()) {
+        error.textContent = 'Bitte geben Sie Ihren Fortsetzungscode ein.';
+        return;
+    }
+    const url = new URL(window.location.href);
+    url.searchParams.set('resume', code.trim());
+    window.location.assign(url);
+}
+
+/**
+ * Displays the resume code and the resume link of the participation. 
+ * 
+ * - This function is called when the user clicks on the "resume later" button of a page. 
+ * - Requests a resume code from the server when it is requested for the first time in the 
+ *   session, and stores it in the session storage. From then on, the progress is stored on 
+ *   the server (see scheduleProgressSync); the current progress is stored immediately. 
+ * - Displays the code and the link containing the code in the info section of the page. 
+ * 
+ * @async
+ * @param {HTMLElement} infoSection - The info section of the "resume later" section. 
+ * @returns {Promise<void>}
+ */
+async function showResumeCode(infoSection) {
+    let code = sessionStorage.getItem('resumeCode');
+    if (!code) {
+        try {
+            const res = await fetch('/resume-code', { method: 'POST' });
+            if (!res.ok) {
+                throw new Error(`showResumeCode() - HTTP error! status: ${res.status}`);
+            }
+            code = (await res.json()).code;
+            sessionStorage.setItem('resumeCode', code);
+        } catch (error) {
+            console.error('Error requesting the resume code:', error);
+            return;
+        }
+    }
+    await syncProgress();
+
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set('resume', code);
+    const codeParagraph = infoSection.querySelector('.resume-code') || document.createElement('p');
+    codeParagraph.classList.add('resume-code');
+    codeParagraph.textContent = 'Ihr Fortsetzungscode: ';
+    const codeText = document.createElement('strong');
+    codeText.textContent = code;
+    const link = document.createElement('a');
+    link.href = url.href;
+    link.textContent = url.href;
+    codeParagraph.append(codeText, document.createElement('br'), link);
+    infoSection.appendChild(codeParagraph);
+    infoSection.classList.remove('hidden');
+}
+
+/**
+ * Stores the progress on the server after the progressSyncDelay. 
+ * 
+ * - Only applies if the participant has requested a resume code in this session (or has 
+ *   resumed the participation with a code). 
+ * - Several changes within the delay are stored together. 
+ * 
+ * @returns {void}
+ */
+function scheduleProgressSync() {
+    if (!sessionStorage.getItem('resumeCode')) return;
+    clearTimeout(progressSyncTimeout);
+    progressSyncTimeout = setTimeout(syncProgress, progressSyncDelay);
+}
+
+/**
+ * Sends the progress to the server. 
+ * 
+ * - The progress consists of the currentPage value, the historyStates value, the answers and 
+ *   the dialogueFinished value. The server adds the conversation pointer of the session. 
+ * - The request is completed even if the page is closed in the meantime (keepalive). Errors 
+ *   are only logged; the progress is sent again with the next change. 
+ * 
+ * @async
+ * @returns {Promise<void>}
+ */
+async function syncProgress() {
+    clearTimeout(progressSyncTimeout);
+    progressSyncTimeout = null;
+    try {
+        const res = await fetch('/progress', {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify({ currentPage, historyStates, responses: collectResponses(), dialogueFinished }),
+            keepalive: true
+        });
+        if (!res.ok) {
+            throw new Error(`syncProgress() - HTTP error! status: ${res.status}`);
+        }
+    } catch (error) {
+        console.error('Error storing the progress:', error);
+    }
+}
+
 /**************************************************************************
  * State management
  **************************************************************************/
@@ -313,12 +904,14 @@ async function fetchMetadataFromServer() {
  * - Saves the currentPage value and the historyStates value in the session storage.
  * - This function is called each time the participant navigates within the single 
  *   page application. 
+ * - Stores the progress on the server (see scheduleProgressSync). 
  * 
  * @returns {void}
  */
 function saveNavigationState() {
     sessionStorage.setItem('currentPage', currentPage);
     sessionStorage.setItem('historyStates', JSON.stringify(historyStates));
+    scheduleProgressSync();
 }
 
 /**
@@ -350,12 +943,15 @@ function saveScrollPositions(pageNumber) {
  * - If the variable textareaReplacement is set to false, the user message input field is not
  *   replaced by the finishedDialogueButton even when the final dialogue state has been 
  *   reached. 
+ * - Enables the continueSurveyBtn in the chatbot header once the final dialogue state has 
+ *   been reached. 
  * 
  * @returns {void}
  */
 function setFinishedDialogueState() { 
     const inputContainer = document.getElementById('input-container');
     const finishedDialogueButton = document.getElementById('finished-dialogue-container');
+    document.getElementById('continueSurveyBtn').disabled = !dialogueFinished;
     if (!textareaReplacement) {
         finishedDialogueButton.classList.add('hidden');
         inputContainer.classList.remove('hidden');
@@ -447,6 +1043,51 @@ function pushPageToHistory(page) {
     saveNavigationState();
 }
 
+/**
+ * Moves to the next survey page.
+ * 
+ * - This function is called when the user clicks on the next button of a page. 
+ * - Does not move forward if required answers or the consent on the current page are missing 
+ *   (see validatePage() in questionnaire.js, which highlights the missing answers). 
+ * - Screens out the participant if a screen-out option has been chosen on the current page 
+ *   (see screenOut). 
+ * - If the next page has already been visited (the user has navigated back before), moves 
+ *   forward in the browser history, so that the popstate event is handled by handlePopState(). 
+ * - Otherwise, saves the scroll position, increments the currentPage value, adds the new 
+ *   page to the browser history using pushPageToHistory() and displays it. 
+ * 
+ * @returns {void}
+ */
+function goToNextPage() {
+    if (currentPage >= totalPages) return;
+    if (!validatePage(currentPage)) return;
+    if (hasScreenoutAnswer(currentPage)) {
+        screenOut();
+        return;
+    }
+    if (historyStates.some(obj => obj.page === currentPage + 1)) {
+        window.history.forward();
+        return;
+    }
+    saveScrollPositions(currentPage);
+    currentPage++;
+    pushPageToHistory(currentPage);
+    showPage(currentPage);
+}
+
+/**
+ * Moves to the previous survey page.
+ * 
+ * - This function is called when the user clicks on the back button of a page. 
+ * - Moves back in the browser history, so that the popstate event is handled by 
+ *   handlePopState() in the same way as the back button of the browser. 
+ * 
+ * @returns {void}
+ */
+function goToPreviousPage() {
+    window.history.back();
+}
+
 /**
  * Manages the navigation via the navigation buttons of the browser.
  * 
@@ -459,12 +1100,16 @@ function pushPageToHistory(page) {
  *   value, displays the corresponding survey page using showPage(currentPage) and saves the new state 
  *   using saveNavigationState().
  * - (b) This function additionally prevents the possibility to move forward in the survey via the 
- *   navigation button of the browser when the user is on page 1 and has not activated the consent 
- *   checkbox. 
+ *   navigation button of the browser when required answers or the consent on the current page are 
+ *   missing (see validatePage() in questionnaire.js). 
  * - (c) When the participant has submitted the survey, is on the final page ("thankyou" page) and 
  *   presses the back button of the browser, the popstate event listener is destroyed so that the 
  *   currentPage value is not decremented and the webpage stil displays the "thankyou" page.
  * - (d) If the bypassPopState flag is set to true, a pre-check prevents this function to be executed.
+ * - (e) When the participant moves forward via the navigation button of the browser after having 
+ *   chosen a screen-out option on the current page (see hasScreenoutAnswer() in questionnaire.js), 
+ *   the participant stays on the current page and is screened out (see screenOut()) in the same 
+ *   way as with the "Weiter" button. 
  * 
  * @param {PopStateEvent} event - The event triggered by pressing the navigation button of the browser.
  * @returns {void}
@@ -477,11 +1122,18 @@ function handlePopState(event) {
         return;
     }
 
-    // (b) Behaviour when the user is on page one and has not activated the consent checkbox:
-    const consentIsChecked = consentCheckbox.checked; 
-    if (currentPage === 1 && event.state.page === 2 && !consentIsChecked) {
+    // (b) Behaviour when required answers or the consent on the current page are missing:
+    if (event.state.page > currentPage && !validatePage(currentPage)) {
+        bypassPopState = true;
+        window.history.back();
+        return;
+    }
+
+    // (e) Behaviour when a screen-out option has been chosen on the current page:
+    if (event.state.page > currentPage && hasScreenoutAnswer(currentPage)) {
         bypassPopState = true;
         window.history.back();
+        screenOut();
         return;
     }
 
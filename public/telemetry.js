@@ -0,0 +1,240 @@
+/**
+ * @fileoverview This script collects timing and interaction data of the participation
+ * (telemetry events) and sends them in batches to the server. It is executed by the client
+ * in the browser. The events are recorded by chatbot.js (messages and typing behaviour),
+ * script.js (time spent on each survey page) and this script (focus of the tab).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Initialization of variables and event listeners
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the script.
+ *
+ * - telemetryFlushInterval @type {number}: The interval in milliseconds in which the
+ *   collected events are sent to the server.
+ * - telemetryBatchSize @type {number}: The maximum number of events per batch. A batch is
+ *   sent immediately as soon as this number of events has been collected.
+ * - telemetryFlushTimer @type {number|null}: The id of the interval sending the events.
+ * - telemetryFlushInProgress @type {boolean}: A flag indicating whether a batch is currently
+ *   being sent to the server.
+ */
+const telemetryFlushInterval = 10000;   // To be specified: the interval in which the events are sent!
+const telemetryBatchSize = 50;
+
+let telemetryFlushTimer = null;
+let telemetryFlushInProgress = false;
+
+/**
+ * Event Listener for starting the transmission of the events.
+ * The events can only be sent when the participant session has been created, so the
+ * transmission starts as soon as the "surveyDataInitialized" event (see script.js) has been
+ * triggered. Events recorded before are kept in the session storage.
+ */
+document.addEventListener('surveyDataInitialized', startTelemetry);
+
+/**
+ * Event Listeners for the focus of the tab.
+ *
+ * - Records whether the tab is hidden or visible again (e.g. when the participant switches
+ *   to another tab or app) and whether the window loses or regains the focus.
+ * - Sends the collected events immediately when the tab is hidden or closed, because the
+ *   page may not be visible again.
+ */
+document.addEventListener('visibilitychange', () => {
+  recordTelemetry('visibility_change', { state: document.visibilityState });
+  if (document.visibilityState === 'hidden') sendTelemetryBeacon();
+});
+window.addEventListener('focus', () => recordTelemetry('focus'));
+window.addEventListener('blur', () => recordTelemetry('blur'));
+window.addEventListener('pagehide', sendTelemetryBeacon);
+
+/**************************************************************************
+ * Event recording
+ **************************************************************************/
+
+/**
+ * Records a telemetry event.
+ *
+ * - Each event gets an identifier, the current time and the current page number. The
+ *   server stores an event only once, even if it is sent several times.
+ * - The event is added to the events stored in the session storage, so that it is not lost
+ *   when the page is reloaded before it has been sent.
+ * - Sends the events immediately if telemetryBatchSize events have been collected.
+ *
+ * @param {string} type - The type of the event (see lib/telemetry.js for the accepted types).
+ * @param {object} [data] - Additional data of the event.
+ * @returns {void}
+ */
+function recordTelemetry(type, data = {}) {
+  const events = loadTelemetryEvents();
+  events.push({
+    id: 'evt-' + Date.now() + '-' + Math.floor(Math.random() * 100000),
+    type,
+    at: new Date().toISOString(),
+    page: currentPage,
+    data
+  });
+  saveTelemetryEvents(events);
+  if (telemetryFlushTimer && events.length >= telemetryBatchSize) flushTelemetry();
+}
+
+/**
+ * Records the time spent on a survey page.
+ *
+ * - This function is called each time a page is displayed (see showPage() in script.js).
+ * - If another page was displayed before, records a "page_time" event with the number and
+ *   the id of this page, the time it was entered and the time spent on it.
+ * - Stores the new page and the time it was entered in the session storage. If the page is
+ *   displayed again after a reload, the stored time is kept.
+ *
+ * @param {number} pageNumber - The number of the displayed page.
+ * @returns {void}
+ */
+function trackPageTime(pageNumber) {
+  const now = Date.now();
+  const stored = JSON.parse(sessionStorage.getItem('telemetryPage') || 'null');
+  if (stored && stored.page === pageNumber) return;
+  if (stored) {
+    const pageElement = document.getElementById(`page${stored.page}`);
+    recordTelemetry('page_time', {
+      page: stored.page,
+      pageId: pageElement ? pageElement.dataset.pageId || null : null,
+      enteredAt: new Date(stored.enteredAt).toISOString(),
+      durationMs: now - stored.enteredAt
+    });
+  }
+  sessionStorage.setItem('telemetryPage', JSON.stringify({ page: pageNumber, enteredAt: now }));
+}
+
+/**************************************************************************
+ * Transmission to the server
+ **************************************************************************/
+
+/**
+ * Starts sending the collected events to the server every telemetryFlushInterval
+ * milliseconds and sends the events collected so far.
+ *
+ * @returns {void}
+ */
+function startTelemetry() {
+  if (telemetryFlushTimer) return;
+  telemetryFlushTimer = setInterval(flushTelemetry, telemetryFlushInterval);
+  flushTelemetry();
+}
+
+/**
+ * Sends a batch of collected events to the server.
+ *
+ * - This function is only executed when no other batch is currently being sent (so only
+ *   when telemetryFlushInProgress is false).
+ * - Sends up to telemetryBatchSize events and removes them from the session storage when
+ *   the server responded successfully. Otherwise, the events are kept and sent again with
+ *   the next batch.
+ *
+ * @async
+ * @returns {void}
+ */
+async function flushTelemetry() {
+  if (telemetryFlushInProgress) return;
+  const batch = loadTelemetryEvents().slice(0, telemetryBatchSize);
+  if (batch.length === 0) return;
+  telemetryFlushInProgress = true;
+  try {
+    const res = await fetch('/telemetry', {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({ events: batch })
+    });
+    if (!res.ok) {
+      throw new Error(`flushTelemetry() - HTTP error! status: ${res.status}`);
+    }
+    removeTelemetryEvents(batch);
+  } catch (error) {
+    console.error('Error sending telemetry events:', error);
+  }
+  telemetryFlushInProgress = false;
+}
+
+/**
+ * Sends all collected events to the server.
+ *
+ * - This function is called before the survey is submitted, so that the server can assess
+ *   the quality of the response with the complete timing data (see lib/quality.js).
+ * - Waits until a batch which is currently being sent has been sent, then sends the events
+ *   batch by batch. Stops as soon as a batch could not be sent (the remaining events are
+ *   sent later by the regular transmission).
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function flushAllTelemetry() {
+  while (telemetryFlushInProgress) {
+    await new Promise(r => setTimeout(r, 100));
+  }
+  let remaining = loadTelemetryEvents().length;
+  while (remaining > 0) {
+    await flushTelemetry();
+    const left = loadTelemetryEvents().length;
+    if (left >= remaining) return;
+    remaining = left;
+  }
+}
+
+/**
+ * Sends the collected events with navigator.sendBeacon().
+ *
+ * - This function is called when the tab is hidden or closed. In contrast to fetch(), the
+ *   browser completes the request even if the page is closed.
+ * - Keeps the events in the session storage: sendBeacon() only reports that the browser has
+ *   queued the request, not that the server has stored the events. The next flush
+ *   (see flushTelemetry) sends them again and removes them once the server has confirmed
+ *   them; the server skips events it has already stored (see lib/telemetry.js). If the tab
+ *   is closed and the beacon is lost, the events are lost with the session storage.
+ *
+ * @returns {void}
+ */
+function sendTelemetryBeacon() {
+  if (!telemetryFlushTimer || !navigator.sendBeacon) return;
+  const batch = loadTelemetryEvents().slice(0, telemetryBatchSize);
+  if (batch.length === 0) return;
+  const body = new Blob([JSON.stringify({ events: batch })], { type: 'application/json' });
+  navigator.sendBeacon('/telemetry', body);
+}
+
+/**************************************************************************
+ * Event storage
+ **************************************************************************/
+
+/**
+ * Loads the collected events from the session storage.
+ *
+ * @returns {object[]} The collected events.
+ */
+function loadTelemetryEvents() {
+  return JSON.parse(sessionStorage.getItem('telemetryEvents') || '[]');
+}
+
+/**
+ * Stores the collected events in the session storage.
+ *
+ * @param {object[]} events - The collected events.
+ * @returns {void}
+ */
+function saveTelemetryEvents(events) {
+  sessionStorage.setItem('telemetryEvents', JSON.stringify(events));
+}
+
+/**
+ * Removes sent events from the session storage (events recorded in the meantime are kept).
+ *
+ * @param {object[]} batch - The sent events.
+ * @returns {void}
+ */
+function removeTelemetryEvents(batch) {
+  const sentIds = new Set(batch.map(event => event.id));
+  saveTelemetryEvents(loadTelemetryEvents().filter(event => !sentIds.has(event.id)));
+}
@@ -16,12 +16,100 @@
  * If false, the treatment group value takes the value of treatmentFallback.
  * - treatmentFallback @type {number}: the static treatment group value if randomTreatment
  * is set to false.
+ * - treatmentArms @type {Array<{value: number, ratio: number, quota: number|null}>}: the 
+ * treatment arms of the study. ratio is the relative allocation weight of an arm, quota the 
+ * maximum number of participants assigned to it (null for no quota). 
+ * - assignmentStrategy @type {string}: 'simple' (weighted coin flip), 'block' (block 
+ * randomization) or 'stratified' (block randomization within each stratum). The stratum is 
+ * passed by the client as query parameter of /generateSurveyData. 
+ * - assignmentStrata @type {string[]}: the accepted strata. Any other stratum passed by the 
+ * client is assigned to the default stratum. 
+ * - assignmentExpiryMinutes @type {number}: the time in minutes after which an assignment 
+ * without submission no longer counts towards the quotas and the block slots. 
+ * - blockMultiplier @type {number}: how often the ratios of all arms are repeated in one 
+ * randomization block (e.g. three arms with ratio 1 and blockMultiplier 2 give blocks of six). 
+ * - panelParameters @type {string[]}: the url parameters passed by the panel provider which are 
+ * captured when a participant starts the survey and stored with the response (e.g. 
+ * PROLIFIC_PID, STUDY_ID and SESSION_ID for Prolific, workerId, assignmentId and hitId for 
+ * MTurk). 
+ * - panelIdParameter @type {string|null}: the url parameter identifying the panel member. A 
+ * panel member can only participate once (null to allow repeated participation). 
+ * - panelRedirects @type {{complete: string|null, screenout: string|null, overquota: string|null}}: 
+ * the urls leading the participants back to the panel after the submission (complete), after 
+ * a screen-out or a repeated participation (screenout) and if all quotas are filled 
+ * (overquota), including the codes of the panel. Placeholders such as {PROLIFIC_PID} are 
+ * replaced by the captured url parameters (see lib/panel.js). null for no redirect. 
+ * - conversationLimits @type {{perSession: number, perIp: number, windowMs: number}}: the 
+ * maximum number of conversations a participant session and an ip address can start within 
+ * the time window. 
+ * - messageLimits @type {{perSession: number, perIp: number, windowMs: number}}: the maximum 
+ * number of messages a participant session and an ip address can send within the time window. 
+ * - maxMessageLength @type {number}: the maximum number of characters of a user message. 
+ * - maxValueLength @type {number}: the maximum number of characters of the value payload of a 
+ * submitted Adaptive Card (serialized as json). 
+ * - maxClientSideMsgIdLength @type {number}: the maximum length of the identifier the client 
+ * assigns to a user message (see /sendmessage). 
+ * - telemetryLimits @type {{perSession: number, windowMs: number}}: the maximum number of 
+ * telemetry batches a participant session can send within the time window. 
+ * - progressLimits @type {{perSession: number, windowMs: number}}: the maximum number of 
+ * progress updates a participant session can send within the time window. 
+ * - resumeLimits @type {{perIp: number, windowMs: number}}: the maximum number of attempts to 
+ * resume a participation with a resume code an ip address can make within the time window. 
+ * - typingSimulation @type {Object.<string, object>}: the simulated typing of the chatbot per 
+ * treatment group (treatment groups without an own entry use the 'default' entry; an own 
+ * entry only needs the values which differ from the default): 
+ *   - indicatorDelay: delay in milliseconds until the typing indicator is displayed after a 
+ *     user message or between two bot messages. 
+ *   - initialIndicatorDelay: delay in milliseconds until the typing indicator is displayed 
+ *     for the welcome message. 
+ *   - charactersPerSecond: typing speed; the display of a bot message is delayed by the time 
+ *     needed to type its text (the response time of the chatbot is included). 
+ *   - minDelay, maxDelay: the minimum and maximum delay of a bot message in milliseconds. 
+ *   - jitter: random variation of the delay (e.g. 0.2 for +/- 20%). 
+ *   - sequential: if true, several bot messages are displayed one after another, each with 
+ *     its own typing indicator; if false, they are displayed together. 
  */
 const randomTreatment = false;   // To be specified: whether the treatment group is assigned randomly!
 const treatmentFallback = 0;     // To be specified: the treatment fallback value!
+const treatmentArms = [          // To be specified: the treatment arms, ratios and quotas!
+  { value: 0, ratio: 1, quota: null },
+  { value: 1, ratio: 1, quota: null }
+];
+const assignmentStrategy = 'block';  // To be specified: the assignment strategy!
+const blockMultiplier = 2;           // To be specified: the block size multiplier!
+const assignmentStrata = [];         // To be specified: the accepted strata (e.g. ['female', 'male', 'diverse'])!
+const assignmentExpiryMinutes = 120; // To be specified: the expiry of assignments without submission!
+const panelParameters = ['PROLIFIC_PID', 'STUDY_ID', 'SESSION_ID'];  // To be specified: the captured url parameters of the panel!
+const panelIdParameter = 'PROLIFIC_PID';                             // To be specified: the url parameter identifying the panel member!
+const panelRedirects = {             // To be specified: the redirect urls of the panel (e.g. 'https://app.prolific.com/submissions/complete?cc=XXXXXXX')!
+  complete: null,
+  screenout: null,
+  overquota: null
+};
+const conversationLimits = { perSession: 3, perIp: 30, windowMs: 60 * 60 * 1000 };  // To be specified: the conversation limits!
+const messageLimits = { perSession: 10, perIp: 60, windowMs: 60 * 1000 };           // To be specified: the message limits!
+const maxMessageLength = 1000;       // To be specified: the maximum length of a user message!
+const maxValueLength = 4000;         // To be specified: the maximum length of a card value payload!
+const maxClientSideMsgIdLength = 100;
+const telemetryLimits = { perSession: 30, windowMs: 60 * 1000 };                    // To be specified: the telemetry limits!
+const progressLimits = { perSession: 60, windowMs: 60 * 1000 };                     // To be specified: the progress limits!
+const resumeLimits = { perIp: 10, windowMs: 15 * 60 * 1000 };                       // To be specified: the resume limits!
+const typingSimulation = {           // To be specified: the typing simulation per treatment group!
+  default: {
+    indicatorDelay: 750,
+    initialIndicatorDelay: 250,
+    charactersPerSecond: 40,
+    minDelay: 800,
+    maxDelay: 4000,
+    jitter: 0.2,
+    sequential: true
+  },
+  1: { charactersPerSecond: 20, maxDelay: 6000 }
+};
 
 /**
- * Load the environment variables from the .env file (DATABASE_URL and DIRECT_LINE_SECRET).
+ * Load the environment variables from the .env file (DATABASE_URL, DATABASE_SSL, 
+ * DIRECT_LINE_SECRET, BOT_ADAPTER, ADMIN_PASSWORD, EMAIL_ENCRYPTION_KEY and SESSION_SECRET).
  */
 require('dotenv').config(); 
 
@@ -30,9 +118,32 @@ require('dotenv').config();
  */
 const express = require('express');
 const bodyParser = require('body-parser');
-const { Pool } = require('pg');
 const crypto = require('crypto');
-const axios = require('axios');
+const { createBotAdapter } = require('./lib/bot-adapters');
+const { assignTreatmentGroup } = require('./lib/assignment');
+const { recordActivities, getTranscript } = require('./lib/transcript');
+const { loadSurveyDefinition, getConsentVersion, getEmailCollection, getResumeOption } = require('./lib/survey');
+const { normalizeEmail, isValidEmail, createEmailKeys, storeEmail } = require('./lib/emails');
+const { createAdminRouter } = require('./lib/admin');
+const { createActivityStream } = require('./lib/activity-stream');
+const { createConversationRegistry } = require('./lib/conversations');
+const { createSessionManager } = require('./lib/session');
+const { createRateLimiter, rejectIfLimited } = require('./lib/rate-limit');
+const { createDedupStore } = require('./lib/dedup-stores');
+const { parseTelemetryEvents, recordTelemetry, getTelemetryEvents } = require('./lib/telemetry');
+const { createResumeCode, parseProgress, saveProgress, loadProgressByResumeCode } = require('./lib/progress');
+const {
+  parsePanelParameters,
+  buildPanelRedirect,
+  registerPanelParticipant,
+  removePanelParticipant,
+  getPanelParticipant,
+  setPanelStatus
+} = require('./lib/panel');
+const { assessQuality } = require('./lib/quality');
+const { randomizeSurvey } = require('./lib/randomization');
+const { createPool } = require('./lib/db');
+const { runMigrations } = require('./lib/migrations');
 
 /**************************************************************************
  * Setup of webpage, database and chatbot api
@@ -44,60 +155,161 @@ const axios = require('axios');
  * - Initializes the express application.
  * - Initialiazes a middleware for extracting json data. 
  * - Provides the html, css and javascript files from the public directory. 
+ * - Trusts the first proxy (e.g. of the hosting platform), so that the session cookie is 
+ *   marked as secure when the webpage is accessed via https. 
  */
 const app = express();
+app.set('trust proxy', 1);
 app.use(bodyParser.json());
 app.use(express.static('public'));
 
 /**
- * Set up an in-memory storage for processed messages and messages in progress
- * to avoid duplicates.
- * Automatically clear the stored processed message ids after one hour.
+ * Setup of the survey definition.
+ * 
+ * - Loads the declarative survey definition (pages and questions) from the json or yaml file 
+ *   specified by the SURVEY_DEFINITION environment variable (default: config/survey.json, a 
+ *   .yaml or .yml file is loaded as yaml). 
+ * - Stops the server if the survey definition cannot be loaded or is invalid. 
+ */
+let surveyDefinition;
+try {
+    surveyDefinition = loadSurveyDefinition(process.env.SURVEY_DEFINITION || 'config/survey.json');
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+/**
+ * Setup of the email encryption.
+ * 
+ * - Derives the keys for the encryption of the collected email addresses from the 
+ *   EMAIL_ENCRYPTION_KEY environment variable (see lib/emails.js). 
+ * - The email collection is opt-in ("email" of the end page in the survey definition). If 
+ *   the key is missing or invalid, the email collection is disabled (removed from the survey 
+ *   definition, the email routes of the researcher area respond with 503), so that no 
+ *   address is ever stored unencrypted. 
  */
-const processedMessages = new Map();
-const inProgressMessages = new Map(); 
-setInterval(() => {
-  const now = Date.now();
-  const oneHour = 60 * 60 * 1000;
-  for (const [key, value] of processedMessages) {
-    if (now - value.timestamp > oneHour) {
-      processedMessages.delete(key);
+let emailKeys = null;
+try {
+    if (process.env.EMAIL_ENCRYPTION_KEY || getEmailCollection(surveyDefinition)) {
+        emailKeys = createEmailKeys(process.env.EMAIL_ENCRYPTION_KEY);
     }
-  }
-}, 3600000);
+} catch (err) {
+    console.error(`${err.message}. The email collection is disabled.`);
+    surveyDefinition = {
+        ...surveyDefinition,
+        pages: surveyDefinition.pages.map(page => {
+            if (page.type !== 'end') return page;
+            const { email, ...endPage } = page;
+            return endPage;
+        })
+    };
+}
 
 /**
  * Setup of the database connection.
  * 
  * - Establishes a connection to the postgreSQL database, using the DATABASE_URL from the 
- *   environment variables. 
- * - Tests the connection to the database. 
+ *   environment variables (see lib/db.js). 
+ * - The database schema is created and updated by the migrations when the server starts 
+ *   (see Start the server). 
  */
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false }
-});
+const pool = createPool();
 
-pool.connect((err, client, release) => {
-    if (err) {
-        return console.error('Error when connecting with the database:', err.stack);
-    }
-    console.log('Successfully connected with the database');
-    release();
-});
+/**
+ * Setup of the storage for sent messages and messages in progress to avoid duplicates. 
+ * 
+ * - Creates the deduplication store selected by the DEDUP_STORE environment variable (see 
+ *   lib/dedup-stores): 'postgres' (default if a DATABASE_URL is set) keeps the entries in the 
+ *   database, so that the protection works across restarts and several server instances, 
+ *   'memory' (default otherwise) keeps them in the server process. 
+ * - Stops the server if the name of the store is unknown. 
+ */
+let dedupStore;
+try {
+    dedupStore = createDedupStore(process.env.DEDUP_STORE || (process.env.DATABASE_URL ? 'postgres' : 'memory'), pool);
+    console.log(`Using deduplication store: ${dedupStore.name}`);
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+/**
+ * Setup of the participant session. 
+ * 
+ * - The participant id, the treatment group and the conversation id are kept in a signed, 
+ *   HttpOnly cookie (see lib/session.js), signed with the SESSION_SECRET from the environment 
+ *   variables. 
+ */
+const sessions = createSessionManager(process.env.SESSION_SECRET);
+
+/**
+ * Middleware restricting an endpoint to participants with a valid session. 
+ * 
+ * - Responds with 401 if the request has no valid session cookie. 
+ * - Responds with 403 if the participantId, treatmentGroup or conversationId sent by the 
+ *   client (in the request body, or in the query parameters for GET requests) differs from 
+ *   the value in the session. 
+ * - Provides the session as req.session. 
+ * 
+ * @param {object} req - The request. 
+ * @param {object} res - The response. 
+ * @param {function} next - The next handler. 
+ * @returns {void}
+ */
+function requireSession(req, res, next) {
+  const session = sessions.read(req);
+  if (!session) {
+    return res.status(401).json({ error: 'No valid session.' });
+  }
+  const sent = req.method === 'GET' ? req.query : req.body;
+  const mismatch = ['participantId', 'treatmentGroup', 'conversationId'].some(field => 
+    sent[field] !== undefined && sent[field] !== null && String(sent[field]) !== String(session[field])
+  );
+  if (mismatch) {
+    return res.status(403).json({ error: 'The request does not match the session.' });
+  }
+  req.session = session;
+  next();
+}
 
 /**
- * Setup of the botframework api.
+ * Setup of the rate limits of the chatbot-related endpoints, the telemetry endpoint and the 
+ * resume-related endpoints. 
  * 
- * - Loads the DIRECT_LINE_SECRET from the environment variables, acting as key for the api. 
- * - Creates the base url for the botframework direct line api. 
+ * - Limits the number of conversations started and messages sent per participant session 
+ *   and per ip address (see conversationLimits and messageLimits and lib/rate-limit.js). 
+ * - Limits the number of telemetry batches per participant session (see telemetryLimits). 
+ * - Limits the number of progress updates per participant session and the number of resume 
+ *   attempts per ip address, so that resume codes cannot be guessed (see progressLimits and 
+ *   resumeLimits). 
  */
-const DIRECT_LINE_SECRET = process.env.DIRECT_LINE_SECRET;
-if (!DIRECT_LINE_SECRET) {
-    console.error("DIRECT_LINE_SECRET not set in environment variables");
+const rateLimiters = {
+  conversationsPerSession: createRateLimiter({ max: conversationLimits.perSession, windowMs: conversationLimits.windowMs }),
+  conversationsPerIp: createRateLimiter({ max: conversationLimits.perIp, windowMs: conversationLimits.windowMs }),
+  messagesPerSession: createRateLimiter({ max: messageLimits.perSession, windowMs: messageLimits.windowMs }),
+  messagesPerIp: createRateLimiter({ max: messageLimits.perIp, windowMs: messageLimits.windowMs }),
+  telemetryPerSession: createRateLimiter({ max: telemetryLimits.perSession, windowMs: telemetryLimits.windowMs }),
+  progressPerSession: createRateLimiter({ max: progressLimits.perSession, windowMs: progressLimits.windowMs }),
+  resumePerIp: createRateLimiter({ max: resumeLimits.perIp, windowMs: resumeLimits.windowMs })
+};
+
+/**
+ * Setup of the chatbot api.
+ * 
+ * - Creates the bot adapter selected by the BOT_ADAPTER environment variable (see 
+ *   lib/bot-adapters): 'directline' (default) uses the botframework direct line api with the 
+ *   DIRECT_LINE_SECRET as key, 'mock' uses a scripted local mock bot for offline runs. 
+ * - Stops the server if the bot adapter cannot be created (e.g. DIRECT_LINE_SECRET is missing). 
+ */
+let botAdapter;
+try {
+    botAdapter = createBotAdapter(process.env.BOT_ADAPTER || 'directline');
+    console.log(`Using bot adapter: ${botAdapter.name}`);
+} catch (err) {
+    console.error(err.message);
     process.exit(1);
 }
-const DIRECT_LINE_BASE = "https://europe.directline.botframework.com/v3/directline";
 
 /**************************************************************************
  * Generation of metadata
@@ -107,15 +319,20 @@ const DIRECT_LINE_BASE = "https://europe.directline.botframework.com/v3/directli
  * Generates a unique participant id.
  * 
  * - Generates a participant id using the createParticipantId function and checks whether the
- *   generated id already exists in the database. If this is the case, repeats this procedure
- *   until a unique id is generated. 
+ *   generated id already exists in the database (among the submitted responses and the 
+ *   treatment assignments). If this is the case, repeats this procedure until a unique id 
+ *   is generated. 
  * 
  * @returns {string} A unique participant id. 
  */
 async function generateUniqueParticipantId() {
     while (true) {
         const id = createParticipantId();
-        const result = await pool.query('SELECT participant_id FROM survey_responses WHERE participant_id = $1', [id]);
+        const result = await pool.query(
+          `SELECT participant_id FROM survey_responses WHERE participant_id = $1
+           UNION SELECT participant_id FROM treatment_assignments WHERE participant_id = $1`,
+          [id]
+        );
         if (result.rows.length === 0) {
             return id;
         }
@@ -155,18 +372,26 @@ function createParticipantId() {
 /**
  * Assigns a group to the client. 
  * 
- * - Creates the random variable treatment.
- * - If randomTreatment is true, assigns 0 or 1 randomly to this variable.
- * - Otherwise, assigns the treatmentFallback value to this variable. 
+ * - If randomTreatment is true, assigns one of the treatmentArms using the configured 
+ *   assignmentStrategy (see lib/assignment.js). The assignment is stored in the 
+ *   treatment_assignments table, which keeps the arms balanced across concurrent participants.
+ * - Otherwise, assigns the treatmentFallback value (the assignment is stored as well). 
  * 
- * @returns {number} A treatment group value. 
+ * @async
+ * @param {string} participantId - The participant id to be assigned. 
+ * @param {string|null} stratum - The stratum of the participant. 
+ * @returns {Promise<number|null>} A treatment group value, or null if all arm quotas are filled. 
  */
-function assignGroup() {
-  if (randomTreatment) {
-    return Math.random() < 0.5 ? 0 : 1;
-  } else {
-    return treatmentFallback;
-  }
+async function assignGroup(participantId, stratum) {
+  return assignTreatmentGroup(pool, {
+    randomTreatment,
+    treatmentFallback,
+    arms: treatmentArms,
+    strategy: assignmentStrategy,
+    strata: assignmentStrata,
+    blockMultiplier,
+    assignmentExpiryMinutes
+  }, participantId, stratum);
 }
 
 /**************************************************************************
@@ -176,152 +401,509 @@ function assignGroup() {
 /**
  * Provides the client with a participant id and a treatment group value. 
  * 
+ * - If the client already has a valid session, provides the participant id and treatment 
+ *   group of the session, so that a participant cannot obtain another treatment group. 
+ * - Otherwise, receives the optional stratum of the participant and the url parameters of 
+ *   the panel (see panelParameters) as query parameters, generates a participant id, 
+ *   registers the participant with the captured parameters (see lib/panel.js), assigns a 
+ *   treatment group and issues the session cookie. 
  * - Provides participant id and treatment group in json format. 
+ * - If the panel member has already participated (same panelIdParameter), responds with 
+ *   status 409 and the screen-out redirect. 
+ * - If the quotas of all treatment arms are filled, responds with status 409 and the 
+ *   over-quota redirect. 
  * 
  * @returns {object} json object with participant id and treatment group. 
  */
 app.get('/generateSurveyData', async (req, res) => {
+    const session = sessions.read(req);
+    if (session) {
+        return res.json({ participantId: session.participantId, treatmentGroup: session.treatmentGroup });
+    }
+    const parameters = parsePanelParameters(req.query, panelParameters);
+    let participantId;
+    let registered = false;
     try {
-        const participantId = await generateUniqueParticipantId();
-        const treatmentGroup = assignGroup();
+        participantId = await generateUniqueParticipantId();
+        if (Object.keys(parameters).length > 0) {
+          const panelId = panelIdParameter ? parameters[panelIdParameter] : null;
+          registered = await registerPanelParticipant(pool, participantId, panelId, parameters);
+          if (!registered) {
+            return res.status(409).json({
+              error: 'The panel member has already participated.',
+              duplicate: true,
+              redirect: buildPanelRedirect(panelRedirects.screenout, parameters)
+            });
+          }
+        }
+        const treatmentGroup = await assignGroup(participantId, req.query.stratum || null);
+        if (treatmentGroup === null) {
+          if (registered) await setPanelStatus(pool, participantId, 'overquota');
+          return res.status(409).json({
+            error: 'All treatment group quotas are filled.',
+            quotaFull: true,
+            redirect: buildPanelRedirect(panelRedirects.overquota, parameters)
+          });
+        }
+        sessions.write(req, res, { participantId, treatmentGroup, conversationId: null, createdAt: Date.now() });
         res.json({ 
           participantId: participantId, 
           treatmentGroup: treatmentGroup
          });
     } catch (error) {
         console.error('Error when generating participantId or treatmentGroup:', error);
+        if (registered) {
+          await removePanelParticipant(pool, participantId).catch(err => 
+            console.error('Error when removing the panel registration:', err.message));
+        }
         res.status(500).json({ error: 'Internal server error.' });
     }
 });
 
+/**
+ * Provides the client with the survey definition. 
+ * 
+ * - The client renders the survey pages based on this definition (see public/questionnaire.js). 
+ * - If the client has a valid session, the pages, questions and answer options are provided 
+ *   in the presentation order of the participant (see lib/randomization.js). The order is 
+ *   seeded with the participant id, so that it stays the same after a reload. 
+ * 
+ * @returns {object} json object with the survey definition. 
+ */
+app.get('/survey', (req, res) => {
+    const session = sessions.read(req);
+    res.json(session ? randomizeSurvey(surveyDefinition, session.participantId).definition : surveyDefinition);
+});
+
 /**
  * Receives the survey data submitted by the client and stores them in the database. 
  * 
- * - Receives the participantId, treatmentGroup, conversationLog by the client in json format. 
+ * - Takes the participantId and treatmentGroup from the session (see requireSession). 
  * - Receives the survey question answers by the client and join them in a json object 
- *   responseData. 
- * - Inserts the participantId, treatmentGrou, conversationLog and responseData into the 
- *   database.
+ *   responseData. If the survey definition contains a consent, responseData must contain 
+ *   the consentVersion of the current consent. 
+ * - Loads the conversation transcript recorded by the server (see recordRelayedActivities). 
+ *   A conversationLog sent by the client is only stored if the server has not recorded any 
+ *   activity for the participant. 
+ * - Inserts the participantId, treatmentGroup, conversation transcript, responseData and the 
+ *   url parameters of the panel (see lib/panel.js) into the database. If a response of the 
+ *   participant already exists (e.g. because the client repeated a submission whose response 
+ *   got lost), the submission is not stored again. 
+ * - Assesses the quality of the response (attention checks, time spent on the pages, 
+ *   straight-lining and the user messages of the chat, see lib/quality.js) and stores the 
+ *   quality score and flags next to the responseData. A participant who failed an attention 
+ *   check marked with "screenout" is screened out instead (status 409 with the screen-out 
+ *   redirect). 
+ * - Stores the presentation order of the survey shown to the participant (see 
+ *   lib/randomization.js). 
+ * - Sets the panel status of the participant to 'complete' and provides the completion 
+ *   redirect back to the panel (null if none is configured). A participant who has been 
+ *   screened out cannot submit the survey (status 409 with the screen-out redirect). 
  * 
  * @param {object} req - The survey data submitted by the client. 
+ * @returns {object} json object with the status of the submission and the redirect url. 
  */
-app.post('/submit', async (req, res) => {
-    const { participantId, treatmentGroup, conversationLog, ...responseData } = req.body;
-    if (!participantId || !treatmentGroup || !conversationLog) {
-      return res.status(400).json({ error: 'All fields are necessary.' });
+app.post('/submit', requireSession, async (req, res) => {
+    const { participantId, treatmentGroup } = req.session;
+    const { conversationLog, ...responseData } = req.body;
+    delete responseData.participantId;   // The values of the session are stored instead.
+    delete responseData.treatmentGroup;
+    const consentVersion = getConsentVersion(surveyDefinition);
+    if (consentVersion && responseData.consentVersion !== consentVersion) {
+      return res.status(400).json({ error: 'Consent is necessary.' });
     }
 
     try {
+      const panel = await getPanelParticipant(pool, participantId);
+      const parameters = panel ? panel.parameters : {};
+      if (panel && panel.status === 'screenout') {
+        return res.status(409).json({
+          error: 'The participant has been screened out.',
+          redirect: buildPanelRedirect(panelRedirects.screenout, parameters)
+        });
+      }
+      const redirect = buildPanelRedirect(panelRedirects.complete, parameters);
+      const existing = await pool.query('SELECT 1 FROM survey_responses WHERE participant_id = $1', [participantId]);
+      if (existing.rows.length > 0) {
+        return res.json({ status: 'duplicate', redirect });
+      }
+      const transcript = await getTranscript(pool, participantId);
+      let storedLog = JSON.stringify(transcript);
+      if (transcript.length === 0 && conversationLog) {
+        console.warn(`No server-side transcript for ${participantId}, storing the client conversationLog.`);
+        storedLog = typeof conversationLog === 'string' ? conversationLog : JSON.stringify(conversationLog);
+      }
+      const events = await getTelemetryEvents(pool, participantId, ['page_time', 'message_sent']);
+      const quality = assessQuality(surveyDefinition, responseData, transcript, events);
+      if (quality.flags.some(flag => flag.screenout)) {
+        await setPanelStatus(pool, participantId, 'screenout');
+        return res.status(409).json({
+          error: 'The participant has been screened out.',
+          redirect: buildPanelRedirect(panelRedirects.screenout, parameters)
+        });
+      }
+      const { order } = randomizeSurvey(surveyDefinition, participantId);
       const query = `
-      INSERT INTO survey_responses (participant_id, treatment_group, response_data, conversation_log)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO survey_responses 
+        (participant_id, treatment_group, response_data, conversation_log, panel_parameters, quality_score, quality_flags, 
+         presentation_order)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
     `;
-    const values = [participantId, treatmentGroup, JSON.stringify(responseData), conversationLog];
+    const values = [
+      participantId, treatmentGroup, JSON.stringify(responseData), storedLog, 
+      panel ? JSON.stringify(parameters) : null, quality.score, JSON.stringify(quality.flags), JSON.stringify(order)
+    ];
     await pool.query(query, values);
-    res.sendStatus(200);
+    if (panel) await setPanelStatus(pool, participantId, 'complete');
+    res.json({ status: 'stored', redirect });
     } catch (error) {
         console.error('Error with inserting the data:', error);
         res.status(500).json({ error: 'Internal server error.' });
     }
 });
 
+/**
+ * Screens out a participant. 
+ * 
+ * - Called by the client when the participant has chosen an answer option which excludes 
+ *   the participant from the study (see screenout options in lib/survey.js). 
+ * - Takes the participantId from the session and sets the panel status of the participant to 
+ *   'screenout', so that the participant cannot submit the survey afterwards. 
+ * - Provides the screen-out redirect back to the panel (null if none is configured). 
+ * 
+ * @param {object} req - The request with the session cookie. 
+ * @returns {object} json object with the redirect url. 
+ */
+app.post('/screenout', requireSession, async (req, res) => {
+  const { participantId } = req.session;
+  try {
+    const panel = await getPanelParticipant(pool, participantId);
+    await setPanelStatus(pool, participantId, 'screenout');
+    res.json({ redirect: buildPanelRedirect(panelRedirects.screenout, panel ? panel.parameters : {}) });
+  } catch (error) {
+    console.error('Error when screening out the participant:', error.message);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
 /**
  * Receives the email submitted by the client and stores it in the database. 
  * 
- * - Receives the email by the client. 
- * - Inserts the email in a separate table. 
+ * - Requires a valid session, but does not use any value of the session. 
+ * - Accepts only an email and a purpose. The purpose must be the purpose of the email 
+ *   collection in the survey definition. 
+ * - Validates the format of the email. 
+ * - Stores the email encrypted and without the participant id (see lib/emails.js), so that 
+ *   it cannot be linked to the survey response. The email is never logged. 
  * 
- * @param {object} req - The email submitted by the client. 
+ * @param {object} req - The email and the purpose submitted by the client. 
  */
-app.post('/submit-email', async (req, res) => {
-  const { email } = req.body;
-  if (!email) {
-    return res.status(400).json({ error: 'Email is required.' });
+app.post('/submit-email', requireSession, async (req, res) => {
+  const emailCollection = getEmailCollection(surveyDefinition);
+  if (!emailCollection) {
+    return res.status(404).json({ error: 'Email collection is disabled.' });
+  }
+  const { email, purpose } = req.body;
+  if (typeof email !== 'string' || !isValidEmail(normalizeEmail(email))) {
+    return res.status(400).json({ error: 'A valid email is required.' });
+  }
+  if (purpose !== emailCollection.purpose) {
+    return res.status(400).json({ error: 'Unknown purpose.' });
   }
 
   try {
-    const query = `
-      INSERT INTO emails (email_address)
-      VALUES ($1)
-    `;
-    const values = [email];
-    await pool.query(query, values);  //TODO: Zum Testen ohne Daten abschicken auskommentieren
-
+    await storeEmail(pool, emailKeys, normalizeEmail(email), purpose);
     return res.sendStatus(200);
   } catch (error) {
-    console.error('Error saving email:', error);
+    console.error('Error saving email:', error.message);
     return res.status(500).json({ error: 'Internal server error.' });
   }
 });
 
+/**
+ * Receives a batch of telemetry events from the client and stores them in the database. 
+ * 
+ * - Requires a valid session. The participant id is taken from the session. 
+ * - Accepts the events as json body {events} (also when sent with navigator.sendBeacon() 
+ *   when the page is hidden or closed). 
+ * - Skips invalid events and events which have already been stored (see lib/telemetry.js). 
+ * 
+ * @param {object} req - The telemetry events submitted by the client. 
+ */
+app.post('/telemetry', requireSession, async (req, res) => {
+  const { participantId } = req.session;
+  if (rejectIfLimited(res, [
+    { limiter: rateLimiters.telemetryPerSession, key: participantId }
+  ])) return;
+
+  let events;
+  try {
+    events = parseTelemetryEvents(req.body.events);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    await recordTelemetry(pool, participantId, events);
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('Error when storing the telemetry events:', err.message);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**************************************************************************
+ * Resume-related endpoints
+ **************************************************************************/
+
+/**
+ * Provides the client with a resume code for the participation. 
+ * 
+ * - Only available if the survey definition contains the resume option (see lib/survey.js). 
+ * - Takes the participantId from the session and creates a new resume code (see 
+ *   lib/progress.js). From then on, the progress of the participant is stored (see 
+ *   /progress). A previous code of the participant becomes invalid. 
+ * 
+ * @param {object} req - The request with the session cookie. 
+ * @returns {object} json object with the resume code. 
+ */
+app.post('/resume-code', requireSession, async (req, res) => {
+  if (!getResumeOption(surveyDefinition)) {
+    return res.status(404).json({ error: 'Resuming is disabled.' });
+  }
+  try {
+    const code = await createResumeCode(pool, req.session.participantId);
+    res.json({ code });
+  } catch (err) {
+    console.error('Error when creating the resume code:', err.message);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * Receives the progress of the participation from the client and stores it in the database. 
+ * 
+ * - Only available if the survey definition contains the resume option. 
+ * - Takes the participantId and the conversationId (the conversation pointer) from the 
+ *   session and receives the current page, the visited pages, the answers and whether the 
+ *   final dialogue state has been reached from the client (see lib/progress.js). 
+ * - The progress is only stored if the participant has requested a resume code. 
+ * 
+ * @param {object} req - The progress submitted by the client. 
+ */
+app.post('/progress', requireSession, async (req, res) => {
+  if (!getResumeOption(surveyDefinition)) {
+    return res.status(404).json({ error: 'Resuming is disabled.' });
+  }
+  const { participantId, conversationId } = req.session;
+  if (rejectIfLimited(res, [
+    { limiter: rateLimiters.progressPerSession, key: participantId }
+  ])) return;
+
+  let progress;
+  try {
+    progress = parseProgress(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const stored = await saveProgress(pool, participantId, conversationId, progress);
+    res.json({ stored });
+  } catch (err) {
+    console.error('Error when storing the progress:', err.message);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * Resumes a participation with a resume code. 
+ * 
+ * - Only available if the survey definition contains the resume option. Does not require a 
+ *   session, because the participant may use another device or browser. 
+ * - Responds with 404 if the code is unknown or expired and with 409 if the participant has 
+ *   already submitted the survey. Responds with 429 if the ip address has made too many 
+ *   attempts (see resumeLimits). 
+ * - Otherwise, issues the session cookie of the participant (with the stored conversation 
+ *   pointer) and provides the participant id, the treatment group, the typing simulation of 
+ *   the treatment group, the stored progress and the messages of the conversation, from 
+ *   which the client rebuilds the survey and the chat. 
+ * 
+ * @param {object} req - The resume code submitted by the client. 
+ * @returns {object} json object with the stored state of the participation. 
+ */
+app.post('/resume', async (req, res) => {
+  if (!getResumeOption(surveyDefinition)) {
+    return res.status(404).json({ error: 'Resuming is disabled.' });
+  }
+  if (rejectIfLimited(res, [
+    { limiter: rateLimiters.resumePerIp, key: req.ip }
+  ])) return;
+  const { code } = req.body;
+  if (typeof code !== 'string' || code.length > 32) {
+    return res.status(400).json({ error: 'A resume code is required.' });
+  }
+
+  try {
+    const stored = await loadProgressByResumeCode(pool, code);
+    if (!stored) {
+      return res.status(404).json({ error: 'Unknown or expired resume code.' });
+    }
+    if (stored.submitted) {
+      return res.status(409).json({ error: 'The survey has already been submitted.' });
+    }
+    const { participantId, treatmentGroup, conversationId, progress, messages } = stored;
+    sessions.write(req, res, { participantId, treatmentGroup, conversationId, createdAt: Date.now() });
+    res.json({
+      participantId,
+      treatmentGroup,
+      conversationId,
+      typing: getTypingConfig(treatmentGroup),
+      progress,
+      messages
+    });
+  } catch (err) {
+    console.error('Error when resuming the participation:', err.message);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
 /**************************************************************************
  * Chatbot-related endpoints
  **************************************************************************/
 
 /**
- * Endpoint to start a new conversation with the chatbot via the botframework direct line api. 
+ * Records activities relayed between the client and the chatbot in the database. 
+ * 
+ * - Stores the activities in the conversation_activities table (see lib/transcript.js). 
+ * - Errors are only logged, so that a database problem does not interrupt the conversation. 
+ * 
+ * @async
+ * @param {string} participantId - The participant id of the conversation. 
+ * @param {string} conversationId - The conversation id. 
+ * @param {object[]} activities - The relayed activities. 
+ * @returns {Promise<void>}
+ */
+async function recordRelayedActivities(participantId, conversationId, activities) {
+  if (!participantId || !activities || activities.length === 0) return;
+  try {
+    await recordActivities(pool, participantId, conversationId, activities);
+  } catch (err) {
+    console.error('Error when recording the activities:', err);
+  }
+}
+
+/**
+ * Setup of the activity stream. 
+ * 
+ * - Polls the conversations with connected clients on the bot adapter and records every 
+ *   new batch of activities in the server-side transcript (see lib/activity-stream.js). 
+ */
+const activityStream = createActivityStream(botAdapter, recordRelayedActivities);
+
+/**
+ * Setup of the conversation ownership. 
+ * 
+ * - Every conversation belongs to the participant who started it (see lib/conversations.js). 
+ */
+const conversations = createConversationRegistry(pool);
+
+/**
+ * Middleware restricting a chatbot-related endpoint to the owner of the conversation. 
+ * 
+ * - Is used after requireSession and takes the conversationId and participantId values 
+ *   from the session. 
+ * - Responds with 403 if the session has no conversation or the conversation has not been 
+ *   started by this participant. 
+ * 
+ * @async
+ * @param {object} req - The request. 
+ * @param {object} res - The response. 
+ * @param {function} next - The next handler. 
+ * @returns {Promise<void>}
+ */
+async function requireConversationOwner(req, res, next) {
+  const { conversationId, participantId } = req.session;
+  try {
+    if (await conversations.isOwner(conversationId, participantId)) {
+      return next();
+    }
+    res.status(403).json({ error: 'The conversation does not belong to this participant.' });
+  } catch (err) {
+    console.error('Error when checking the conversation owner:', err);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+}
+
+/**
+ * Endpoint to start a new conversation with the chatbot via the bot adapter. 
  * 
  * - Starts a new conversation with the chatbot.
- * - Sends a conversationUpdate to the chatbot to inform the chatbot that the user has joined 
- *   the conversation and to inform the chatbot about the user's treatment group value. 
+ * - The bot adapter informs the chatbot that the user has joined the conversation and 
+ *   about the user's treatment group value. 
+ * - Takes the participantId and treatmentGroup values from the session. 
+ * - Registers the participant as owner of the conversation and stores the conversation id 
+ *   in the session. All other chatbot-related endpoints only accept requests for this 
+ *   conversation. 
+ * - Provides the typing simulation of the treatment group (see typingSimulation). 
+ * - Responds with 429 if the session or the ip address has started too many conversations 
+ *   (see conversationLimits). 
  * 
- * @param {object} req - An object with the client's treatment group value.
- * @returns {object} json object with the conversation id. 
+ * @param {object} req - The request with the session cookie.
+ * @returns {object} json object with the conversation id and the typing simulation. 
  */
-app.post('/startconversation', async (req, res) => {
-  const { treatmentGroup } = req.body; 
+app.post('/startconversation', requireSession, async (req, res) => {
+  const { treatmentGroup, participantId } = req.session; 
+  if (rejectIfLimited(res, [
+    { limiter: rateLimiters.conversationsPerSession, key: participantId },
+    { limiter: rateLimiters.conversationsPerIp, key: req.ip }
+  ])) return;
+
   try {
-    const response = await axios.post(`${DIRECT_LINE_BASE}/conversations`, {}, {
-      headers: {
-        'Authorization': `Bearer ${DIRECT_LINE_SECRET}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    const data = response.data;
-    const activity = {
-      type: "conversationUpdate",
-      membersAdded: [{ id: "user1" }],
-      from: { id: "Test_Chatbot_1" },
-      channelData: { treatmentGroup: treatmentGroup }
-    };
-    await axios.post(`${DIRECT_LINE_BASE}/conversations/${data.conversationId}/activities`, activity, {
-      headers: {
-        'Authorization': `Bearer ${DIRECT_LINE_SECRET}`,
-        'Content-Type': 'application/json'
-      }
+    const data = await botAdapter.startConversation(treatmentGroup);
+    await conversations.register(data.conversationId, participantId, treatmentGroup);
+    sessions.write(req, res, { ...req.session, conversationId: data.conversationId });
+    res.json({
+      conversationId: data.conversationId,
+      typing: getTypingConfig(treatmentGroup)
     });
-    res.json(data);
   } catch (err) {
     console.error("Error when starting the conversation:", err);
     res.status(500).json({ error: "Error when starting the conversation", details: err.toString() });
   }
 });
 
+/**
+ * Returns the typing simulation of a treatment group (see typingSimulation). 
+ * 
+ * @param {number} treatmentGroup - The treatment group. 
+ * @returns {object} The typing simulation, completed with the values of the 'default' entry. 
+ */
+function getTypingConfig(treatmentGroup) {
+  return { ...typingSimulation.default, ...typingSimulation[treatmentGroup] };
+}
+
 /**
  * Endpoint to retrieve new activities from the chatbot. 
  * 
- * - Receives the conversationId, watermark and treatmentGroup values from the client. 
- * - Retrieves new activities in the conversation. The watermark value is added to the 
- *   retrieval url to only receive new activities since the last retrieval. 
+ * - Takes the conversationId, treatmentGroup and participantId values from the session and 
+ *   receives the watermark from the client. 
+ * - Only the owner of the conversation can retrieve its activities. 
+ * - Retrieves new activities in the conversation via the bot adapter. The watermark value 
+ *   is passed to only receive new activities since the last retrieval. 
+ * - Records the new activities in the server-side transcript. 
  * - Provides the client with the new activities. 
  * 
- * @param {object} req - An object with the conversationId, watermark and treatment group 
- * values. 
+ * @param {object} req - An object with the conversationId, watermark, treatment group and 
+ * participantId values. 
  * @returns {object} json object with the new activities since the last activity retrieval. 
  */
-app.post('/getactivities', async (req, res) => {
-  const { conversationId, watermark, treatmentGroup } = req.body;
-  let url = `${DIRECT_LINE_BASE}/conversations/${conversationId}/activities`;
-  if (watermark) {
-    url += `?watermark=${watermark}`;
-  }
+app.post('/getactivities', requireSession, requireConversationOwner, async (req, res) => {
+  const { conversationId, treatmentGroup, participantId } = req.session;
+  const { watermark } = req.body;
   try {
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${DIRECT_LINE_SECRET}`
-      }
-    });
-    const data = response.data;
+    const data = await botAdapter.getActivities(conversationId, watermark);
+    await recordRelayedActivities(participantId, conversationId, data.activities);
     data.treatmentGroup = treatmentGroup;
     res.json(data);
   } catch (err) {
@@ -330,72 +912,207 @@ app.post('/getactivities', async (req, res) => {
   }
 });
 
+/**
+ * Endpoint to push new activities from the chatbot to the client (server-sent events). 
+ * 
+ * - Takes the conversationId and participantId values from the session and receives the 
+ *   watermark from the client as query parameter. When the browser reconnects, the 
+ *   watermark of the last received event is taken from the Last-Event-ID header instead. 
+ * - Keeps the connection open and sends every batch of new activities as "activities" 
+ *   event with the new activities and the watermark. The event id is the watermark. 
+ * - Sends a comment every 15 seconds, so that proxies do not close the idle connection. 
+ * - Only the owner of the conversation can open the stream. 
+ * - The endpoint /getactivities remains available for clients without server-sent events. 
+ * 
+ * @param {object} req - The request with the conversationId, watermark and participantId 
+ * query parameters. 
+ */
+app.get('/activitystream', requireSession, requireConversationOwner, (req, res) => {
+  const { conversationId, participantId } = req.session;
+  const watermark = req.get('Last-Event-ID') || req.query.watermark || null;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 2000\n\n');
+
+  const unsubscribe = activityStream.subscribe(conversationId, participantId, watermark, data => {
+    res.write(`id: ${data.watermark}\nevent: activities\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 /**
  * Endpoint to send a user message to the chatbot. 
  * 
- * - Receives the conversationId, the user message and the treatmentGroup value from
- *   the client. 
- * - Adds the new user message to the conversation via the direct line api. 
- * - Generates a messageKey and saves it in the in-memory storage. Before adding a 
- * new message to the conversation, checks whether this message is not already 
- * existing in the in-memory storage (if this is the case, returns an empty json).
+ * - Takes the conversationId, the treatmentGroup value and the participantId from the 
+ *   session and receives the user message from the client. 
+ * - The input type of the message ('text' if typed, 'button' if sent by clicking a suggested 
+ *   action or a card button, 'card' if an Adaptive Card has been submitted) is passed to the 
+ *   chatbot in the channel data and recorded in the transcript. 
+ * - The clientSideMsgId of the message is passed in the channel data as well, so that the 
+ *   client can link the echo of the message in the activities to the displayed message. 
+ * - A submitted Adaptive Card is sent as message with a value payload (a json object) and 
+ *   without text. 
+ * - Only the owner of the conversation can send messages to it. 
+ * - Adds the new user message to the conversation via the bot adapter and records it in 
+ *   the server-side transcript. 
+ * - Requires the clientSideMsgId of the message (a non-empty string of at most 
+ *   maxClientSideMsgIdLength characters), otherwise responds with 400. 
+ * - Generates a messageKey from the conversationId and the clientSideMsgId and claims it in 
+ *   the deduplication store before adding the new message to the conversation. If the 
+ *   message has already been sent, returns its id with 
+ *   the status "duplicate"; if it is currently being sent, returns the status "in_progress". 
+ *   After sending, the message is marked as sent; if sending fails, the claim is released.
+ * - Responds with 413 if the message is longer than maxMessageLength and with 429 if the 
+ *   session or the ip address has sent too many messages (see messageLimits). Repeated 
+ *   requests for the same message are not counted. 
  * 
  * @param {object} req - An object with the conversationId, the user message and the 
  * treatment group value. 
  * @returns {object} json object with the conversation id.
  */
-app.post('/sendmessage', async (req, res) => {
-  const { conversationId, text, treatmentGroup, clientSideMsgId } = req.body;
+app.post('/sendmessage', requireSession, requireConversationOwner, async (req, res) => {
+  const { conversationId, treatmentGroup, participantId } = req.session;
+  const { text = '', clientSideMsgId, inputType = 'text', value } = req.body;
   const messageKey = `${conversationId}::${clientSideMsgId}`;
 
-  if (processedMessages.has(messageKey)) {
-    const storedEntry = processedMessages.get(messageKey);
-    return res.json({ status: "duplicate", id: storedEntry.id });
+  if (typeof clientSideMsgId !== 'string' || !clientSideMsgId ||
+      clientSideMsgId.length > maxClientSideMsgIdLength) {
+    return res.status(400).json({ error: 'A valid clientSideMsgId is required.' });
+  }
+  if (typeof text !== 'string' || (!text.trim() && value === undefined)) {
+    return res.status(400).json({ error: 'text or value is required.' });
+  }
+  if (text.length > maxMessageLength) {
+    return res.status(413).json({ error: 'Message too long.', maxLength: maxMessageLength });
+  }
+  if (!['text', 'button', 'card'].includes(inputType)) {
+    return res.status(400).json({ error: 'Unknown input type.' });
+  }
+  if (value !== undefined && (value === null || typeof value !== 'object' || Array.isArray(value) ||
+      JSON.stringify(value).length > maxValueLength)) {
+    return res.status(400).json({ error: 'Invalid value.' });
   }
 
-  if (inProgressMessages.has(messageKey)) {
+  let claim;
+  try {
+    claim = await dedupStore.begin(messageKey);
+  } catch (err) {
+    console.error("Error when checking the message for duplicates:", err);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+  if (claim.status === 'duplicate') {
+    return res.json({ status: "duplicate", id: claim.id });
+  }
+  if (claim.status === 'in_progress') {
     return res.json({ status: "in_progress" });
   }
 
-  inProgressMessages.set(messageKey, true);
+  if (rejectIfLimited(res, [
+    { limiter: rateLimiters.messagesPerSession, key: participantId },
+    { limiter: rateLimiters.messagesPerIp, key: req.ip }
+  ])) {
+    return releaseMessageKey(messageKey);
+  }
 
   const activity = {
     type: "message",
     from: { id: "user1" },
-    text,
-    channelData: { treatmentGroup: treatmentGroup }
+    ...(text ? { text } : {}),
+    ...(value !== undefined ? { value } : {}),
+    channelData: { treatmentGroup: treatmentGroup, inputType, clientSideMsgId }
   };
 
   try {
-    const response = await axios.post(`${DIRECT_LINE_BASE}/conversations/${conversationId}/activities`, activity, {
-      headers: {
-        'Authorization': `Bearer ${DIRECT_LINE_SECRET}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    const data = await botAdapter.sendActivity(conversationId, activity);
+    await recordRelayedActivities(participantId, conversationId, [
+      { ...activity, id: data.id, timestamp: new Date().toISOString() }
+    ]);
 
-    processedMessages.set(messageKey, { timestamp: Date.now(), id: response.data.id });
-    inProgressMessages.delete(messageKey);
-    res.json(response.data);
+    await dedupStore.complete(messageKey, data.id).catch(err => {
+      console.error("Error when marking the message as sent:", err);
+    });
+    res.json(data);
 
   } catch (err) {
     console.error("Error when sending the message:", err);
-    inProgressMessages.delete(messageKey);
+    await releaseMessageKey(messageKey);
     res.status(500).json({ error: "Error when sending the message", details: err.toString() });
   }
 });
 
+/**
+ * Releases the claim of a message key which has not been sent in the deduplication store. 
+ * 
+ * - Errors are only logged. A claim which cannot be released expires after the inProgressTtl 
+ *   of the store (see lib/dedup-stores). 
+ * 
+ * @async
+ * @param {string} messageKey - The message key. 
+ * @returns {Promise<void>}
+ */
+async function releaseMessageKey(messageKey) {
+  try {
+    await dedupStore.release(messageKey);
+  } catch (err) {
+    console.error("Error when releasing the message:", err);
+  }
+}
+
+/**************************************************************************
+ * Researcher area
+ **************************************************************************/
+
+/**
+ * Provides the password-protected researcher area with the study statistics, the participant 
+ * list, the transcripts, the data export and the export and deletion of the collected email 
+ * addresses (see lib/admin.js, lib/export.js and lib/emails.js). The password is set by the 
+ * ADMIN_PASSWORD environment variable; without it, the researcher area is disabled. 
+ */
+app.use('/admin', createAdminRouter(pool, surveyDefinition, emailKeys));
+
 /**************************************************************************
  * Start the server
  **************************************************************************/
 
 /**
- * Determines the port on which the server is running and starts the server. 
+ * Applies the pending database migrations and starts the server. 
  * 
+ * - Applies the migrations from the migrations directory (see lib/migrations.js), unless 
+ *   AUTO_MIGRATE is set to 'false' (then run "npm run migrate" before starting the server). 
+ *   If a migration fails, the server is not started. If the database cannot be reached, 
+ *   the server is started anyway, so that the survey pages remain available. 
  * - When the server is running locally, the default port is 3000. Otherwise, the 
  *   port is automatically assigned based on the environment variables. 
  */
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
+async function startServer() {
+    if (process.env.AUTO_MIGRATE !== 'false') {
+        try {
+            await runMigrations(pool);
+            console.log('Successfully connected with the database');
+        } catch (err) {
+            if (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND') {
+                console.error('Error when connecting with the database:', err.message);
+            } else {
+                console.error(err.message);
+                process.exit(1);
+            }
+        }
+    }
+
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+    });
+}
+
+startServer();
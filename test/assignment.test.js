@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Unit tests of the treatment group assignment (lib/assignment.js). The
+ * database is replaced by a client which answers the queries of the module from a list of
+ * stored assignments.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assignTreatmentGroup } = require('../lib/assignment');
+
+/**
+ * Creates a database pool answering the queries of lib/assignment.js.
+ *
+ * - counted: the assignments which count towards the quotas and block slots (the module
+ *   filters them in sql, so the fake pool returns them directly).
+ * - Records the parameters of all queries and the inserted assignments.
+ *
+ * @param {Array<{treatment_group: number, stratum: string, block_index: number}>} counted -
+ * The counted assignments.
+ * @returns {object} The pool with the recorded queries and inserts.
+ */
+function createPool(counted = []) {
+  const pool = { queries: [], inserts: [] };
+  const client = {
+    async query(sql, params = []) {
+      pool.queries.push({ sql, params });
+      if (sql.startsWith('INSERT')) {
+        pool.inserts.push(params);
+      } else if (sql.includes('MAX(block_index)')) {
+        const indexes = counted.filter(row => row.stratum === params[0]).map(row => row.block_index);
+        return { rows: [{ index: Math.max(0, ...indexes) }] };
+      } else if (sql.includes('GROUP BY')) {
+        const rows = sql.includes('a.stratum = $2')
+          ? counted.filter(row => row.stratum === params[1] && row.block_index === params[2])
+          : counted;
+        const counts = {};
+        rows.forEach(row => { counts[row.treatment_group] = (counts[row.treatment_group] || 0) + 1; });
+        return { rows: Object.entries(counts).map(([group, n]) => ({ treatment_group: Number(group), n })) };
+      }
+      return { rows: [] };
+    },
+    release() {}
+  };
+  pool.connect = async () => client;
+  return pool;
+}
+
+const config = {
+  randomTreatment: true,
+  treatmentFallback: 0,
+  arms: [{ value: 0, ratio: 1, quota: 2 }, { value: 1, ratio: 1, quota: 2 }],
+  strategy: 'stratified',
+  strata: ['a', 'b'],
+  blockMultiplier: 1,
+  assignmentExpiryMinutes: 120
+};
+
+test('assigns the arm with the open slot of the current block', async () => {
+  const pool = createPool([{ treatment_group: 0, stratum: 'a', block_index: 0 }]);
+  assert.equal(await assignTreatmentGroup(pool, config, 'P1', 'a'), 1);
+  assert.deepEqual(pool.inserts[0], ['P1', 1, 'a', 0]);
+});
+
+test('assigns unknown strata to the default stratum', async () => {
+  const pool = createPool();
+  await assignTreatmentGroup(pool, config, 'P1', 'injected');
+  assert.equal(pool.inserts[0][2], '');
+});
+
+test('counts only submitted and recent assignments towards the quotas', async () => {
+  const pool = createPool();
+  await assignTreatmentGroup(pool, config, 'P1', 'a');
+  const quotaQuery = pool.queries.find(query => query.sql.includes('GROUP BY a.treatment_group') && !query.sql.includes('a.stratum'));
+  assert.match(quotaQuery.sql, /survey_responses/);
+  assert.deepEqual(quotaQuery.params, [120]);
+});
+
+test('returns null if the quotas of all arms are filled', async () => {
+  const pool = createPool([0, 0, 1, 1].map(group => ({ treatment_group: group, stratum: 'a', block_index: 0 })));
+  assert.equal(await assignTreatmentGroup(pool, config, 'P1', 'a'), null);
+  assert.equal(pool.inserts.length, 0);
+});
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Unit tests of the data export (lib/export.js): the csv, json lines and spss
+ * writers and the columns of the responses dataset.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createExport, toCsv, toJsonLines, toSpssSyntax } = require('../lib/export');
+
+const columns = [
+  { name: 'participant_id', label: 'Teilnehmer-ID', type: 'string' },
+  { name: 'satisfaction', label: 'Zufriedenheit "gesamt"', type: 'numeric', valueLabels: { 1: 'gar nicht', 2: 'sehr' } },
+  { name: 'comments', label: 'Kommentare', type: 'string' }
+];
+
+test('writes csv with quoted values', () => {
+  const csv = toCsv(columns, [['A1', 2, 'gut, "sehr" gut\nwirklich'], ['A2', null, undefined]]);
+  assert.equal(csv, 'participant_id,satisfaction,comments\r\nA1,2,"gut, ""sehr"" gut\nwirklich"\r\nA2,,\r\n');
+});
+
+test('neutralises text values which spreadsheets would run as formulas', () => {
+  const texts = ['=HYPERLINK("http://x")', '+1', '-2+3', '@SUM(A1)', '\tTab', '\rCR'];
+  const csv = toCsv([{ name: 'text' }], texts.map(text => [text]));
+  const cells = csv.split('\r\n').slice(1, -1);
+  assert.equal(cells[0], '"\'=HYPERLINK(""http://x"")"');
+  assert.deepEqual(cells.slice(1, 4), ["'+1", "'-2+3", "'@SUM(A1)"]);
+  assert.equal(cells[4], "'\tTab");
+  assert.equal(toCsv([{ name: 'n' }], [[-1]]), 'n\r\n-1\r\n');
+});
+
+test('writes json lines', () => {
+  assert.equal(toJsonLines(columns, [['A1', 2, undefined]]),
+    '{"participant_id":"A1","satisfaction":2,"comments":null}\n');
+  assert.equal(toJsonLines(columns, []), '');
+});
+
+test('writes spss syntax with data, variable labels and value labels', () => {
+  const syntax = toSpssSyntax(
+    [...columns, { name: '1st-answer', label: 'Erste', type: 'string' }, { name: '1st_answer', label: 'Zweite', type: 'string' }],
+    [['A1', 2, 'Zeile\neins "x"', 'ä', null]]
+  );
+  const lines = syntax.split('\n');
+  assert.ok(lines.includes('  participant_id (A2)'));
+  assert.ok(lines.includes('  satisfaction (F8.2)'));
+  assert.ok(lines.includes('  v1st_answer (A2)'));
+  assert.ok(lines.includes('  v1st_answer_2 (A1)'));
+  assert.ok(lines.includes('"A1",2,"Zeile eins ""x""","ä",""'));
+  assert.ok(lines.includes('  satisfaction "Zufriedenheit ""gesamt"""'));
+  assert.ok(lines.includes('  /satisfaction'));
+  assert.ok(lines.includes('    2 "sehr".'));
+  assert.equal(lines[lines.length - 2], 'EXECUTE.');
+});
+
+test('builds the responses dataset from the survey definition', async () => {
+  const definition = {
+    pages: [{
+      id: 'p1',
+      questions: [
+        { id: 'usage', type: 'multiple', text: 'Nutzung', options: [{ value: 'a', label: 'A' }, { value: 'b', label: 'B' }] },
+        { id: 'comment', type: 'text', text: 'Kommentar' }
+      ]
+    }]
+  };
+  const pool = {
+    query: async () => ({
+      rows: [{
+        participant_id: 'A1',
+        treatment_group: 1,
+        response_data: { usage: ['b'], comment: '=1+1', consentVersion: 'v1' },
+        panel_parameters: { PROLIFIC_PID: 'P1' },
+        quality_score: '0.85',
+        quality_flags: [{ type: 'too_fast' }],
+        presentation_order: null,
+        created_at: new Date('2026-01-01T00:00:00Z')
+      }]
+    })
+  };
+  const file = await createExport(pool, definition, {});
+  const [header, row] = file.body.split('\r\n');
+  assert.equal(header, 'participant_id,treatment_group,submitted_at,quality_score,quality_flags,page_order,' +
+    'panel_PROLIFIC_PID,usage_a,usage_b,comment,consentVersion');
+  assert.equal(row, "A1,1,2026-01-01T00:00:00.000Z,0.85,too_fast,,P1,0,1,'=1+1,v1");
+});
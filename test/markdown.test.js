@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Unit tests of the Markdown rendering of bot messages (public/markdown.js).
+ * The client script is executed in a jsdom window.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('', { runScripts: 'outside-only' });
+window.eval(fs.readFileSync(path.join(__dirname, '..', 'public', 'markdown.js'), 'utf8'));
+
+/**
+ * Renders a Markdown text and returns the resulting html.
+ *
+ * @param {string} text - The Markdown text.
+ * @returns {string} The html of the formatted text.
+ */
+function render(text) {
+  const container = window.document.createElement('div');
+  container.appendChild(window.renderMarkdown(text));
+  return container.innerHTML;
+}
+
+test('renders inline formatting, headings and lists', () => {
+  assert.equal(render('**fett** und *kursiv* mit `code`'),
+    '<p><strong>fett</strong> und <em>kursiv</em> mit <code>code</code></p>');
+  assert.equal(render('# Tarife\n- Basis\n- Plus\n\n1. Eins\n2) Zwei'),
+    '<p><strong>Tarife</strong></p><ul><li>Basis</li><li>Plus</li></ul><ol><li>Eins</li><li>Zwei</li></ol>');
+  assert.equal(render('Zeile eins\nZeile zwei'), '<p>Zeile eins<br>Zeile zwei</p>');
+  assert.equal(render('snake_case_name'), '<p>snake_case_name</p>');
+});
+
+test('displays html written by the bot as text', () => {
+  assert.equal(render('<img src=x onerror="alert(1)"> **<b>x</b>**'),
+    '<p>&lt;img src=x onerror="alert(1)"&gt; <strong>&lt;b&gt;x&lt;/b&gt;</strong></p>');
+  assert.equal(render('`<script>alert(1)</script>`'),
+    '<p><code>&lt;script&gt;alert(1)&lt;/script&gt;</code></p>');
+});
+
+test('renders only links with an allowed protocol', () => {
+  assert.equal(render('[Hilfe](https://example.com/hilfe?a=1&b=2)'),
+    '<p><a href="https://example.com/hilfe?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">Hilfe</a></p>');
+  assert.equal(render('Siehe https://example.com.'),
+    '<p>Siehe <a href="https://example.com/" target="_blank" rel="noopener noreferrer">https://example.com</a>.</p>');
+  assert.equal(render('[Klick](javascript:alert(1))'), '<p>[Klick](javascript:alert(1))</p>');
+  assert.equal(render('[Daten](data:text/html,x)'), '<p>[Daten](data:text/html,x)</p>');
+  assert.equal(render('[**Seite** https://a.example](https://b.example)'),
+    '<p><a href="https://b.example/" target="_blank" rel="noopener noreferrer"><strong>Seite</strong> https://a.example</a></p>');
+});
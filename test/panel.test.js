@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Unit tests of the panel integration (lib/panel.js): the captured url
+ * parameters, the redirects back to the panel and the registration of panel participants.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parsePanelParameters,
+  buildPanelRedirect,
+  registerPanelParticipant,
+  setPanelStatus
+} = require('../lib/panel');
+
+test('captures only configured, non-empty and short url parameters', () => {
+  const query = { PROLIFIC_PID: ' P1 ', STUDY_ID: '', SESSION_ID: 'x'.repeat(201), other: 'o', list: ['a', 'b'] };
+  assert.deepEqual(
+    parsePanelParameters(query, ['PROLIFIC_PID', 'STUDY_ID', 'SESSION_ID', 'list', 'missing']),
+    { PROLIFIC_PID: 'P1' }
+  );
+});
+
+test('builds redirects with url encoded parameters', () => {
+  assert.equal(
+    buildPanelRedirect('https://panel.example/end?pid={PROLIFIC_PID}&i={i}&code=complete', { PROLIFIC_PID: 'a&b c' }),
+    'https://panel.example/end?pid=a%26b%20c&i=&code=complete'
+  );
+  assert.equal(buildPanelRedirect(null, { PROLIFIC_PID: 'P1' }), null);
+});
+
+test('registers a panel id only once', async () => {
+  const panelIds = new Set();
+  const pool = {
+    query: async (sql, params) => {
+      if (panelIds.has(params[1])) return { rows: [] };
+      panelIds.add(params[1]);
+      return { rows: [{ participant_id: params[0] }] };
+    }
+  };
+  assert.equal(await registerPanelParticipant(pool, 'ID-1', 'P1', {}), true);
+  assert.equal(await registerPanelParticipant(pool, 'ID-2', 'P1', {}), false);
+});
+
+test('rejects unknown panel statuses', async () => {
+  const queries = [];
+  const pool = { query: async (sql, params) => { queries.push(params); return { rows: [] }; } };
+  await setPanelStatus(pool, 'ID-1', 'screenout');
+  await assert.rejects(setPanelStatus(pool, 'ID-1', 'finished'), /Unknown panel status/);
+  assert.deepEqual(queries, [['ID-1', 'screenout']]);
+});
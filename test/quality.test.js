@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Unit tests of the quality assessment of survey responses (lib/quality.js).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assessQuality, isGibberish } = require('../lib/quality');
+
+const definition = {
+  pages: [
+    {
+      id: 'p1',
+      minDuration: 10,
+      questions: [
+        { id: 'attention', type: 'likert', attentionCheck: { expected: 5 } },
+        {
+          id: 'trust',
+          type: 'matrix',
+          rows: [{ id: 'r1' }, { id: 'r2' }, { id: 'r3' }, { id: 'r4' }, { id: 'ac', attentionCheck: { expected: 1, screenout: true } }]
+        }
+      ]
+    },
+    { id: 'chatbot', type: 'chatbot' }
+  ]
+};
+
+const goodAnswers = { attention: 5, trust_r1: 2, trust_r2: 4, trust_r3: 3, trust_r4: 4, trust_ac: 1 };
+
+test('does not flag ordinary German messages as gibberish', () => {
+  [
+    'Ich finde die Bewertung gut',
+    'Das ist wertvoll für mich',
+    'Die Auswertung hat lange gedauert.',
+    'Die Werte sind mir wichtig und viel wert',
+    'Kannst du mir die Öffnungszeiten schicken?',
+    'Das Gespräch war hilfreich, danke schön!',
+    'Herbststurm und Schreibtischschublade'
+  ].forEach(text => assert.equal(isGibberish(text), false, text));
+});
+
+test('flags keyboard runs, repeated characters and messages without vowels', () => {
+  ['asdfgh', 'Das ist asdfgh', 'qwer asdf', 'hallooooo', 'xkcdvbnm', 'jkjkjkjk'].forEach(text => {
+    assert.equal(isGibberish(text), true, text);
+  });
+  assert.equal(isGibberish('asdf'), false);
+  assert.equal(isGibberish(null), false);
+});
+
+test('scores a response without problems with 1', () => {
+  const events = [{ type: 'page_time', data: { pageId: 'p1', durationMs: 12000 } }];
+  assert.deepEqual(assessQuality(definition, goodAnswers, [], events), { score: 1, flags: [] });
+});
+
+test('subtracts the penalty of each flag type once', () => {
+  const responseData = { ...goodAnswers, attention: 3, trust_r1: 4, trust_r3: 4, trust_ac: 2 };
+  const events = [
+    { type: 'page_time', data: { pageId: 'p1', durationMs: 4000 } },
+    { type: 'page_time', data: { pageId: 'p1', durationMs: 3000 } }
+  ];
+  const { score, flags } = assessQuality(definition, responseData, [], events);
+  assert.deepEqual(flags.map(flag => flag.type), ['attention_check', 'attention_check', 'too_fast', 'straightlining']);
+  assert.deepEqual(flags.map(flag => flag.screenout).slice(0, 2), [false, true]);
+  assert.equal(flags[2].durationMs, 7000);
+  assert.equal(score, 0.4);
+});
+
+test('flags pasted, gibberish and copied chat messages', () => {
+  const botText = 'Ich kann Ihnen gerne bei der Auswahl eines passenden Tarifs helfen.';
+  const transcript = [
+    { from: 'bot', text: botText, activityId: 'b1' },
+    { from: 'user', inputType: 'text', text: 'Ich möchte einen neuen Tarif abschließen.', activityId: 'u1' },
+    { from: 'user', inputType: 'text', text: 'bei der Auswahl eines passenden Tarifs', activityId: 'u2' },
+    { from: 'user', inputType: 'text', text: 'asdfghjk', activityId: 'u3' },
+    { from: 'user', inputType: 'text', text: 'Ich möchte einen neuen Tarif abschließen.', activityId: 'u4' },
+    { from: 'user', inputType: 'button', text: 'asdfghjk', activityId: 'u5' }
+  ];
+  const events = [
+    { type: 'message_sent', data: { activityId: 'u1', pastes: 1, keystrokes: 2, length: 41 } },
+    { type: 'message_sent', data: { activityId: 'u3', pastes: 0, keystrokes: 8, length: 8 } }
+  ];
+  const { score, flags } = assessQuality({ pages: [] }, {}, transcript, events);
+  assert.deepEqual(flags, [
+    { type: 'pasted_message', activityId: 'u1' },
+    { type: 'copied_message', activityId: 'u2', source: 'bot' },
+    { type: 'gibberish_message', activityId: 'u3' },
+    { type: 'copied_message', activityId: 'u4', source: 'user' }
+  ]);
+  assert.equal(score, 0.7);
+});
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Unit tests of the randomization of the presentation order
+ * (lib/randomization.js).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { randomizeSurvey } = require('../lib/randomization');
+
+const options = ['a', 'b', 'c', 'd', 'e', 'f'].map(value => ({ value, label: value.toUpperCase() }));
+const definition = {
+  pageBlocks: [['b1'], ['b2a', 'b2b'], ['b3']],
+  pages: [
+    { id: 'intro' },
+    {
+      id: 'b1',
+      randomizeQuestions: true,
+      questions: [
+        { id: 'q1' }, { id: 'q2' }, { id: 'q3', pinned: true }, { id: 'q4' }, { id: 'q5' },
+        { id: 'q6', type: 'single', randomizeOptions: true, options: [...options, { value: 'none', label: 'Keine', pinned: true }] }
+      ]
+    },
+    { id: 'b2a' },
+    { id: 'b2b' },
+    { id: 'b3' },
+    { id: 'end', type: 'end' }
+  ]
+};
+
+test('presents the same order to the same participant', () => {
+  const first = randomizeSurvey(definition, 'ID-1');
+  const second = randomizeSurvey(definition, 'ID-1');
+  assert.deepEqual(first, second);
+  assert.deepEqual(first.order.pages, first.definition.pages.map(page => page.id));
+  assert.deepEqual(Object.keys(first.order.questions), ['b1']);
+  assert.deepEqual(Object.keys(first.order.options), ['q6']);
+});
+
+test('varies the order between participants', () => {
+  const orders = new Set();
+  for (let i = 0; i < 20; i++) {
+    const { order } = randomizeSurvey(definition, `ID-${i}`);
+    orders.add(JSON.stringify(order));
+  }
+  assert.ok(orders.size > 1);
+});
+
+test('keeps pinned items, the pages of a block and the pages outside the blocks in place', () => {
+  for (let i = 0; i < 20; i++) {
+    const { definition: presented, order } = randomizeSurvey(definition, `ID-${i}`);
+    assert.equal(order.pages[0], 'intro');
+    assert.equal(order.pages[5], 'end');
+    assert.equal(order.pages[order.pages.indexOf('b2a') + 1], 'b2b');
+    assert.deepEqual([...order.pages].sort(), definition.pages.map(page => page.id).sort());
+    assert.equal(order.questions.b1[2], 'q3');
+    assert.deepEqual([...order.questions.b1].sort(), ['q1', 'q2', 'q3', 'q4', 'q5', 'q6']);
+    assert.equal(order.options.q6[6], 'none');
+    const question = presented.pages.find(page => page.id === 'b1').questions.find(q => q.id === 'q6');
+    assert.deepEqual(question.options.map(option => option.value), order.options.q6);
+  }
+});
+
+test('does not change the survey definition', () => {
+  const copy = JSON.parse(JSON.stringify(definition));
+  randomizeSurvey(definition, 'ID-1');
+  assert.deepEqual(definition, copy);
+});
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Unit tests of the rate limits (lib/rate-limit.js).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, rejectIfLimited } = require('../lib/rate-limit');
+
+/**
+ * Creates a minimal express response recording the status, headers and body.
+ *
+ * @returns {object} The response.
+ */
+function createResponse() {
+  return {
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+test('allows max requests per key and window', () => {
+  const limiter = createRateLimiter({ max: 2, windowMs: 60000 });
+  assert.equal(limiter.consume('a').allowed, true);
+  assert.equal(limiter.consume('a').allowed, true);
+  const rejected = limiter.consume('a');
+  assert.equal(rejected.allowed, false);
+  assert.ok(rejected.retryAfter > 0 && rejected.retryAfter <= 60);
+  assert.equal(limiter.consume('b').allowed, true);
+});
+
+test('does not count rejected requests against the other limits', () => {
+  const participantLimiter = createRateLimiter({ max: 1, windowMs: 60000 });
+  const ipLimiter = createRateLimiter({ max: 2, windowMs: 60000 });
+  const limits = participant => [
+    { limiter: participantLimiter, key: participant },
+    { limiter: ipLimiter, key: '127.0.0.1' }
+  ];
+
+  assert.equal(rejectIfLimited(createResponse(), limits('p1')), false);
+  for (let i = 0; i < 3; i++) {
+    const res = createResponse();
+    assert.equal(rejectIfLimited(res, limits('p1')), true);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], String(res.body.retryAfter));
+  }
+  assert.equal(rejectIfLimited(createResponse(), limits('p2')), false);
+  assert.equal(rejectIfLimited(createResponse(), limits('p3')), true);
+});
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Unit tests of the loading and validation of the survey definition
+ * (lib/survey.js).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSurveyDefinition, validateSurveyDefinition } = require('../lib/survey');
+
+const yamlDefinition = `
+pages:
+  - id: welcome
+    questions:
+      - id: satisfaction
+        type: likert
+        text: Wie zufrieden sind Sie?
+        scale: [gar nicht, wenig, mittel, ziemlich, sehr]
+  - id: end
+    type: end
+`;
+
+/**
+ * Writes a file into a temporary directory and returns its path.
+ *
+ * @param {string} name - The file name.
+ * @param {string} content - The file content.
+ * @returns {string} The path of the file.
+ */
+function writeTempFile(name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'survey-test-'));
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return filePath;
+}
+
+test('loads the default json survey definition', () => {
+  const definition = loadSurveyDefinition(path.join(__dirname, '..', 'config', 'survey.json'));
+  assert.ok(definition.pages.length > 0);
+});
+
+test('loads yaml survey definitions by file extension', () => {
+  for (const name of ['survey.yaml', 'survey.yml']) {
+    const definition = loadSurveyDefinition(writeTempFile(name, yamlDefinition));
+    assert.deepEqual(definition.pages.map(page => page.id), ['welcome', 'end']);
+    assert.equal(definition.pages[0].questions[0].scale.length, 5);
+  }
+});
+
+test('rejects invalid definitions', () => {
+  assert.throws(() => loadSurveyDefinition(writeTempFile('survey.yaml', 'pages: []')), /non-empty "pages"/);
+  assert.throws(() => loadSurveyDefinition(writeTempFile('survey.json', '{')), /cannot be loaded/);
+  assert.throws(() => validateSurveyDefinition({
+    pages: [{ id: 'end', type: 'end' }, { id: 'after' }]
+  }), /must be the last page/);
+});